@@ -76,7 +76,7 @@ async function synthesizeResults({
 	_server,
 }) {
 	const synthesisPrompt =
-		`A ${documentType} was too large to process at once, so it was split into ${chunkResults.length} parts. ` +
+		`The ${documentType} was too large to process at once, so it was split into ${chunkResults.length} parts. ` +
 		`Each part was processed separately with the same user request. Here are the responses from each part:\n\n` +
 		`${chunkResults.map((r, i) => `## Response from Part ${i + 1}\n${r}`).join("\n\n")}\n\n` +
 		`---\n\n` +
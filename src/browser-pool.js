@@ -0,0 +1,353 @@
+import { chromium, devices } from "playwright";
+
+const DEFAULT_MAX_PAGES = 4;
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Long-lived browser manager shared by the web tools.
+ *
+ * Browsers are launched lazily (one per distinct launch configuration) and
+ * kept alive between calls. Each call gets its own isolated context and page,
+ * concurrency is capped at `maxPages`, and browsers that crash or disconnect
+ * are relaunched on the next call. Everything idle for `idleTimeoutMs` is
+ * shut down.
+ */
+export class BrowserPool {
+	constructor({
+		maxPages = DEFAULT_MAX_PAGES,
+		idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS,
+		_chromium = chromium,
+	} = {}) {
+		this.maxPages = maxPages;
+		this.idleTimeoutMs = idleTimeoutMs;
+		this._chromium = _chromium;
+		this._browsers = new Map(); // launch key -> Promise<Browser>
+		this._persistent = new Map(); // userDataDir -> { key, headed, users, promise }
+		this._activePages = 0;
+		this._waiters = [];
+		this._idleTimer = null;
+	}
+
+	/**
+	 * Run `fn(page, context)` on a fresh page, then clean up.
+	 *
+	 * @param {Object} options
+	 * @param {boolean} [options.headless=true] - Run browser without UI
+	 * @param {number} [options.slowMo] - Slow down browser operations (ms)
+	 * @param {string[]} [options.args] - Extra browser launch arguments
+	 * @param {string} [options.channel] - Browser distribution channel
+	 * @param {Object} [options.contextOptions] - Options for the browser context
+	 * @param {string} [options.userDataDir] - Use a persistent context stored here
+	 * @param {Function} fn - Receives (page, context); its result is returned
+	 */
+	async withPage(
+		{
+			headless = true,
+			slowMo,
+			args,
+			channel,
+			contextOptions = {},
+			userDataDir,
+		} = {},
+		fn,
+	) {
+		await this._acquireSlot();
+		let context;
+		let page;
+		let persistent;
+		const ownsContext = !userDataDir;
+
+		try {
+			const launchOptions = { headless, slowMo, args, channel };
+			if (userDataDir) {
+				persistent = await this._getPersistentContext(
+					userDataDir,
+					{ ...launchOptions, ...contextOptions },
+					{ claim: true },
+				);
+				const { entry } = persistent;
+				context = entry.context;
+				page = await this._newPersistentPage(entry);
+			} else {
+				context = await this._newContext(launchOptions, contextOptions);
+				page = await context.newPage();
+			}
+
+			return await fn(page, context);
+		} finally {
+			if (ownsContext) {
+				await context?.close().catch(() => {});
+			} else {
+				await page?.close().catch(() => {});
+			}
+			if (persistent) persistent.record.users--;
+			this._releaseSlot();
+		}
+	}
+
+	/**
+	 * Open a page in the persistent context for `userDataDir`, launching it if
+	 * needed. The page does not count against `maxPages` and is left open; the
+	 * caller is responsible for closing it.
+	 */
+	async openPersistentPage(userDataDir, options = {}) {
+		const { entry } = await this._getPersistentContext(userDataDir, options);
+		return await this._newPersistentPage(entry);
+	}
+
+	/**
+	 * Close a persistent context (e.g. so another process can use its profile).
+	 */
+	async closePersistentContext(userDataDir) {
+		const entry = this._persistent.get(userDataDir);
+		if (!entry) return;
+		this._persistent.delete(userDataDir);
+		const { context } = await entry.promise.catch(() => ({}));
+		await context?.close().catch(() => {});
+	}
+
+	/**
+	 * Close all browsers and persistent contexts. The pool can still be used
+	 * afterwards; browsers will be relaunched on demand.
+	 */
+	async close() {
+		clearTimeout(this._idleTimer);
+		this._idleTimer = null;
+
+		const browsers = [...this._browsers.values()];
+		const persistentDirs = [...this._persistent.keys()];
+		this._browsers.clear();
+
+		await Promise.all([
+			...browsers.map(async (promise) => {
+				const browser = await promise.catch(() => null);
+				await browser?.close().catch(() => {});
+			}),
+			...persistentDirs.map((dir) => this.closePersistentContext(dir)),
+		]);
+	}
+
+	getStats() {
+		return {
+			activePages: this._activePages,
+			queued: this._waiters.length,
+			browsers: this._browsers.size,
+			persistentContexts: this._persistent.size,
+		};
+	}
+
+	async _newPersistentPage(entry) {
+		const page = await entry.context.newPage();
+		// Persistent contexts open with a blank tab we don't need
+		for (const stale of entry.initialPages.splice(0)) {
+			await stale.close().catch(() => {});
+		}
+		return page;
+	}
+
+	async _closeIdle() {
+		this._idleTimer = null;
+		const browsers = [...this._browsers.values()];
+		this._browsers.clear();
+		await Promise.all(
+			browsers.map(async (promise) => {
+				const browser = await promise.catch(() => null);
+				await browser?.close().catch(() => {});
+			}),
+		);
+		// Persistent contexts with open pages belong to a human (e.g. a login
+		// window), so leave those alone
+		for (const [dir, { promise }] of this._persistent) {
+			const entry = await promise.catch(() => null);
+			if (!entry || entry.context.pages().length === 0) {
+				await this.closePersistentContext(dir);
+			}
+		}
+	}
+
+	async _newContext(launchOptions, contextOptions) {
+		const browser = await this._getBrowser(launchOptions);
+		try {
+			return await browser.newContext(contextOptions);
+		} catch (error) {
+			// The browser may have crashed since we last checked; retry once
+			if (browser.isConnected?.() !== false) throw error;
+			const relaunched = await this._getBrowser(launchOptions);
+			return await relaunched.newContext(contextOptions);
+		}
+	}
+
+	async _getBrowser(launchOptions) {
+		const key = JSON.stringify(launchOptions);
+		const existing = this._browsers.get(key);
+		if (existing) {
+			const browser = await existing.catch(() => null);
+			if (browser && browser.isConnected?.() !== false) {
+				return browser;
+			}
+			if (this._browsers.get(key) === existing) {
+				this._browsers.delete(key);
+			}
+		}
+
+		const promise = this._chromium.launch(launchOptions);
+		this._browsers.set(key, promise);
+		let browser;
+		try {
+			browser = await promise;
+		} catch (error) {
+			this._browsers.delete(key);
+			throw error;
+		}
+		browser.on?.("disconnected", () => {
+			if (this._browsers.get(key) === promise) {
+				this._browsers.delete(key);
+			}
+		});
+		return browser;
+	}
+
+	/**
+	 * Get the persistent context for `userDataDir` with these options, launching
+	 * it (and closing one with other options) if needed. With `claim`, the
+	 * context counts as in use until the caller decrements `record.users`; a
+	 * context in use is never closed for other options.
+	 *
+	 * @returns {Promise<{record: Object, entry: {context: Object, initialPages: Object[]}}>}
+	 */
+	async _getPersistentContext(userDataDir, options, { claim = false } = {}) {
+		const key = JSON.stringify(options);
+		const existing = this._persistent.get(userDataDir);
+		if (existing) {
+			if (existing.key === key) {
+				// Claimed before waiting, so it can't be closed in the meantime
+				if (claim) existing.users++;
+				const entry = await existing.promise.catch(() => null);
+				if (entry) return { record: existing, entry };
+				if (claim) existing.users--;
+			}
+			if (existing.users > 0) {
+				throw new Error(
+					`Profile ${userDataDir} is in use by another request with different browser options; try again once it finishes`,
+				);
+			}
+			// Closing a visible window could cut a login short, so leave it be
+			if (existing.headed) {
+				const entry = await existing.promise.catch(() => null);
+				if (entry && entry.context.pages().length > 0) {
+					throw new Error(
+						`Profile ${userDataDir} is open in a browser window; close the window before using the profile again`,
+					);
+				}
+			}
+			// Only one context may hold a profile directory at a time
+			await this.closePersistentContext(userDataDir);
+		}
+
+		const promise = this._chromium
+			.launchPersistentContext(userDataDir, options)
+			.then((context) => ({ context, initialPages: context.pages() }));
+		const record = {
+			key,
+			headed: options.headless === false,
+			users: claim ? 1 : 0,
+			promise,
+		};
+		this._persistent.set(userDataDir, record);
+		let entry;
+		try {
+			entry = await promise;
+		} catch (error) {
+			this._persistent.delete(userDataDir);
+			throw error;
+		}
+		entry.context.on?.("close", () => {
+			if (this._persistent.get(userDataDir)?.promise === promise) {
+				this._persistent.delete(userDataDir);
+			}
+		});
+		return { record, entry };
+	}
+
+	async _acquireSlot() {
+		clearTimeout(this._idleTimer);
+		this._idleTimer = null;
+		if (this._activePages < this.maxPages) {
+			this._activePages++;
+			return;
+		}
+		await new Promise((resolve) => this._waiters.push(resolve));
+	}
+
+	_releaseSlot() {
+		const next = this._waiters.shift();
+		if (next) {
+			// Hand the slot straight to the next caller
+			next();
+			return;
+		}
+		this._activePages--;
+		if (this._activePages === 0 && this.idleTimeoutMs > 0) {
+			this._idleTimer = setTimeout(() => {
+				this._closeIdle().catch(() => {});
+			}, this.idleTimeoutMs);
+			this._idleTimer.unref?.();
+		}
+	}
+}
+
+/**
+ * Build Playwright context options from the request customization options
+ * the web tools accept. Explicit options override the device preset.
+ *
+ * @param {Object} options
+ * @param {Object<string, string>} [options.headers] - Extra HTTP headers
+ * @param {string} [options.userAgent] - User agent string
+ * @param {string} [options.locale] - Locale, e.g. "de-DE" (also sets Accept-Language)
+ * @param {string} [options.timezone] - IANA timezone, e.g. "Europe/Berlin"
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size
+ * @param {string} [options.device] - Playwright device preset, e.g. "iPhone 13"
+ * @returns {Object} Context options (empty if nothing was customized)
+ */
+export function buildContextOptions(
+	{ headers, userAgent, locale, timezone, viewport, device } = {},
+	{ _devices = devices } = {},
+) {
+	const contextOptions = {};
+	if (device) {
+		const descriptor = _devices[device];
+		if (!descriptor) {
+			throw new Error(
+				`Unknown device: ${device}. Use a Playwright device name such as "iPhone 13" or "Pixel 7"`,
+			);
+		}
+		const { defaultBrowserType, ...deviceOptions } = descriptor;
+		Object.assign(contextOptions, deviceOptions);
+	}
+	if (headers && Object.keys(headers).length > 0) {
+		contextOptions.extraHTTPHeaders = headers;
+	}
+	if (userAgent) contextOptions.userAgent = userAgent;
+	if (locale) contextOptions.locale = locale;
+	if (timezone) contextOptions.timezoneId = timezone;
+	if (viewport) contextOptions.viewport = viewport;
+	return contextOptions;
+}
+
+// One pool per chromium implementation (tests inject their own)
+const pools = new Map();
+
+export function getBrowserPool(_chromium = chromium) {
+	let pool = pools.get(_chromium);
+	if (!pool) {
+		pool = new BrowserPool({ _chromium });
+		pools.set(_chromium, pool);
+	}
+	return pool;
+}
+
+export async function closeBrowserPools() {
+	const all = [...pools.values()];
+	pools.clear();
+	await Promise.all(all.map((pool) => pool.close()));
+}
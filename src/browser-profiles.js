@@ -0,0 +1,103 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { chromium } from "playwright";
+import { getBrowserPool } from "./browser-pool.js";
+import { getNetworkPolicy } from "./network-policy.js";
+import { getStashRoot } from "./stash/index.js";
+
+export const PROFILES_DIR = "profiles";
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+export function getProfilesRoot(stashRoot) {
+	return path.join(stashRoot, PROFILES_DIR);
+}
+
+export function isValidProfileName(name) {
+	return typeof name === "string" && PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Resolve a named browser profile to its user data directory.
+ * Profiles are created by opening them with openProfileSession, so by default
+ * an unknown name is an error rather than a silently empty profile.
+ */
+export async function resolveProfileDir(
+	name,
+	{ mustExist = true, _stashRoot = getStashRoot() } = {},
+) {
+	if (!isValidProfileName(name)) {
+		throw new Error(
+			`Invalid profile name: ${name} (use letters, digits, '-' and '_')`,
+		);
+	}
+	const profileDir = path.join(getProfilesRoot(_stashRoot), name);
+	if (mustExist) {
+		try {
+			await fs.access(profileDir);
+		} catch {
+			throw new Error(
+				`Unknown browser profile: ${name}. Open it with friendly_browser_login first.`,
+			);
+		}
+	}
+	return profileDir;
+}
+
+export async function listProfiles({ _stashRoot = getStashRoot() } = {}) {
+	try {
+		const entries = await fs.readdir(getProfilesRoot(_stashRoot), {
+			withFileTypes: true,
+		});
+		return entries
+			.filter((entry) => entry.isDirectory() && isValidProfileName(entry.name))
+			.map((entry) => entry.name)
+			.sort();
+	} catch (error) {
+		if (error.code === "ENOENT") return [];
+		throw error;
+	}
+}
+
+/**
+ * Open a visible browser window on a named profile so a human can log in.
+ * The window stays open after this returns; cookies and storage are saved to
+ * the profile. Requests using the profile fail until the window is closed.
+ *
+ * @param {Object} options
+ * @param {string} options.profile - Profile name (created if it doesn't exist)
+ * @param {string} [options.url] - Page to open, e.g. the site's login page
+ */
+export async function openProfileSession({
+	profile,
+	url,
+	// Dependency injection for testing
+	_chromium = chromium,
+	_pool = getBrowserPool(_chromium),
+	_networkPolicy = getNetworkPolicy(),
+	_stashRoot = getStashRoot(),
+}) {
+	if (url) {
+		await _networkPolicy.check(url);
+	}
+
+	const profileDir = await resolveProfileDir(profile, {
+		mustExist: false,
+		_stashRoot,
+	});
+	await fs.mkdir(profileDir, { recursive: true });
+
+	const page = await _pool.openPersistentPage(profileDir, { headless: false });
+	if (url) {
+		await page.goto(url, { waitUntil: "domcontentloaded" });
+	}
+
+	return {
+		profile,
+		profileDir,
+		url: url || null,
+		opened: true,
+		instructions:
+			"Log in in the browser window that just opened, then close it. " +
+			`Pass profile: "${profile}" to friendly_web_fetch, friendly_web_extract or friendly_web_ask to browse with this login.`,
+	};
+}
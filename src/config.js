@@ -0,0 +1,75 @@
+import fs from "node:fs";
+import path from "node:path";
+import { getStashRoot } from "./stash/index.js";
+
+export const CONFIG_FILE = "config.json";
+
+const DEFAULT_CONFIG = {
+	politeness: {
+		minDelayMs: 1000,
+		maxConcurrentPerHost: 2,
+		respectRobotsTxt: false,
+		robotsUserAgent: "ResearchFriend",
+		robotsCacheTtlMs: 60 * 60 * 1000,
+	},
+	network: {
+		allowPrivateNetworks: false,
+		allowDomains: [],
+		denyDomains: [],
+	},
+	cache: {
+		maxBytes: 100 * 1024 * 1024,
+		ttlMs: 24 * 60 * 60 * 1000,
+	},
+	ocr: {
+		enabled: true,
+		maxPages: 50,
+	},
+};
+
+const isPlainObject = (value) =>
+	value !== null && typeof value === "object" && !Array.isArray(value);
+
+function merge(defaults, overrides) {
+	const merged = { ...defaults };
+	for (const [key, value] of Object.entries(overrides)) {
+		merged[key] =
+			isPlainObject(defaults[key]) && isPlainObject(value)
+				? merge(defaults[key], value)
+				: value;
+	}
+	return merged;
+}
+
+// Loaded config per stash root
+const configs = new Map();
+
+export function getConfigPath(stashRoot) {
+	return path.join(stashRoot, CONFIG_FILE);
+}
+
+/**
+ * Load settings from `config.json` in the stash root, filling in defaults
+ * for anything not set. The file is optional; it is read once per process.
+ */
+export function getConfig({ _stashRoot = getStashRoot() } = {}) {
+	let config = configs.get(_stashRoot);
+	if (config) return config;
+
+	const configPath = getConfigPath(_stashRoot);
+	let overrides = {};
+	try {
+		overrides = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+		}
+	}
+	if (!isPlainObject(overrides)) {
+		throw new Error(`Invalid config file ${configPath}: expected an object`);
+	}
+
+	config = merge(DEFAULT_CONFIG, overrides);
+	configs.set(_stashRoot, config);
+	return config;
+}
@@ -0,0 +1,238 @@
+import { isGenericType, isPdfData, mimeTypeForExtension } from "./documents.js";
+import { getNetworkPolicy, NetworkPolicyError } from "./network-policy.js";
+import { getPoliteness } from "./politeness.js";
+
+// Enough of the body to recognize any of the formats by
+const SNIFF_BYTES = 1024;
+
+const ZIP_SIGNATURE = "PK\x03\x04";
+
+/**
+ * The filename in a Content-Disposition header, preferring the RFC 5987
+ * `filename*=UTF-8''...` form, which allows any characters
+ */
+export function contentDispositionFilename(header) {
+	if (!header) return null;
+	const extended = /filename\*\s*=\s*"?[^']*'[^']*'([^";]+)/i.exec(header);
+	if (extended) {
+		try {
+			return decodeURIComponent(extended[1].trim());
+		} catch {
+			// Badly encoded; try the plain filename
+		}
+	}
+	const plain = /filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]+))/i.exec(header);
+	if (!plain) return null;
+	return (plain[1]?.replace(/\\(.)/g, "$1") ?? plain[2]).trim() || null;
+}
+
+function extensionOf(name) {
+	const last = name.split("/").pop();
+	return last.includes(".") ? last.split(".").pop().toLowerCase() : null;
+}
+
+function typeForName(name) {
+	const extension = name ? extensionOf(name) : null;
+	if (extension === "pdf") return "application/pdf";
+	if (extension === "html" || extension === "htm") return "text/html";
+	return mimeTypeForExtension(extension);
+}
+
+// The contents of a ZIP file's first entry if it's an uncompressed "mimetype"
+function storedMimetype(head, latin1) {
+	if (head.length < 30 || head.readUInt16LE(8) !== 0) return null;
+	const nameLength = head.readUInt16LE(26);
+	if (latin1.slice(30, 30 + nameLength) !== "mimetype") return null;
+	const start = 30 + nameLength + head.readUInt16LE(28);
+	return latin1.slice(start, start + head.readUInt32LE(18)).trim() || null;
+}
+
+/**
+ * Recognize content by its first bytes: PDFs and ZIP-based documents by
+ * their signatures, and markup, JSON and plain text by how they start.
+ * Returns a MIME type, or null for unrecognizable binary data.
+ */
+export function sniffContentType(bytes) {
+	const head = Buffer.from(bytes.subarray(0, SNIFF_BYTES));
+	if (isPdfData(head)) return "application/pdf";
+
+	const latin1 = head.toString("latin1");
+	if (latin1.startsWith(ZIP_SIGNATURE)) {
+		// EPUB and ODT files start with an uncompressed "mimetype" entry, and
+		// Office documents with [Content_Types].xml
+		const mimetype = storedMimetype(head, latin1);
+		if (mimetype) return mimetype;
+		if (latin1.includes("[Content_Types].xml") || latin1.includes("word/")) {
+			return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+		}
+		return "application/zip";
+	}
+
+	// Control characters other than whitespace (and escape) mean binary data
+	const binary = head.some(
+		(byte) => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b),
+	);
+	if (binary) {
+		const utf16 = head[0] === 0xff || head[0] === 0xfe;
+		if (!utf16) return null;
+	}
+	const text = head
+		.toString("utf-8")
+		.replace(/^\ufeff/, "")
+		.trimStart()
+		.toLowerCase();
+	if (/^<(!doctype html|html|head|body|script|title|meta)\b/.test(text)) {
+		return "text/html";
+	}
+	if (text.startsWith("<?xml") || /^<[a-z_][\w.:-]*[\s>]/.test(text)) {
+		return /<html\b/.test(text) ? "text/html" : "application/xml";
+	}
+	if (/^\{\s*("|\})|^\[\s*[[{"\d\]-]/.test(text)) return "application/json";
+	return "text/plain";
+}
+
+/**
+ * Read up to `limit` bytes of a response body, then stop the download.
+ * Servers that ignore Range headers send everything otherwise.
+ */
+async function readPrefix(response, limit) {
+	if (!response.body) {
+		return new Uint8Array(await response.arrayBuffer()).subarray(0, limit);
+	}
+	const reader = response.body.getReader();
+	const chunks = [];
+	let size = 0;
+	try {
+		while (size < limit) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			chunks.push(value);
+			size += value.length;
+		}
+	} finally {
+		await reader.cancel().catch(() => {});
+	}
+	return new Uint8Array(Buffer.concat(chunks)).subarray(0, limit);
+}
+
+/**
+ * Decide a type from everything known about a URL. Signatures in the body
+ * are trusted over the Content-Type header (servers send PDFs as text/html),
+ * which is trusted over a Content-Disposition filename, which is trusted over
+ * what the body merely looks like and, last, the URL's extension.
+ */
+function resolveType({ headerType, filename, bytes, finalUrl }) {
+	const sniffed = bytes ? sniffContentType(bytes) : null;
+	const mimeType = headerType.split(";")[0].trim().toLowerCase();
+	const decisive =
+		sniffed &&
+		(sniffed === "application/pdf" ||
+			sniffed === "text/html" ||
+			sniffed.startsWith("application/vnd.") ||
+			sniffed === "application/epub+zip");
+
+	if (decisive) return { type: sniffed, source: "sniffed" };
+	if (!isGenericType(mimeType)) return { type: headerType, source: "header" };
+	const fromFilename = typeForName(filename);
+	if (fromFilename) return { type: fromFilename, source: "filename" };
+	// A generic type with the URL's extension is for documentFormat() to read
+	const fromUrl = typeForName(new URL(finalUrl).pathname);
+	if (fromUrl && (!sniffed || sniffed === "text/plain")) {
+		return { type: fromUrl, source: "url" };
+	}
+	if (sniffed) return { type: sniffed, source: "sniffed" };
+	if (mimeType) return { type: headerType, source: "header" };
+	return { type: "text/html", source: "default" };
+}
+
+// A HEAD or GET request through the politeness layer, or null if it failed
+// or timed out
+async function request(
+	url,
+	options,
+	{ followUp, timeoutMs, _politeness, _networkPolicy },
+) {
+	const response = await _politeness.schedule(
+		url,
+		() =>
+			_networkPolicy
+				.fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) })
+				.catch((error) => {
+					if (error instanceof NetworkPolicyError) throw error;
+					return null;
+				}),
+		{ followUp },
+	);
+	if (response?.ok) return response;
+	// Release the connection of a failed request
+	await response?.body?.cancel().catch(() => {});
+	return null;
+}
+
+/**
+ * Work out what a URL serves, following redirects. A HEAD request comes
+ * first; if the server rejects it, its answer is too vague to go on, or it
+ * says HTML where the filename says otherwise, the first kilobyte is fetched
+ * with a ranged GET and its bytes are sniffed. A Content-Disposition
+ * filename is trusted over the URL's extension. Each request gives up after
+ * `timeoutMs`. The ranged GET follows the HEAD request without waiting out
+ * the host's spacing, and so does the HEAD request with `followUp`.
+ *
+ * @returns {Promise<{type: string, source: "sniffed"|"header"|"filename"|"url"|"default", finalUrl: string}>}
+ *   The MIME type (with any parameters from the header) and what it was
+ *   decided by
+ */
+export async function detectContentType(
+	url,
+	{
+		timeoutMs = 15000,
+		followUp = false,
+		_politeness = getPoliteness(),
+		_networkPolicy = getNetworkPolicy(),
+	} = {},
+) {
+	const dependencies = { timeoutMs, _politeness, _networkPolicy };
+	const describe = (response) => ({
+		headerType: response?.headers.get("content-type") || "",
+		filename: contentDispositionFilename(
+			response?.headers.get("content-disposition"),
+		),
+		finalUrl: response?.url || url,
+	});
+
+	const head = await request(
+		url,
+		{ method: "HEAD" },
+		{ ...dependencies, followUp },
+	);
+	if (head) {
+		const known = describe(head);
+		const mimeType = known.headerType.split(";")[0].trim().toLowerCase();
+		const named = typeForName(
+			known.filename || new URL(known.finalUrl).pathname,
+		);
+		const suspicious =
+			mimeType === "text/html" && named && named !== "text/html";
+		if (!isGenericType(mimeType) && !suspicious) {
+			return {
+				type: known.headerType,
+				source: "header",
+				finalUrl: known.finalUrl,
+			};
+		}
+	}
+
+	const get = await request(
+		url,
+		{ headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` } },
+		{ ...dependencies, followUp: true },
+	);
+	if (get) {
+		const known = describe(get);
+		// A body that stalls past the timeout is judged without it
+		const bytes = await readPrefix(get, SNIFF_BYTES).catch(() => null);
+		return { ...resolveType({ ...known, bytes }), finalUrl: known.finalUrl };
+	}
+	const known = describe(head);
+	return { ...resolveType(known), finalUrl: known.finalUrl };
+}
@@ -0,0 +1,536 @@
+import path from "node:path";
+import { strFromU8, unzipSync } from "fflate";
+import { JSDOM } from "jsdom";
+import TurndownService from "turndown";
+import { children, childText, decodeText, parseXml } from "./feeds.js";
+
+/**
+ * Remote documents that are downloaded and read directly, rather than
+ * rendered in the browser like web pages
+ */
+const DOCUMENT_FORMATS = {
+	docx: {
+		label: "Word document",
+		contentTypes: [
+			"application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+		],
+		extensions: ["docx"],
+	},
+	odt: {
+		label: "OpenDocument text",
+		contentTypes: ["application/vnd.oasis.opendocument.text"],
+		extensions: ["odt"],
+	},
+	epub: {
+		label: "EPUB book",
+		contentTypes: ["application/epub+zip"],
+		extensions: ["epub"],
+	},
+	csv: {
+		label: "CSV file",
+		contentTypes: ["text/csv", "application/csv"],
+		extensions: ["csv"],
+	},
+	json: {
+		label: "JSON document",
+		contentTypes: ["application/json", "text/json"],
+		extensions: ["json"],
+	},
+	xml: {
+		label: "XML document",
+		contentTypes: ["application/xml", "text/xml"],
+		extensions: ["xml"],
+	},
+	txt: {
+		label: "text file",
+		contentTypes: ["text/plain"],
+		extensions: ["txt", "text"],
+	},
+};
+
+// Content types that say nothing about the format, so the URL's extension is
+// trusted instead. Plain text is included because servers such as GitHub's
+// raw file host send it for CSV and JSON files too.
+const GENERIC_TYPES = new Set([
+	"",
+	"application/octet-stream",
+	"binary/octet-stream",
+	"application/download",
+	"application/force-download",
+	"application/zip",
+	"application/x-zip-compressed",
+	"text/plain",
+]);
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// How much of a ZIP-based document is inflated at most
+const MAX_INFLATED_BYTES = 200 * 1024 * 1024;
+
+// Container formats can't be told apart by their first bytes, only by what's inside
+const CONTAINER_FORMATS = new Set(["docx", "odt", "epub"]);
+
+const turndown = new TurndownService({
+	headingStyle: "atx",
+	codeBlockStyle: "fenced",
+});
+
+function urlExtension(url) {
+	const name = new URL(url).pathname.split("/").pop();
+	return name.includes(".") ? name.split(".").pop().toLowerCase() : null;
+}
+
+/**
+ * Whether a MIME type (without parameters) says nothing about the format
+ */
+export function isGenericType(mimeType) {
+	return GENERIC_TYPES.has(mimeType);
+}
+
+function formatForExtension(extension) {
+	return (
+		Object.entries(DOCUMENT_FORMATS).find(([, config]) =>
+			config.extensions.includes(extension),
+		)?.[0] || null
+	);
+}
+
+/**
+ * The MIME type of documents with this file extension, or null if it isn't
+ * one of the document formats
+ */
+export function mimeTypeForExtension(extension) {
+	const format = formatForExtension(extension);
+	return format ? DOCUMENT_FORMATS[format].contentTypes[0] : null;
+}
+
+/**
+ * The document format for a Content-Type header and URL, or null for web
+ * pages (and anything else the browser should render)
+ *
+ * @param {string} contentType - Content-Type header, possibly with parameters
+ * @param {string} url - The document's URL
+ * @returns {string|null} A key of DOCUMENT_FORMATS
+ */
+export function documentFormat(contentType, url) {
+	const mimeType = contentType.split(";")[0].trim().toLowerCase();
+
+	if (isGenericType(mimeType)) {
+		const byExtension = formatForExtension(urlExtension(url));
+		if (byExtension) return byExtension;
+	}
+
+	const byType = Object.entries(DOCUMENT_FORMATS).find(([, config]) =>
+		config.contentTypes.includes(mimeType),
+	);
+	if (byType) return byType[0];
+	if (mimeType.endsWith("+json")) return "json";
+	// XHTML is a web page, but feeds and other XML vocabularies aren't
+	if (mimeType.endsWith("+xml") && mimeType !== "application/xhtml+xml") {
+		return "xml";
+	}
+	return null;
+}
+
+/**
+ * How to describe a document format to people (and LLMs), e.g. "Word document"
+ */
+export function documentLabel(format) {
+	return DOCUMENT_FORMATS[format]?.label || null;
+}
+
+/**
+ * Whether downloaded bytes are a PDF, whatever the server called them. The
+ * `%PDF-` header may come after some junk, within the first kilobyte.
+ */
+export function isPdfData(data) {
+	return Buffer.from(data.subarray(0, 1024)).includes("%PDF-");
+}
+
+function isZipData(data) {
+	return ZIP_SIGNATURE.every((byte, index) => data[index] === byte);
+}
+
+function zipText(files, name, kind) {
+	if (!files[name]) throw new Error(`${kind} is missing ${name}`);
+	return strFromU8(files[name]);
+}
+
+// Elements with this local name at any depth, whatever their namespace prefix
+function descendants(element, name) {
+	return [...element.getElementsByTagName("*")].filter(
+		(child) => child.localName === name,
+	);
+}
+
+function markdownTable(rows) {
+	const width = Math.max(...rows.map((row) => row.length));
+	const line = (cells) =>
+		`| ${Array.from({ length: width }, (_, index) =>
+			(cells[index] || "").replace(/\s+/g, " ").replace(/\|/g, "\\|").trim(),
+		).join(" | ")} |`;
+	return [
+		line(rows[0]),
+		line(Array(width).fill("---")),
+		...rows.slice(1).map(line),
+	].join("\n");
+}
+
+function docxText(element) {
+	let text = "";
+	for (const child of element.children) {
+		switch (child.localName) {
+			case "t":
+				text += child.textContent;
+				break;
+			case "tab":
+				text += "\t";
+				break;
+			case "br":
+			case "cr":
+				text += "\n";
+				break;
+			// Formatting, which has its own tab elements (tab stops)
+			case "pPr":
+			case "rPr":
+				break;
+			default:
+				text += docxText(child);
+		}
+	}
+	return text;
+}
+
+function docxParagraph(paragraph) {
+	const text = docxText(paragraph).trim();
+	if (!text) return null;
+	const properties = children(paragraph, "pPr")[0];
+	if (!properties) return text;
+
+	const style = children(properties, "pStyle")[0]?.getAttribute("w:val") || "";
+	const heading = /^heading\s*(\d)$/i.exec(style);
+	if (heading) return `${"#".repeat(Number(heading[1]))} ${text}`;
+	if (/^title$/i.test(style)) return `# ${text}`;
+
+	const numbering = children(properties, "numPr")[0];
+	if (numbering) {
+		const level = Number(
+			children(numbering, "ilvl")[0]?.getAttribute("w:val") || 0,
+		);
+		return `${"  ".repeat(level)}- ${text}`;
+	}
+	return text;
+}
+
+function readDocx(files) {
+	const document = parseXml(
+		zipText(files, "word/document.xml", "Word document"),
+		"Word document",
+	);
+	const body = descendants(document.documentElement, "body")[0];
+	const blocks = [];
+	for (const element of body ? body.children : []) {
+		if (element.localName === "p") {
+			blocks.push(docxParagraph(element));
+		} else if (element.localName === "tbl") {
+			const rows = children(element, "tr").map((row) =>
+				children(row, "tc").map((cell) =>
+					descendants(cell, "p").map(docxText).join(" "),
+				),
+			);
+			if (rows.length > 0) blocks.push(markdownTable(rows));
+		}
+	}
+
+	let title = null;
+	let author = null;
+	if (files["docProps/core.xml"]) {
+		const core = parseXml(
+			strFromU8(files["docProps/core.xml"]),
+			"Word document properties",
+		).documentElement;
+		title = childText(core, "title");
+		author = childText(core, "creator");
+	}
+	return { text: blocks.filter(Boolean).join("\n\n"), title, author };
+}
+
+function odtText(element) {
+	let text = "";
+	for (const node of element.childNodes) {
+		if (node.nodeType === node.TEXT_NODE) {
+			text += node.data;
+			continue;
+		}
+		if (node.nodeType !== node.ELEMENT_NODE) continue;
+		switch (node.localName) {
+			case "s":
+				text += " ".repeat(Number(node.getAttribute("text:c") || 1));
+				break;
+			case "tab":
+				text += "\t";
+				break;
+			case "line-break":
+				text += "\n";
+				break;
+			// Footnotes would land mid-sentence
+			case "note":
+				break;
+			default:
+				text += odtText(node);
+		}
+	}
+	return text;
+}
+
+function odtBlocks(element, blocks, listDepth = 0) {
+	for (const child of element.children) {
+		switch (child.localName) {
+			case "h": {
+				const level = Number(child.getAttribute("text:outline-level") || 1);
+				const text = odtText(child).trim();
+				if (text) blocks.push(`${"#".repeat(Math.min(level, 6))} ${text}`);
+				break;
+			}
+			case "p": {
+				const text = odtText(child).trim();
+				if (!text) break;
+				blocks.push(
+					listDepth > 0 ? `${"  ".repeat(listDepth - 1)}- ${text}` : text,
+				);
+				break;
+			}
+			case "list":
+				for (const item of children(child, "list-item")) {
+					odtBlocks(item, blocks, listDepth + 1);
+				}
+				break;
+			case "table": {
+				const rows = descendants(child, "table-row").map((row) =>
+					[...row.children]
+						.filter((cell) => cell.localName.endsWith("table-cell"))
+						.map((cell) => odtText(cell).trim()),
+				);
+				if (rows.length > 0) blocks.push(markdownTable(rows));
+				break;
+			}
+			// Sections and the like just group paragraphs
+			case "section":
+			case "div":
+				odtBlocks(child, blocks, listDepth);
+				break;
+		}
+	}
+	return blocks;
+}
+
+function readOdt(files) {
+	const content = parseXml(
+		zipText(files, "content.xml", "OpenDocument text"),
+		"OpenDocument text",
+	);
+	const body = descendants(content.documentElement, "text")[0];
+	const blocks = body ? odtBlocks(body, []) : [];
+
+	let title = null;
+	let author = null;
+	if (files["meta.xml"]) {
+		const meta = descendants(
+			parseXml(strFromU8(files["meta.xml"]), "OpenDocument metadata")
+				.documentElement,
+			"meta",
+		)[0];
+		if (meta) {
+			title = childText(meta, "title");
+			author = childText(meta, "creator", "initial-creator");
+		}
+	}
+	return { text: blocks.join("\n\n"), title, author };
+}
+
+function readEpub(files) {
+	const container = parseXml(
+		zipText(files, "META-INF/container.xml", "EPUB book"),
+		"EPUB container",
+	);
+	const packagePath = descendants(
+		container.documentElement,
+		"rootfile",
+	)[0]?.getAttribute("full-path");
+	if (!packagePath) throw new Error("EPUB book has no package document");
+	const packageDocument = parseXml(
+		zipText(files, packagePath, "EPUB book"),
+		"EPUB package document",
+	).documentElement;
+
+	// Chapters are listed in reading order in the spine, by manifest id
+	const hrefs = new Map(
+		descendants(packageDocument, "item").map((item) => [
+			item.getAttribute("id"),
+			item.getAttribute("href"),
+		]),
+	);
+	const chapters = [];
+	for (const itemref of descendants(packageDocument, "itemref")) {
+		const href = hrefs.get(itemref.getAttribute("idref"));
+		if (!href) continue;
+		const name = path.posix.join(
+			path.posix.dirname(packagePath),
+			decodeURIComponent(href.split("#")[0]),
+		);
+		if (!files[name]) continue;
+		const { document } = new JSDOM(strFromU8(files[name])).window;
+		for (const element of document.querySelectorAll("script, style")) {
+			element.remove();
+		}
+		const markdown = turndown.turndown(document.body?.innerHTML || "").trim();
+		if (markdown) chapters.push(markdown);
+	}
+
+	const metadata = descendants(packageDocument, "metadata")[0];
+	return {
+		text: chapters.join("\n\n"),
+		title: metadata ? childText(metadata, "title") : null,
+		author: metadata ? childText(metadata, "creator") : null,
+		chapterCount: chapters.length,
+	};
+}
+
+/**
+ * Parse CSV into rows of fields. Quoted fields may contain delimiters,
+ * doubled quotes and line breaks.
+ */
+export function parseCsv(text, delimiter = ",") {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+	for (let index = 0; index < text.length; index++) {
+		const char = text[index];
+		if (quoted) {
+			if (char !== '"') {
+				field += char;
+			} else if (text[index + 1] === '"') {
+				field += '"';
+				index++;
+			} else {
+				quoted = false;
+			}
+		} else if (char === '"' && field === "") {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[index + 1] === "\n") index++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	if (field || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+	// Blank lines aren't rows
+	return rows.filter((fields) => fields.length > 1 || fields[0] !== "");
+}
+
+// Semicolons are common where the comma is the decimal separator
+function csvDelimiter(text) {
+	const header = text.slice(0, text.search(/\r?\n|$/));
+	const counts = [",", ";", "\t"].map((delimiter) => ({
+		delimiter,
+		count: header.split(delimiter).length,
+	}));
+	return counts.reduce((best, next) => (next.count > best.count ? next : best))
+		.delimiter;
+}
+
+function readCsv(text) {
+	const rows = parseCsv(text, csvDelimiter(text));
+	return {
+		text,
+		columns: rows[0] || [],
+		rowCount: Math.max(rows.length - 1, 0),
+	};
+}
+
+function readJson(text) {
+	try {
+		// Indented, so it can be searched and paginated line by line
+		return { text: JSON.stringify(JSON.parse(text), null, 2) };
+	} catch {
+		// Not actually JSON, e.g. JSON Lines; still worth reading
+		return { text };
+	}
+}
+
+function readXml(text) {
+	const root = parseXml(text, "XML document").documentElement;
+	return { text, title: childText(root, "title"), rootElement: root.localName };
+}
+
+// ZIP containers say what they are in a mimetype file, except Word documents
+function containerFormat(files) {
+	const mimetype = files.mimetype ? strFromU8(files.mimetype).trim() : "";
+	if (mimetype === "application/epub+zip") return "epub";
+	if (mimetype === "application/vnd.oasis.opendocument.text") return "odt";
+	if (files["word/document.xml"]) return "docx";
+	throw new Error("Unsupported ZIP archive (not a DOCX, ODT or EPUB document)");
+}
+
+/**
+ * Extract the text of a downloaded document as markdown or plain text, with
+ * whatever metadata the format has. ZIP-based documents are identified by
+ * their contents, so a mislabeled DOCX, ODT or EPUB is still read correctly.
+ *
+ * @param {Uint8Array} data - The downloaded bytes
+ * @param {string} format - Format from documentFormat()
+ * @param {string} [contentType] - Content-Type header, for the text encoding
+ * @returns {{format: string, text: string, metadata: Object}}
+ */
+export function readDocument(data, format, contentType = "") {
+	if (isZipData(data)) {
+		// Only the XML and XHTML parts are needed, not images or fonts.
+		// fflate inflates no more than the size an entry's header declares, so
+		// checking the declared sizes keeps zip bombs from filling memory.
+		let inflated = 0;
+		const files = unzipSync(data, {
+			filter: (file) => {
+				if (
+					file.name !== "mimetype" &&
+					!/\.(xml|opf|x?html?)$/i.test(file.name)
+				) {
+					return false;
+				}
+				inflated += file.originalSize;
+				if (inflated > MAX_INFLATED_BYTES) {
+					throw new Error(
+						`Document is larger than ${MAX_INFLATED_BYTES / 1024 / 1024} MB once uncompressed`,
+					);
+				}
+				return true;
+			},
+		});
+		const actualFormat = containerFormat(files);
+		const readers = { docx: readDocx, odt: readOdt, epub: readEpub };
+		const { text, ...metadata } = readers[actualFormat](files);
+		return { format: actualFormat, text, metadata };
+	}
+	if (CONTAINER_FORMATS.has(format)) {
+		throw new Error(
+			`Expected a ${documentLabel(format)}, but the content isn't one`,
+		);
+	}
+
+	const readers = { csv: readCsv, json: readJson, xml: readXml };
+	const text = decodeText(data, contentType);
+	const { text: extracted, ...metadata } = readers[format]
+		? readers[format](text)
+		: { text };
+	return { format, text: extracted, metadata };
+}
@@ -0,0 +1,341 @@
+import zlib from "node:zlib";
+import { JSDOM } from "jsdom";
+import { getNetworkPolicy } from "./network-policy.js";
+import { getPoliteness } from "./politeness.js";
+import { readBody } from "./response-body.js";
+
+// The sitemap protocol's limit, which is plenty for feeds and robots.txt too
+const MAX_TEXT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Fetch a URL as text through the politeness layer and network policy.
+ * Gzipped bodies (e.g. sitemap.xml.gz files) are decompressed. Bodies over
+ * MAX_TEXT_BYTES, before or after decompression, are refused.
+ */
+export async function fetchText(
+	url,
+	{ timeoutMs, _politeness, _networkPolicy },
+) {
+	return await _politeness.schedule(url, async () => {
+		const response = await _networkPolicy.fetch(url, {
+			signal: AbortSignal.timeout(timeoutMs),
+		});
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		let body = await readBody(response, MAX_TEXT_BYTES, "Response");
+		if (body[0] === 0x1f && body[1] === 0x8b) {
+			try {
+				body = zlib.gunzipSync(body, { maxOutputLength: MAX_TEXT_BYTES });
+			} catch (error) {
+				if (error.code !== "ERR_BUFFER_TOO_LARGE") throw error;
+				throw new Error(
+					`Response is larger than ${MAX_TEXT_BYTES / 1024 / 1024} MB once uncompressed`,
+				);
+			}
+		}
+		return decodeText(body, response.headers.get("content-type"));
+	});
+}
+
+/**
+ * Decode a text body with the charset it declares: a byte order mark, then
+ * the Content-Type header, then an XML declaration. Defaults to UTF-8.
+ */
+export function decodeText(data, contentType) {
+	const head = Buffer.from(data.subarray(0, 256)).toString("latin1");
+	let encoding =
+		/charset=["']?([^;"'\s]+)/i.exec(contentType || "")?.[1] ||
+		/^<\?xml[^>]*\sencoding=["']([^"']+)["']/.exec(head)?.[1] ||
+		"utf-8";
+	// Byte order marks win over the rest; TextDecoder drops them
+	if (data[0] === 0xff && data[1] === 0xfe) encoding = "utf-16le";
+	if (data[0] === 0xfe && data[1] === 0xff) encoding = "utf-16be";
+	try {
+		return new TextDecoder(encoding).decode(data);
+	} catch {
+		// Unknown charset label
+		return new TextDecoder().decode(data);
+	}
+}
+
+/**
+ * Parse an XML document, reporting malformed XML as `${kind} is not valid XML`
+ */
+export function parseXml(text, kind) {
+	try {
+		return new JSDOM(text, { contentType: "text/xml" }).window.document;
+	} catch (error) {
+		throw new Error(`${kind} is not valid XML: ${error.message}`);
+	}
+}
+
+// Namespace prefixes vary between feeds, so elements are matched by local name
+export function children(element, name) {
+	return [...element.children].filter((child) => child.localName === name);
+}
+
+export function childText(element, ...names) {
+	for (const name of names) {
+		const text = children(element, name)[0]?.textContent.trim();
+		if (text) return text;
+	}
+	return null;
+}
+
+/**
+ * Normalize a feed or sitemap date to ISO 8601, keeping unparseable dates as-is
+ */
+export function normalizeDate(value) {
+	if (!value) return null;
+	const time = Date.parse(value);
+	return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+function resolveUrl(value, baseUrl) {
+	if (!value) return null;
+	try {
+		return new URL(value, baseUrl).href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Plain text from an HTML fragment, such as an RSS description
+ */
+function htmlToText(html) {
+	if (!html) return null;
+	// Keep words in separate blocks apart
+	const fragment = JSDOM.fragment(
+		html.replace(
+			/<\/?(?:p|div|br|li|h[1-6]|tr|td|blockquote)\b[^>]*>/gi,
+			" $& ",
+		),
+	);
+	for (const element of fragment.querySelectorAll("script, style")) {
+		element.remove();
+	}
+	return fragment.textContent.replace(/\s+/g, " ").trim() || null;
+}
+
+// The <link> element with this rel (links without one are "alternate")
+function atomLink(element, rel = "alternate") {
+	const links = children(element, "link");
+	return (
+		links.find(
+			(candidate) => (candidate.getAttribute("rel") || "alternate") === rel,
+		) || (rel === "alternate" ? links[0] : null)
+	);
+}
+
+function atomAuthor(element) {
+	const author = children(element, "author")[0];
+	return author
+		? childText(author, "name") || childText(author, "email")
+		: null;
+}
+
+function parseAtom(root, url) {
+	const feedAuthor = atomAuthor(root);
+	return {
+		format: "atom",
+		title: childText(root, "title"),
+		link: resolveUrl(atomLink(root)?.getAttribute("href"), url),
+		description: childText(root, "subtitle"),
+		entries: children(root, "entry").map((entry) => {
+			const enclosure = atomLink(entry, "enclosure");
+			return {
+				id: childText(entry, "id"),
+				title: childText(entry, "title"),
+				link: resolveUrl(atomLink(entry)?.getAttribute("href"), url),
+				published: normalizeDate(childText(entry, "published", "updated")),
+				updated: normalizeDate(childText(entry, "updated")),
+				author: atomAuthor(entry) || feedAuthor,
+				summary: htmlToText(childText(entry, "summary", "content")),
+				enclosure: enclosure
+					? {
+							url: resolveUrl(enclosure.getAttribute("href"), url),
+							type: enclosure.getAttribute("type"),
+							length: toLength(enclosure.getAttribute("length")),
+						}
+					: null,
+			};
+		}),
+	};
+}
+
+function parseRss(root, url) {
+	// RSS 2.0 nests items in <channel>; RSS 1.0 (RDF) puts them beside it
+	const channel = children(root, "channel")[0] || root;
+	const items = [...children(channel, "item"), ...children(root, "item")];
+	return {
+		format: "rss",
+		title: childText(channel, "title"),
+		link: resolveUrl(childText(channel, "link"), url),
+		description: htmlToText(childText(channel, "description")),
+		entries: [...new Set(items)].map((item) => {
+			const enclosure = children(item, "enclosure")[0];
+			return {
+				id: childText(item, "guid"),
+				title: childText(item, "title"),
+				link: resolveUrl(childText(item, "link"), url),
+				// pubDate, or Dublin Core's dc:date
+				published: normalizeDate(childText(item, "pubDate", "date")),
+				updated: normalizeDate(childText(item, "updated", "modified")),
+				// author, or Dublin Core's dc:creator
+				author: childText(item, "author", "creator"),
+				// description, or the full content:encoded
+				summary: htmlToText(childText(item, "description", "encoded")),
+				enclosure: enclosure
+					? {
+							url: resolveUrl(enclosure.getAttribute("url"), url),
+							type: enclosure.getAttribute("type"),
+							length: toLength(enclosure.getAttribute("length")),
+						}
+					: null,
+			};
+		}),
+	};
+}
+
+const jsonAuthor = (author) => author?.name || author?.url || null;
+
+function parseJsonFeed(text, url) {
+	let feed;
+	try {
+		feed = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`Feed is not valid JSON: ${error.message}`);
+	}
+	if (typeof feed?.version !== "string" || !feed.version.includes("jsonfeed")) {
+		throw new Error("Not a JSON Feed (missing jsonfeed.org version)");
+	}
+	// Version 1.1 has an authors list; 1.0 had a single author
+	const feedAuthor = jsonAuthor(feed.authors?.[0] || feed.author);
+	return {
+		format: "json",
+		title: feed.title || null,
+		link: resolveUrl(feed.home_page_url, url),
+		description: feed.description || null,
+		entries: (Array.isArray(feed.items) ? feed.items : []).map((item) => {
+			const attachment = item.attachments?.[0];
+			return {
+				id: item.id == null ? null : String(item.id),
+				title: item.title || null,
+				link: resolveUrl(item.url || item.external_url, url),
+				published: normalizeDate(item.date_published || item.date_modified),
+				updated: normalizeDate(item.date_modified),
+				author: jsonAuthor(item.authors?.[0] || item.author) || feedAuthor,
+				summary:
+					item.summary || item.content_text || htmlToText(item.content_html),
+				enclosure: attachment
+					? {
+							url: resolveUrl(attachment.url, url),
+							type: attachment.mime_type || null,
+							length: toLength(attachment.size_in_bytes),
+						}
+					: null,
+			};
+		}),
+	};
+}
+
+function toLength(value) {
+	const length = Number.parseInt(value, 10);
+	return Number.isNaN(length) ? null : length;
+}
+
+/**
+ * Parse an RSS (0.9x, 1.0 or 2.0), Atom or JSON Feed into one shape. Relative
+ * links are resolved against `url`, and summaries are plain text.
+ *
+ * @returns {{format: "rss"|"atom"|"json", title: string|null, link: string|null, description: string|null, entries: Object[]}}
+ *   Each entry has id, title, link, published, updated, author, summary and
+ *   enclosure (`{url, type, length}` or null).
+ */
+export function parseFeed(text, url) {
+	if (text.trimStart().startsWith("{")) return parseJsonFeed(text, url);
+	const root = parseXml(text, "Feed").documentElement;
+	if (root.localName === "feed") return parseAtom(root, url);
+	if (root.localName === "rss" || root.localName === "RDF") {
+		return parseRss(root, url);
+	}
+	throw new Error(
+		`Not an RSS, Atom or JSON feed (root element <${root.nodeName}>)`,
+	);
+}
+
+/**
+ * Fetch a feed and return its entries, optionally only those published on or
+ * after `since` or mentioning `match` in their title or summary.
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL of the RSS, Atom or JSON feed
+ * @param {string} [options.since] - Only entries published or updated on or after this date
+ * @param {string} [options.match] - Only entries whose title or summary contains this text
+ * @param {number} [options.maxEntries=50] - Max entries to return, in feed order
+ * @param {number} [options.summaryChars=500] - Max characters per summary
+ * @param {number} [options.timeoutMs=15000] - Request timeout
+ */
+export async function readFeed({
+	url,
+	since,
+	match,
+	maxEntries = 50,
+	summaryChars = 500,
+	timeoutMs = 15000,
+	// Dependency injection for testing
+	_politeness = getPoliteness(),
+	_networkPolicy = getNetworkPolicy(),
+}) {
+	const parsedUrl = new URL(url);
+	if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+		throw new Error("Only http/https URLs are allowed");
+	}
+	const sinceTime = since ? Date.parse(since) : null;
+	if (Number.isNaN(sinceTime)) {
+		throw new Error(`Invalid since date: ${since}`);
+	}
+
+	const text = await fetchText(url, {
+		timeoutMs,
+		_politeness,
+		_networkPolicy,
+	});
+	const feed = parseFeed(text, url);
+
+	const needle = match?.toLowerCase();
+	const entries = feed.entries
+		.filter(
+			(entry) =>
+				sinceTime === null ||
+				Date.parse(entry.published) >= sinceTime ||
+				Date.parse(entry.updated) >= sinceTime,
+		)
+		.filter(
+			(entry) =>
+				!needle ||
+				entry.title?.toLowerCase().includes(needle) ||
+				entry.summary?.toLowerCase().includes(needle),
+		);
+
+	return {
+		url,
+		format: feed.format,
+		title: feed.title,
+		link: feed.link,
+		description: feed.description,
+		totalEntries: feed.entries.length,
+		matchCount: entries.length,
+		entries: entries.slice(0, maxEntries).map((entry) => ({
+			...entry,
+			summary:
+				entry.summary && entry.summary.length > summaryChars
+					? `${entry.summary.slice(0, summaryChars)}…`
+					: entry.summary,
+		})),
+		truncated: entries.length > maxEntries,
+		fetchedAt: new Date().toISOString(),
+	};
+}
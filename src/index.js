@@ -2,6 +2,10 @@ import { spawn } from "node:child_process";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
+import { closeBrowserPools } from "./browser-pool.js";
+import { openProfileSession } from "./browser-profiles.js";
+import { readFeed } from "./feeds.js";
+import { discoverSite } from "./site-discovery.js";
 import {
 	askStashDocument,
 	extractFromStash,
@@ -15,7 +19,8 @@ import {
 } from "./stash/index.js";
 import { getInboxPath } from "./stash/paths.js";
 import { askWeb } from "./web-ask.js";
-import { extractFromUrl } from "./web-extract.js";
+import { crawlSite } from "./web-crawl.js";
+import { extractFromUrl, manageCache } from "./web-extract.js";
 import { fetchWebPage } from "./web-fetch.js";
 import { searchWeb } from "./web-search.js";
 
@@ -48,6 +53,154 @@ function openFolder(folderPath, { _spawn = spawn } = {}) {
 	});
 }
 
+// Scripted interactions shared by the web tools
+const pageAction = (type, shape) =>
+	z.object({
+		type: z.literal(type),
+		...shape,
+		optional: z
+			.boolean()
+			.optional()
+			.describe("Continue if this action fails (default: false)"),
+		timeoutMs: z
+			.number()
+			.int()
+			.positive()
+			.optional()
+			.describe("Timeout for this action (default: 5000)"),
+	});
+
+const pageActionSchema = z.discriminatedUnion("type", [
+	pageAction("click", { selector: z.string() }),
+	pageAction("type", { selector: z.string(), text: z.string() }),
+	pageAction("press", {
+		key: z.string().describe("Key name, e.g. Enter, Escape, PageDown"),
+		selector: z.string().optional(),
+	}),
+	pageAction("scroll", {
+		selector: z.string().optional().describe("Scroll this element into view"),
+		to: z.enum(["top", "bottom"]).optional(),
+		x: z.number().optional(),
+		y: z.number().optional().describe("Pixels to scroll down (negative: up)"),
+	}),
+	pageAction("waitForSelector", {
+		selector: z.string(),
+		state: z.enum(["attached", "detached", "visible", "hidden"]).optional(),
+	}),
+	pageAction("select", {
+		selector: z.string(),
+		values: z.array(z.string()).describe("Option values (or labels) to select"),
+	}),
+	pageAction("wait", { ms: z.number().int().nonnegative() }),
+]);
+
+const scrollToLoadSchema = z
+	.union([
+		z.boolean(),
+		z.object({
+			maxScrolls: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum number of scrolls (default: 20)"),
+			maxTimeMs: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum time spent scrolling (default: 15000)"),
+		}),
+	])
+	.optional();
+
+// Wait strategies shared by the web tools
+const pageWaitOptions = {
+	waitUntil: z
+		.enum(["commit", "domcontentloaded", "load", "networkidle"])
+		.optional()
+		.describe(
+			"Page load event to wait for (default: domcontentloaded). " +
+				"Use networkidle for single-page apps that fetch content after load",
+		),
+	waitForSelector: z
+		.string()
+		.optional()
+		.describe("Wait until an element matching this CSS selector appears"),
+	waitForText: z
+		.string()
+		.optional()
+		.describe("Wait until this text appears on the page"),
+	waitForFunction: z
+		.string()
+		.optional()
+		.describe(
+			"Wait until this JavaScript expression is truthy in the page, " +
+				"e.g. \"document.querySelectorAll('.item').length > 10\"",
+		),
+};
+
+const blockResourcesSchema = z
+	.union([
+		z.boolean(),
+		z.array(
+			z.enum([
+				"image",
+				"media",
+				"font",
+				"stylesheet",
+				"script",
+				"xhr",
+				"fetch",
+				"websocket",
+				"other",
+				"trackers",
+			]),
+		),
+	])
+	.optional();
+
+const profileSchema = z
+	.string()
+	.optional()
+	.describe(
+		"Named browser profile to use (keeps cookies and logins). " +
+			"Create and log in with friendly_browser_login first",
+	);
+
+// Browser context customization shared by the web tools
+const requestOptions = {
+	headers: z
+		.record(z.string(), z.string())
+		.optional()
+		.describe("Extra HTTP headers to send with every request"),
+	userAgent: z.string().optional().describe("User agent string to send"),
+	locale: z
+		.string()
+		.optional()
+		.describe(
+			"Browser locale, e.g. 'de-DE'. Also sets the Accept-Language header",
+		),
+	timezone: z
+		.string()
+		.optional()
+		.describe("IANA timezone to emulate, e.g. 'America/New_York'"),
+	viewport: z
+		.object({
+			width: z.number().int().positive(),
+			height: z.number().int().positive(),
+		})
+		.optional()
+		.describe("Viewport size in pixels"),
+	device: z
+		.string()
+		.optional()
+		.describe(
+			"Playwright device to emulate, e.g. 'iPhone 13' or 'Pixel 7' " +
+				"(sets user agent, viewport and touch support)",
+		),
+};
+
 // friendly_web_fetch - Fetch a web page and return its content
 server.registerTool(
 	"friendly_web_fetch",
@@ -56,6 +209,7 @@ server.registerTool(
 		description:
 			"Fetch a web page and return its content as markdown (with links), plain text, or HTML. " +
 			"Returns page metadata (og:tags, author, canonical URL). " +
+			"Can also return a PNG screenshot of the rendered page. " +
 			"For PDFs, pagination, or searching within content, use friendly_web_extract instead.",
 		inputSchema: {
 			url: z.string().url().describe("The URL to fetch"),
@@ -71,6 +225,9 @@ server.registerTool(
 				.describe(
 					"Extra milliseconds to wait after page load (for dynamic content)",
 				),
+			...pageWaitOptions,
+			profile: profileSchema,
+			...requestOptions,
 			timeoutMs: z
 				.number()
 				.int()
@@ -87,18 +244,93 @@ server.registerTool(
 				.boolean()
 				.optional()
 				.describe("Also return the raw HTML (default: false)"),
+			includeLinks: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also return the page's links with absolute URL, anchor text, rel, " +
+						"internal/external, and position in the main content (default: false)",
+				),
+			includeStructuredData: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also return structured data: JSON-LD, microdata, RDFa, and all " +
+						"og:*, twitter:*, article:* and citation_* meta tags, plus a summary " +
+						"of title, authors, dates and DOI (default: false)",
+				),
 			headless: z
 				.boolean()
 				.optional()
 				.describe("Run browser without UI (default: true)"),
+			blockResources: blockResourcesSchema.describe(
+				"Block images, media, fonts and ad/tracker requests for faster loads (true), " +
+					"or only these resource types (default: false)",
+			),
+			screenshot: z
+				.enum(["viewport", "fullPage"])
+				.optional()
+				.describe(
+					"Also return a PNG screenshot of the visible viewport or the full scrollable page",
+				),
+			screenshotSelector: z
+				.string()
+				.optional()
+				.describe(
+					"CSS selector of an element to screenshot (clips the screenshot to that element)",
+				),
+			selector: z
+				.string()
+				.optional()
+				.describe(
+					"CSS selector for the region to extract, instead of letting Readability pick the main content",
+				),
+			excludeSelectors: z
+				.array(z.string())
+				.optional()
+				.describe(
+					"CSS selectors for elements to remove before extraction (e.g. nav, ads, comments)",
+				),
+			actions: z
+				.array(pageActionSchema)
+				.optional()
+				.describe(
+					"Interactions to perform in order before capturing content " +
+						"(click, type, press, scroll, waitForSelector, select, wait), " +
+						"e.g. to dismiss cookie walls or expand 'show more' sections",
+				),
+			scrollToLoad: scrollToLoadSchema.describe(
+				"Scroll to the bottom until the page stops growing, so lazy-loaded " +
+					"comments, feeds and images are captured. Pass true or { maxScrolls, maxTimeMs }",
+			),
 		},
 	},
 	async (args) => {
 		try {
-			const result = await fetchWebPage(args);
-			return {
-				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
-			};
+			const { screenshot, ...result } = await fetchWebPage(args);
+			const content = [
+				{
+					type: "text",
+					text: JSON.stringify(
+						{
+							...result,
+							screenshot: screenshot
+								? { mode: screenshot.mode, selector: screenshot.selector }
+								: undefined,
+						},
+						null,
+						2,
+					),
+				},
+			];
+			if (screenshot) {
+				content.push({
+					type: "image",
+					data: screenshot.data,
+					mimeType: screenshot.mimeType,
+				});
+			}
+			return { content };
 		} catch (error) {
 			const message = error instanceof Error ? error.message : String(error);
 			return {
@@ -160,17 +392,22 @@ server.registerTool(
 	},
 );
 
-// friendly_web_extract - Extract content from a URL (auto-detects PDF vs web page)
+// friendly_web_extract - Extract content from a URL (auto-detects PDFs, documents and web pages)
 server.registerTool(
 	"friendly_web_extract",
 	{
 		title: "Extract from URL",
 		description:
-			"Extract content from a URL (auto-detects PDF vs web page). " +
-			"For PDFs, returns text with metadata like title, author, and page count. " +
+			"Extract content from a URL (auto-detects PDF, DOCX, ODT, EPUB, CSV, JSON, XML, text file or web page). " +
+			"For PDFs, returns text with metadata like title, author, and page count, " +
+			"and can return the bookmark outline and read just one of its sections. " +
+			"DOCX, ODT and EPUB documents are returned as markdown; CSV files with their columns and row count. " +
 			"For web pages, extracts main content using Readability.",
 		inputSchema: {
-			url: z.string().url().describe("The URL to fetch (PDF or web page)"),
+			url: z
+				.string()
+				.url()
+				.describe("The URL to fetch (PDF, other document or web page)"),
 			maxChars: z
 				.number()
 				.int()
@@ -183,11 +420,27 @@ server.registerTool(
 				.nonnegative()
 				.optional()
 				.describe("Character offset to start from (default: 0)"),
+			pages: z
+				.string()
+				.optional()
+				.describe(
+					'Only read these pages, e.g. "3-7,12" or "10-" (PDF only). offset, maxChars and search apply within them',
+				),
+			section: z
+				.string()
+				.optional()
+				.describe(
+					"Only read the pages of the outline entry with this title, or the first containing it (PDF only). " +
+						"Use includeOutline to see the entries",
+				),
 			search: z
 				.string()
 				.optional()
 				.describe(
-					"Search for a phrase and return matches with context instead of full content",
+					"Search and return matching passages with context instead of full content. " +
+						"Searched for as written, unless it uses upper case AND, OR or NOT: then terms are combined with them " +
+						'and parentheses, adjacent terms are ANDed and "quotes" make phrases. ' +
+						"A passage matches if the whole query holds within contextChars of it",
 				),
 			contextChars: z
 				.number()
@@ -197,6 +450,37 @@ server.registerTool(
 				.describe(
 					"Characters of context around each search match (default: 200)",
 				),
+			regex: z
+				.boolean()
+				.optional()
+				.describe(
+					"Treat search as a JavaScript regular expression instead of a query (default: false)",
+				),
+			caseSensitive: z
+				.boolean()
+				.optional()
+				.describe("Match search case exactly (default: false)"),
+			maxMatches: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum search matches to return (default: 50)"),
+			tables: z
+				.enum(["json", "csv"])
+				.optional()
+				.describe(
+					"Return the page's tables (with captions, headers and merged cells expanded) " +
+						"as JSON rows or CSV instead of the content (web only)",
+				),
+			tableIndex: z
+				.number()
+				.int()
+				.nonnegative()
+				.optional()
+				.describe(
+					"With tables, only return the table at this index (web only)",
+				),
 			// Web-specific options (ignored for PDFs)
 			waitMs: z
 				.number()
@@ -206,18 +490,72 @@ server.registerTool(
 				.describe(
 					"Extra milliseconds to wait after page load for dynamic content (web only)",
 				),
+			...pageWaitOptions,
+			profile: profileSchema,
+			...requestOptions,
 			timeoutMs: z
 				.number()
 				.int()
 				.positive()
 				.optional()
 				.describe(
-					"Maximum time to wait for page load (default: 15000, web only)",
+					"Maximum time to wait for page load, downloads and other requests (default: 15000)",
 				),
 			headless: z
 				.boolean()
 				.optional()
 				.describe("Run browser without UI (default: true, web only)"),
+			blockResources: blockResourcesSchema.describe(
+				"Block images, media, fonts and ad/tracker requests (default: true), " +
+					"or only these resource types. Set to false if the page needs them to render its text (web only)",
+			),
+			refresh: z
+				.boolean()
+				.optional()
+				.describe("Refetch the URL even if it is cached (default: false)"),
+			includeLinks: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also return the page's links with absolute URL, anchor text, rel, " +
+						"internal/external, and position in the main content; " +
+						"for PDFs, the hyperlinks with their text and page (default: false)",
+				),
+			includeOutline: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also return the PDF's bookmark outline with the page each entry starts on (default: false, PDF only)",
+				),
+			includeMetadata: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also return the PDF's full Info dictionary and XMP metadata (default: false, PDF only)",
+				),
+			selector: z
+				.string()
+				.optional()
+				.describe(
+					"CSS selector for the region to extract, instead of letting Readability pick the main content (web only)",
+				),
+			excludeSelectors: z
+				.array(z.string())
+				.optional()
+				.describe(
+					"CSS selectors for elements to remove before extraction, e.g. nav, ads, comments (web only)",
+				),
+			actions: z
+				.array(pageActionSchema)
+				.optional()
+				.describe(
+					"Interactions to perform in order before extraction " +
+						"(click, type, press, scroll, waitForSelector, select, wait) (web only)",
+				),
+			scrollToLoad: scrollToLoadSchema.describe(
+				"Scroll to the bottom until the page stops growing, so lazy-loaded " +
+					"content is captured. Pass true or { maxScrolls, maxTimeMs } (web only)",
+			),
 		},
 	},
 	async (args) => {
@@ -238,16 +576,19 @@ server.registerTool(
 	},
 );
 
-// friendly_web_ask - Ask questions about a URL (auto-detects PDF vs web page)
+// friendly_web_ask - Ask questions about a URL (auto-detects PDFs, documents and web pages)
 server.registerTool(
 	"friendly_web_ask",
 	{
 		title: "Ask about URL",
 		description:
-			"Fetch a URL (PDF or web page) and have an LLM answer questions about it. " +
+			"Fetch a URL (PDF, other document such as DOCX or CSV, or web page) and have an LLM answer questions about it. " +
 			"Auto-detects content type. Keeps document out of main context.",
 		inputSchema: {
-			url: z.string().url().describe("The URL to fetch (PDF or web page)"),
+			url: z
+				.string()
+				.url()
+				.describe("The URL to fetch (PDF, other document or web page)"),
 			ask: z
 				.string()
 				.describe(
@@ -296,18 +637,29 @@ server.registerTool(
 				.describe(
 					"Extra milliseconds to wait after page load for dynamic content (web only)",
 				),
+			...pageWaitOptions,
+			profile: profileSchema,
+			...requestOptions,
 			timeoutMs: z
 				.number()
 				.int()
 				.positive()
 				.optional()
 				.describe(
-					"Maximum time to wait for page load (default: 15000, web only)",
+					"Maximum time to wait for page load, downloads and other requests (default: 15000)",
 				),
 			headless: z
 				.boolean()
 				.optional()
 				.describe("Run browser without UI (default: true, web only)"),
+			blockResources: blockResourcesSchema.describe(
+				"Block images, media, fonts and ad/tracker requests (default: true), " +
+					"or only these resource types. Set to false if the page needs them to render its text (web only)",
+			),
+			refresh: z
+				.boolean()
+				.optional()
+				.describe("Refetch the URL even if it is cached (default: false)"),
 		},
 	},
 	async (args) => {
@@ -326,6 +678,338 @@ server.registerTool(
 	},
 );
 
+// friendly_web_crawl - Crawl a site breadth-first and extract each page
+server.registerTool(
+	"friendly_web_crawl",
+	{
+		title: "Crawl website",
+		description:
+			"Crawl a site breadth-first from a URL, following links within a scope " +
+			"(same host, path prefix, or regex) and extracting each page's main content " +
+			"(or PDF text). Use this to ingest a documentation site or report series in one call.",
+		inputSchema: {
+			url: z.string().url().describe("The URL to start crawling from"),
+			scope: z
+				.enum(["host", "prefix", "regex"])
+				.optional()
+				.describe(
+					"Which links to follow: host (same host as the start URL), " +
+						"prefix (same origin and path prefix), or regex (URLs matching pattern). Default: host",
+				),
+			prefix: z
+				.string()
+				.optional()
+				.describe(
+					'Path prefix for scope "prefix", e.g. /docs/ (default: the start URL\'s directory)',
+				),
+			pattern: z
+				.string()
+				.optional()
+				.describe('Regex the full URL must match, for scope "regex"'),
+			excludePattern: z
+				.string()
+				.optional()
+				.describe("Skip URLs matching this regex, e.g. /changelog|/tag/"),
+			maxPages: z
+				.number()
+				.int()
+				.positive()
+				.max(200)
+				.optional()
+				.describe("Maximum pages to visit (default: 20)"),
+			maxDepth: z
+				.number()
+				.int()
+				.nonnegative()
+				.max(10)
+				.optional()
+				.describe("Maximum link hops from the start URL (default: 2)"),
+			maxCharsPerPage: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum characters of content per page (default: 4000)"),
+			maxChars: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe(
+					"Stop crawling once this many characters have been collected (default: 40000)",
+				),
+			waitMs: z
+				.number()
+				.int()
+				.nonnegative()
+				.optional()
+				.describe(
+					"Extra milliseconds to wait after each page load for dynamic content",
+				),
+			...pageWaitOptions,
+			profile: profileSchema,
+			...requestOptions,
+			timeoutMs: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum time to wait for each page load (default: 15000)"),
+			headless: z
+				.boolean()
+				.optional()
+				.describe("Run browser without UI (default: true)"),
+			blockResources: blockResourcesSchema.describe(
+				"Block images, media, fonts and ad/tracker requests (default: true), " +
+					"or only these resource types. Set to false if pages need them to render their text",
+			),
+			selector: z
+				.string()
+				.optional()
+				.describe(
+					"CSS selector for the region to extract on each page, instead of letting Readability pick the main content",
+				),
+			excludeSelectors: z
+				.array(z.string())
+				.optional()
+				.describe(
+					"CSS selectors for elements to remove before extraction, e.g. nav, ads, comments",
+				),
+		},
+	},
+	async (args) => {
+		try {
+			const result = await crawlSite(args);
+			return {
+				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+			};
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			return {
+				content: [{ type: "text", text: `Error crawling: ${message}` }],
+				isError: true,
+			};
+		}
+	},
+);
+
+// friendly_site_discover - Find a site's pages from its sitemaps and feeds
+server.registerTool(
+	"friendly_site_discover",
+	{
+		title: "Discover site pages",
+		description:
+			"Find a site's pages from its sitemaps (listed in robots.txt, or /sitemap.xml) " +
+			"and the RSS/Atom feeds linked from a page, with last-modified or published dates " +
+			"and titles, newest first. Use this to find recent or relevant pages without scraping navigation.",
+		inputSchema: {
+			url: z
+				.string()
+				.url()
+				.describe(
+					"The site to discover, usually its homepage (feeds are read from this page)",
+				),
+			since: z
+				.string()
+				.optional()
+				.describe(
+					"Only return URLs modified or published on or after this date, e.g. 2025-01-01",
+				),
+			match: z
+				.string()
+				.optional()
+				.describe("Only return URLs whose address or title contains this text"),
+			maxUrls: z
+				.number()
+				.int()
+				.positive()
+				.max(5000)
+				.optional()
+				.describe("Maximum URLs to return, newest first (default: 200)"),
+			maxSitemaps: z
+				.number()
+				.int()
+				.positive()
+				.max(100)
+				.optional()
+				.describe(
+					"Maximum sitemap files to fetch, following sitemap indexes newest first (default: 10)",
+				),
+			timeoutMs: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Timeout per request in milliseconds (default: 15000)"),
+		},
+	},
+	async (args) => {
+		try {
+			const result = await discoverSite(args);
+			return {
+				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+			};
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			return {
+				content: [{ type: "text", text: `Error discovering site: ${message}` }],
+				isError: true,
+			};
+		}
+	},
+);
+
+// friendly_feed_read - Read an RSS, Atom or JSON feed
+server.registerTool(
+	"friendly_feed_read",
+	{
+		title: "Read feed",
+		description:
+			"Fetch an RSS, Atom or JSON Feed and return its entries normalized to " +
+			"title, link, date, author, plain-text summary and enclosure, " +
+			"optionally filtered by date and keyword. Use friendly_site_discover to find a site's feeds.",
+		inputSchema: {
+			url: z.string().url().describe("The feed URL"),
+			since: z
+				.string()
+				.optional()
+				.describe(
+					"Only return entries published or updated on or after this date, e.g. 2025-01-01",
+				),
+			match: z
+				.string()
+				.optional()
+				.describe(
+					"Only return entries whose title or summary contains this text",
+				),
+			maxEntries: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum entries to return, in feed order (default: 50)"),
+			summaryChars: z
+				.number()
+				.int()
+				.nonnegative()
+				.optional()
+				.describe("Maximum characters per entry summary (default: 500)"),
+			timeoutMs: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Request timeout in milliseconds (default: 15000)"),
+		},
+	},
+	async (args) => {
+		try {
+			const result = await readFeed(args);
+			return {
+				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+			};
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			return {
+				content: [{ type: "text", text: `Error reading feed: ${message}` }],
+				isError: true,
+			};
+		}
+	},
+);
+
+// friendly_cache - Inspect and manage the cache of extracted web content
+server.registerTool(
+	"friendly_cache",
+	{
+		title: "Manage Content Cache",
+		description:
+			"Inspect and manage the cache of content fetched by friendly_web_extract and friendly_web_ask. " +
+			"Actions: stats (size and hit/miss counters), list (cached URLs with sizes and fetch times), " +
+			"evict (one URL or every URL matching a pattern), clear (everything), " +
+			"refresh (refetch one URL now).",
+		inputSchema: {
+			action: z
+				.enum(["stats", "list", "evict", "clear", "refresh"])
+				.describe("What to do"),
+			url: z.string().url().optional().describe("URL to evict or refresh"),
+			pattern: z
+				.string()
+				.optional()
+				.describe(
+					"Regular expression for the URLs to list or evict, e.g. 'example\\.com/docs/'",
+				),
+			limit: z
+				.number()
+				.int()
+				.positive()
+				.max(500)
+				.optional()
+				.describe("Maximum number of entries to list (default: 50)"),
+			offset: z
+				.number()
+				.int()
+				.nonnegative()
+				.optional()
+				.describe("Number of entries to skip when listing (default: 0)"),
+		},
+	},
+	async (args) => {
+		try {
+			const result = await manageCache(args);
+			return {
+				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+			};
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			return {
+				content: [{ type: "text", text: `Error managing cache: ${message}` }],
+				isError: true,
+			};
+		}
+	},
+);
+
+// friendly_browser_login - Open a visible browser on a named profile for logging in
+server.registerTool(
+	"friendly_browser_login",
+	{
+		title: "Log In with Browser Profile",
+		description:
+			"Open a visible browser window using a named profile so the user can log in to sites " +
+			"(SSO, subscriptions). Logins are saved in the profile; pass the same `profile` to " +
+			"friendly_web_fetch, friendly_web_extract or friendly_web_ask to read pages as that user. " +
+			"Creates the profile if it doesn't exist.",
+		inputSchema: {
+			profile: z
+				.string()
+				.min(1)
+				.describe("Profile name, e.g. 'work' (letters, digits, '-' and '_')"),
+			url: z
+				.string()
+				.url()
+				.optional()
+				.describe("Page to open, e.g. the site's login page"),
+		},
+	},
+	async (args) => {
+		try {
+			const result = await openProfileSession(args);
+			return {
+				content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+			};
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			return {
+				content: [
+					{ type: "text", text: `Error opening browser profile: ${message}` },
+				],
+				isError: true,
+			};
+		}
+	},
+);
+
 // stash-process-inbox - Process documents in the inbox
 server.registerTool(
 	"stash_process_inbox",
@@ -705,3 +1389,17 @@ await initializeStash();
 // Start the server
 const transport = new StdioServerTransport();
 await server.connect(transport);
+
+// Shut down shared browsers when the client goes away, otherwise the
+// Chromium child processes keep us alive
+let shuttingDown = false;
+async function shutdown() {
+	if (shuttingDown) return;
+	shuttingDown = true;
+	await closeBrowserPools().catch(() => {});
+	process.exit(0);
+}
+process.stdin.on("end", shutdown);
+process.stdin.on("close", shutdown);
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,336 @@
+import dns from "node:dns/promises";
+import net from "node:net";
+import { Agent } from "undici";
+import { getConfig } from "./config.js";
+
+const MAX_REDIRECTS = 10;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges that a web tool should never be pointed at by default
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+	["0.0.0.0", 8],
+	["10.0.0.0", 8],
+	["100.64.0.0", 10],
+	["127.0.0.0", 8],
+	["169.254.0.0", 16],
+	["172.16.0.0", 12],
+	["192.0.0.0", 24],
+	["192.0.2.0", 24],
+	["192.168.0.0", 16],
+	["198.18.0.0", 15],
+	["198.51.100.0", 24],
+	["203.0.113.0", 24],
+	["224.0.0.0", 4],
+	["240.0.0.0", 4],
+]) {
+	privateRanges.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+	// :: and ::1 are IPv4-compatible addresses of 0.0.0.0 and 0.0.0.1
+	["64:ff9b:1::", 48],
+	["100::", 64],
+	["2001:db8::", 32],
+	["fc00::", 7],
+	["fe80::", 10],
+	["ff00::", 8],
+]) {
+	privateRanges.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * Raised when a URL is refused by the network policy, so callers can tell it
+ * apart from ordinary network failures.
+ */
+export class NetworkPolicyError extends Error {
+	constructor(message) {
+		super(`Blocked by network policy: ${message}`);
+		this.name = "NetworkPolicyError";
+	}
+}
+
+// IPv4-compatible (::/96), IPv4-mapped (::ffff:0:0/96) and NAT64
+// (64:ff9b::/96) addresses reach the IPv4 address in their low 32 bits
+const EMBEDDED_IPV4_PREFIXES = [
+	"0:0:0:0:0:0",
+	"0:0:0:0:0:ffff",
+	"64:ff9b:0:0:0:0",
+];
+
+// The eight 16-bit groups of an IPv6 address, however it is written
+function ipv6Groups(address) {
+	let text = address.split("%")[0].toLowerCase();
+	const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+	if (dotted) {
+		const [a, b, c, d] = dotted.slice(1).map(Number);
+		text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+	}
+	const parse = (part) =>
+		part ? part.split(":").map((group) => Number.parseInt(group, 16)) : [];
+	const [head, tail] = text.split("::");
+	if (tail === undefined) return parse(head);
+	const start = parse(head);
+	const end = parse(tail);
+	return [...start, ...Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+export function isPrivateAddress(address) {
+	if (net.isIPv4(address)) {
+		return privateRanges.check(address, "ipv4");
+	}
+	if (net.isIPv6(address)) {
+		const groups = ipv6Groups(address);
+		const prefix = groups
+			.slice(0, 6)
+			.map((group) => group.toString(16))
+			.join(":");
+		if (EMBEDDED_IPV4_PREFIXES.includes(prefix)) {
+			const [high, low] = groups.slice(6);
+			return isPrivateAddress(
+				`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`,
+			);
+		}
+		return privateRanges.check(address, "ipv6");
+	}
+	return false;
+}
+
+const normalizeHost = (host) =>
+	host
+		.toLowerCase()
+		.replace(/^\[|\]$/g, "")
+		.replace(/\.$/, "");
+
+// "example.com" (or "*.example.com") covers the domain and its subdomains
+function matchesDomain(host, domain) {
+	const normalized = normalizeHost(domain).replace(/^\*\./, "");
+	return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * Decides which URLs the web tools may load. Hosts on `denyDomains` are
+ * refused; if `allowDomains` is non-empty, only hosts on it are allowed; and
+ * unless `allowPrivateNetworks` is set, hosts that resolve to loopback,
+ * private or link-local addresses are refused.
+ *
+ * Requests made with `fetch()` connect through a lookup that checks the
+ * addresses it returns, so a host can't resolve to a public address for the
+ * check and a private one for the connection (DNS rebinding). Pages loaded
+ * in the browser are only checked with `check()`: the browser resolves hosts
+ * itself, so a host that changes its answer between the two can still reach
+ * a private address there.
+ */
+export class NetworkPolicy {
+	constructor({
+		allowPrivateNetworks = false,
+		allowDomains = [],
+		denyDomains = [],
+		_lookup = dns.lookup,
+		_fetch = globalThis.fetch,
+	} = {}) {
+		this.allowPrivateNetworks = allowPrivateNetworks;
+		this.allowDomains = allowDomains;
+		this.denyDomains = denyDomains;
+		this._lookup = _lookup;
+		this._fetch = _fetch;
+		this._dispatcher = null;
+	}
+
+	/**
+	 * True when the policy only checks the protocol, so pages need no guard
+	 */
+	get unrestricted() {
+		return (
+			this.allowPrivateNetworks &&
+			this.allowDomains.length === 0 &&
+			this.denyDomains.length === 0
+		);
+	}
+
+	/**
+	 * Throw a NetworkPolicyError if `url` may not be loaded
+	 */
+	async check(url) {
+		const parsedUrl = new URL(url);
+		if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+			throw new Error("Only http/https URLs are allowed");
+		}
+		const host = normalizeHost(parsedUrl.hostname);
+
+		if (this.denyDomains.some((domain) => matchesDomain(host, domain))) {
+			throw new NetworkPolicyError(`${host} is on the deny list`);
+		}
+		if (
+			this.allowDomains.length > 0 &&
+			!this.allowDomains.some((domain) => matchesDomain(host, domain))
+		) {
+			throw new NetworkPolicyError(`${host} is not on the allow list`);
+		}
+		if (this.allowPrivateNetworks) return;
+
+		let addresses;
+		if (net.isIP(host)) {
+			addresses = [host];
+		} else {
+			try {
+				const results = await this._lookup(host, { all: true });
+				addresses = results.map((result) => result.address);
+			} catch {
+				// Unresolvable hosts fail on their own when fetched
+				return;
+			}
+		}
+		const blocked = addresses.find((address) => isPrivateAddress(address));
+		if (blocked) {
+			throw new NetworkPolicyError(
+				host === blocked
+					? `${host} is a private address`
+					: `${host} resolves to a private address (${blocked})`,
+			);
+		}
+	}
+
+	/**
+	 * A net.connect() lookup that refuses private addresses, so connections
+	 * go to the addresses that were checked
+	 */
+	connectLookup(hostname, options, callback) {
+		this._lookup(hostname, { ...options, all: true })
+			.then((results) => {
+				const blocked = results.find((result) =>
+					isPrivateAddress(result.address),
+				);
+				if (blocked) {
+					throw new NetworkPolicyError(
+						`${hostname} resolves to a private address (${blocked.address})`,
+					);
+				}
+				const addresses = results.map(({ address }) => ({
+					address,
+					family: net.isIP(address),
+				}));
+				if (options.all) {
+					callback(null, addresses);
+				} else {
+					callback(null, addresses[0].address, addresses[0].family);
+				}
+			})
+			.catch((error) => callback(error));
+	}
+
+	// The undici dispatcher fetch() connects with, unless private networks are allowed
+	get dispatcher() {
+		if (this.allowPrivateNetworks) return undefined;
+		this._dispatcher ??= new Agent({
+			connect: {
+				lookup: (hostname, options, callback) =>
+					this.connectLookup(hostname, options, callback),
+			},
+		});
+		return this._dispatcher;
+	}
+
+	/**
+	 * fetch() for GET and HEAD requests that checks the URL and every
+	 * redirect hop against the policy
+	 */
+	async fetch(url, options = {}) {
+		let currentUrl = url;
+		for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+			await this.check(currentUrl);
+			let response;
+			try {
+				response = await this._fetch(currentUrl, {
+					...options,
+					redirect: "manual",
+					dispatcher: this.dispatcher,
+				});
+			} catch (error) {
+				// fetch() wraps errors from the lookup
+				if (error.cause instanceof NetworkPolicyError) throw error.cause;
+				throw error;
+			}
+			const location = response.headers.get("location");
+			if (response.status < 300 || response.status >= 400 || !location) {
+				return response;
+			}
+			currentUrl = new URL(location, currentUrl).href;
+		}
+		throw new Error(`Too many redirects: ${url}`);
+	}
+}
+
+/**
+ * Enforce the policy on everything a Playwright page loads. Requests to
+ * refused hosts are aborted. Browsers follow redirects without consulting
+ * route handlers, so navigations are fetched here one hop at a time and every
+ * hop is checked.
+ *
+ * Returns a guard whose `verify(response)` throws the first policy error hit
+ * by a navigation, so callers can report it instead of a generic network
+ * error. Given the navigation's response, it also re-checks each redirect
+ * hop that led to it.
+ */
+export async function guardPage(page, policy) {
+	const errors = [];
+	const guard = {
+		async verify(response) {
+			if (errors.length > 0) throw errors[0];
+			if (!response || !policy) return;
+			let request = response.request?.()?.redirectedFrom();
+			while (request) {
+				await policy.check(request.url());
+				request = request.redirectedFrom();
+			}
+		},
+	};
+	if (!policy || policy.unrestricted) return guard;
+
+	await page.route("**/*", async (route) => {
+		const request = route.request();
+		try {
+			await policy.check(request.url());
+		} catch (error) {
+			if (request.isNavigationRequest()) errors.push(error);
+			await route.abort("blockedbyclient");
+			return;
+		}
+
+		if (!request.isNavigationRequest()) {
+			await route.continue();
+			return;
+		}
+		let response;
+		try {
+			response = await route.fetch({ maxRedirects: 0 });
+		} catch {
+			await route.abort("failed");
+			return;
+		}
+		// A redirect is fulfilled as-is; the browser then requests its
+		// target, which comes back through this handler
+		await route.fulfill({ response });
+	});
+	return guard;
+}
+
+let networkPolicy = null;
+
+/**
+ * The shared network policy, configured from the `network` section of
+ * config.json.
+ */
+export function getNetworkPolicy() {
+	if (!networkPolicy) {
+		networkPolicy = new NetworkPolicy(getConfig().network);
+	}
+	return networkPolicy;
+}
+
+/**
+ * Replace the shared network policy's settings (e.g. in tests)
+ */
+export function configureNetworkPolicy(options) {
+	networkPolicy = new NetworkPolicy(options);
+	return networkPolicy;
+}
@@ -0,0 +1,271 @@
+import { guardPage } from "./network-policy.js";
+import {
+	blockPageResources,
+	resolveBlockedResources,
+} from "./resource-blocking.js";
+
+const DEFAULT_ACTION_TIMEOUT_MS = 5000;
+
+async function runAction(page, action, timeout) {
+	switch (action.type) {
+		case "click":
+			await page.click(action.selector, { timeout });
+			return;
+		case "type":
+			await page.fill(action.selector, action.text, { timeout });
+			return;
+		case "press":
+			if (action.selector) {
+				await page.press(action.selector, action.key, { timeout });
+			} else {
+				await page.keyboard.press(action.key);
+			}
+			return;
+		case "scroll":
+			if (action.selector) {
+				await page.waitForSelector(action.selector, { timeout });
+			}
+			await page.evaluate(
+				({ selector, to, x = 0, y = 0 }) => {
+					if (selector) {
+						document.querySelector(selector)?.scrollIntoView();
+					} else if (to === "bottom") {
+						window.scrollTo(0, document.documentElement.scrollHeight);
+					} else if (to === "top") {
+						window.scrollTo(0, 0);
+					} else {
+						window.scrollBy(x, y);
+					}
+				},
+				{
+					selector: action.selector,
+					to: action.to,
+					x: action.x,
+					y: action.y,
+				},
+			);
+			return;
+		case "waitForSelector":
+			await page.waitForSelector(action.selector, {
+				timeout,
+				state: action.state,
+			});
+			return;
+		case "select":
+			await page.selectOption(action.selector, action.values, { timeout });
+			return;
+		case "wait":
+			await page.waitForTimeout(action.ms);
+			return;
+		default:
+			throw new Error(`Unknown page action: ${action.type}`);
+	}
+}
+
+/**
+ * Run scripted interactions on a page, in order, before content is captured.
+ *
+ * Supported action types: click, type, press, scroll, waitForSelector,
+ * select and wait. A failing action aborts the run unless it is marked
+ * `optional` (useful for cookie banners that only sometimes appear).
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object[]} actions - Actions to perform
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Default timeout per action
+ * @returns {Promise<Array<{type: string, ok: boolean, error?: string}>>}
+ */
+export async function runPageActions(
+	page,
+	actions,
+	{ timeoutMs = DEFAULT_ACTION_TIMEOUT_MS } = {},
+) {
+	const results = [];
+	for (const [index, action] of actions.entries()) {
+		try {
+			await runAction(page, action, action.timeoutMs ?? timeoutMs);
+			results.push({ type: action.type, ok: true });
+		} catch (error) {
+			const message = error instanceof Error ? error.message : String(error);
+			if (!action.optional) {
+				throw new Error(
+					`Action ${index + 1} (${action.type}) failed: ${message}`,
+				);
+			}
+			results.push({ type: action.type, ok: false, error: message });
+		}
+	}
+	return results;
+}
+
+const DEFAULT_MAX_SCROLLS = 20;
+const DEFAULT_SCROLL_MAX_TIME_MS = 15000;
+const DEFAULT_SCROLL_SETTLE_MS = 750;
+
+/**
+ * Scroll to the bottom repeatedly until the document stops growing, so that
+ * lazy-loaded content (comments, feeds, images) is in the DOM before capture.
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} [options]
+ * @param {number} [options.maxScrolls=20] - Give up after this many scrolls
+ * @param {number} [options.maxTimeMs=15000] - Give up after this long
+ * @param {number} [options.settleMs=750] - Wait after each scroll for content to load
+ * @returns {Promise<{scrolls: number, finalHeight: number, stoppedBecause: "stable"|"maxScrolls"|"maxTime"}>}
+ */
+export async function scrollToLoad(
+	page,
+	{
+		maxScrolls = DEFAULT_MAX_SCROLLS,
+		maxTimeMs = DEFAULT_SCROLL_MAX_TIME_MS,
+		settleMs = DEFAULT_SCROLL_SETTLE_MS,
+	} = {},
+) {
+	const deadline = Date.now() + maxTimeMs;
+	const getHeight = () =>
+		page.evaluate(() => document.documentElement.scrollHeight);
+
+	let height = await getHeight();
+	let scrolls = 0;
+	let stoppedBecause = "maxScrolls";
+
+	while (scrolls < maxScrolls) {
+		if (Date.now() >= deadline) {
+			stoppedBecause = "maxTime";
+			break;
+		}
+		await page.evaluate(() =>
+			window.scrollTo(0, document.documentElement.scrollHeight),
+		);
+		scrolls++;
+		await page.waitForTimeout(settleMs);
+
+		const newHeight = await getHeight();
+		if (newHeight <= height) {
+			stoppedBecause = "stable";
+			break;
+		}
+		height = newHeight;
+	}
+
+	return { scrolls, finalHeight: height, stoppedBecause };
+}
+
+/**
+ * Wait for a condition that signals the page has rendered what we need
+ */
+async function waitForReady(
+	page,
+	{ waitForSelector, waitForText, waitForFunction, timeoutMs },
+) {
+	if (waitForSelector) {
+		await page
+			.waitForSelector(waitForSelector, { timeout: timeoutMs })
+			.catch((error) => {
+				throw new Error(
+					`Timed out waiting for selector "${waitForSelector}": ${error.message}`,
+				);
+			});
+	}
+	if (waitForText) {
+		await page
+			.waitForFunction(
+				(text) => document.body?.innerText.includes(text),
+				waitForText,
+				{ timeout: timeoutMs },
+			)
+			.catch((error) => {
+				throw new Error(
+					`Timed out waiting for text "${waitForText}": ${error.message}`,
+				);
+			});
+	}
+	if (waitForFunction) {
+		await page
+			.waitForFunction(waitForFunction, undefined, { timeout: timeoutMs })
+			.catch((error) => {
+				throw new Error(
+					`Timed out waiting for function "${waitForFunction}": ${error.message}`,
+				);
+			});
+	}
+}
+
+/**
+ * Navigate to a URL and get the page ready for capture: wait for it to load,
+ * run scripted actions, expand lazy-loaded content and pause if asked.
+ *
+ * @param {Object} page - Playwright page
+ * @param {string} url - URL to load
+ * @param {Object} [options]
+ * @param {string} [options.waitUntil="domcontentloaded"] - Navigation event to wait for (commit, domcontentloaded, load, networkidle)
+ * @param {number} [options.timeoutMs=15000] - Max time for navigation and each wait condition
+ * @param {string} [options.waitForSelector] - Wait until an element matches this CSS selector
+ * @param {string} [options.waitForText] - Wait until this text appears on the page
+ * @param {string} [options.waitForFunction] - Wait until this JS expression is truthy
+ * @param {Object[]} [options.actions] - Interactions to perform (see runPageActions)
+ * @param {boolean|Object} [options.scrollToLoad] - Expand lazy-loaded content (see scrollToLoad)
+ * @param {number} [options.waitMs=0] - Extra wait at the end
+ * @param {Object} [options.networkPolicy] - NetworkPolicy every request (and redirect) must pass
+ * @param {boolean|string[]} [options.blockResources=false] - Resource types to block (see resolveBlockedResources)
+ * @returns {Promise<{response: Object, actions?: Object[], scroll?: Object}>}
+ */
+export async function loadPage(
+	page,
+	url,
+	{
+		waitUntil = "domcontentloaded",
+		timeoutMs = 15000,
+		waitForSelector,
+		waitForText,
+		waitForFunction,
+		actions,
+		scrollToLoad: scrollOptions,
+		waitMs = 0,
+		networkPolicy,
+		blockResources = false,
+	} = {},
+) {
+	// Route handlers run newest first, so blocking happens before the guard
+	const guard = await guardPage(page, networkPolicy);
+	await blockPageResources(page, resolveBlockedResources(blockResources));
+	let response;
+	try {
+		response = await page.goto(url, { waitUntil, timeout: timeoutMs });
+	} catch (error) {
+		await guard.verify();
+		throw error;
+	}
+	await guard.verify(response);
+	if (!response) {
+		throw new Error(`No response received for ${url}`);
+	}
+	const finalUrl = new URL(page.url());
+	if (!["http:", "https:"].includes(finalUrl.protocol)) {
+		throw new Error("Only http/https URLs are allowed");
+	}
+
+	await waitForReady(page, {
+		waitForSelector,
+		waitForText,
+		waitForFunction,
+		timeoutMs,
+	});
+
+	const result = { response };
+	if (actions?.length) {
+		result.actions = await runPageActions(page, actions);
+	}
+	if (scrollOptions) {
+		result.scroll = await scrollToLoad(
+			page,
+			typeof scrollOptions === "object" ? scrollOptions : {},
+		);
+	}
+	if (waitMs > 0) {
+		await page.waitForTimeout(waitMs);
+	}
+	// Actions may have navigated somewhere the policy refused
+	await guard.verify();
+	return result;
+}
@@ -0,0 +1,153 @@
+import { Readability } from "@mozilla/readability";
+import { JSDOM } from "jsdom";
+
+/**
+ * Narrow a document to the region the caller asked for.
+ * Elements matching any of `excludeSelectors` are removed from the document.
+ * Returns the elements matching `selector`, or null when no selector is given.
+ */
+export function scopeDocument(document, { selector, excludeSelectors } = {}) {
+	for (const exclude of excludeSelectors || []) {
+		for (const element of document.querySelectorAll(exclude)) {
+			element.remove();
+		}
+	}
+
+	if (!selector) return null;
+
+	const elements = Array.from(document.querySelectorAll(selector));
+	if (elements.length === 0) {
+		throw new Error(`No elements match selector: ${selector}`);
+	}
+	// Drop matches nested inside other matches so content isn't repeated
+	return elements.filter(
+		(element) =>
+			!elements.some((other) => other !== element && other.contains(element)),
+	);
+}
+
+/**
+ * Collect the http(s) links in a set of anchor elements, in document order,
+ * keyed by absolute URL (fragment removed). The first occurrence wins.
+ */
+function collectAnchors(root) {
+	const links = new Map();
+	for (const anchor of root.querySelectorAll("a[href]")) {
+		const href = anchor.getAttribute("href");
+		if (!href || href.startsWith("#")) continue;
+		let linkUrl;
+		try {
+			linkUrl = new URL(href, anchor.ownerDocument.baseURI);
+		} catch {
+			continue;
+		}
+		if (!["http:", "https:"].includes(linkUrl.protocol)) continue;
+		linkUrl.hash = "";
+		const key = linkUrl.href;
+		if (!links.has(key)) {
+			links.set(key, anchor);
+		}
+	}
+	return links;
+}
+
+/**
+ * List the links on a page, with links in the main content first (in reading
+ * order), followed by the rest of the page (navigation, footers, sidebars).
+ */
+function extractLinks(document, mainHtml, url) {
+	const pageHost = new URL(url).hostname;
+	const mainDocument = new JSDOM(mainHtml, { url }).window.document;
+	const mainPositions = new Map();
+	for (const key of collectAnchors(mainDocument).keys()) {
+		mainPositions.set(key, mainPositions.size + 1);
+	}
+
+	const links = [];
+	for (const [key, anchor] of collectAnchors(document)) {
+		const rel = anchor.getAttribute("rel");
+		links.push({
+			url: key,
+			text: anchor.textContent.replace(/\s+/g, " ").trim(),
+			rel: rel ? rel.split(/\s+/).filter(Boolean) : [],
+			internal: new URL(key).hostname === pageHost,
+			inMainContent: mainPositions.has(key),
+			position: mainPositions.get(key) ?? null,
+		});
+	}
+
+	return links.sort((a, b) => {
+		if (a.position !== null && b.position !== null) {
+			return a.position - b.position;
+		}
+		if (a.position !== null) return -1;
+		if (b.position !== null) return 1;
+		return 0;
+	});
+}
+
+/**
+ * Pick the main content of a rendered page.
+ *
+ * With a `selector`, returns exactly the matching elements. Otherwise
+ * Readability decides (unless disabled); if it finds no article, the whole
+ * (cleaned) document is returned. With `includeLinks`, also lists the page's
+ * links, noting which ones appear in the main content.
+ *
+ * @param {string} rawHtml - Rendered page HTML
+ * @param {string} url - Page URL (used to resolve relative links)
+ * @param {Object} [options]
+ * @param {string} [options.selector] - CSS selector for the region to keep
+ * @param {string[]} [options.excludeSelectors] - CSS selectors to remove first
+ * @param {boolean} [options.readability=true] - Let Readability pick the article
+ * @param {boolean} [options.includeLinks=false] - List the page's links
+ * @returns {{html: string, text: string, source: "selector"|"readability"|"document", links?: Object[]}}
+ */
+export function extractMainContent(
+	rawHtml,
+	url,
+	{ selector, excludeSelectors, readability = true, includeLinks = false } = {},
+) {
+	const dom = new JSDOM(rawHtml, { url });
+	const { document } = dom.window;
+	const main = pickMainContent(document, {
+		selector,
+		excludeSelectors,
+		readability,
+	});
+	if (!includeLinks) return main;
+	return { ...main, links: extractLinks(document, main.html, url) };
+}
+
+function pickMainContent(
+	document,
+	{ selector, excludeSelectors, readability },
+) {
+	const scoped = scopeDocument(document, { selector, excludeSelectors });
+
+	if (scoped) {
+		return {
+			html: scoped.map((element) => element.outerHTML).join("\n"),
+			text: scoped.map((element) => element.textContent.trim()).join("\n\n"),
+			source: "selector",
+		};
+	}
+
+	// Readability mutates the document it parses, so give it a copy
+	const article = readability
+		? new Readability(document.cloneNode(true)).parse()
+		: null;
+	if (article?.content) {
+		return {
+			html: article.content,
+			text: article.textContent || "",
+			source: "readability",
+		};
+	}
+
+	return {
+		html: document.documentElement.outerHTML,
+		text: document.body?.textContent || "",
+		source: "document",
+	};
+}
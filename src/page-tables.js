@@ -0,0 +1,150 @@
+import { JSDOM } from "jsdom";
+import { scopeDocument } from "./page-content.js";
+
+// Guard against absurd spans (e.g. colspan="10000") blowing up the grid
+const MAX_SPAN = 1000;
+
+// Tables nested in a cell are listed on their own, so leave their text out
+function cellText(cell) {
+	const copy = cell.cloneNode(true);
+	for (const nested of copy.querySelectorAll("table")) nested.remove();
+	return copy.textContent.replace(/\s+/g, " ").trim();
+}
+
+function spanOf(cell, attribute, fallback) {
+	const value = Number.parseInt(cell.getAttribute(attribute), 10);
+	if (Number.isNaN(value) || value < 0) return 1;
+	// rowspan="0" means "to the end of the row group"
+	if (value === 0) return fallback;
+	return Math.min(value, MAX_SPAN);
+}
+
+/**
+ * Lay a table's rows out on a grid, copying spanned cells into every slot
+ * they cover so each row has one value per column.
+ */
+function tableGrid(table) {
+	const grid = [];
+	const headerFlags = [];
+	const rows = Array.from(table.rows);
+
+	rows.forEach((row, rowIndex) => {
+		// Row spans stop at the end of their <thead>/<tbody>/<tfoot>
+		const group = row.parentElement;
+		const groupRows = group.rows ? Array.from(group.rows) : rows;
+		const rowsLeftInGroup = groupRows.length - groupRows.indexOf(row);
+
+		grid[rowIndex] ||= [];
+		let column = 0;
+		for (const cell of row.cells) {
+			while (grid[rowIndex][column] !== undefined) column++;
+			const colspan = spanOf(cell, "colspan", 1);
+			const rowspan = Math.min(
+				spanOf(cell, "rowspan", rowsLeftInGroup),
+				rowsLeftInGroup,
+			);
+			const text = cellText(cell);
+			for (let r = 0; r < rowspan; r++) {
+				const target = rowIndex + r;
+				grid[target] ||= [];
+				for (let c = 0; c < colspan; c++) {
+					grid[target][column + c] = text;
+				}
+			}
+			column += colspan;
+		}
+
+		const cells = Array.from(row.cells);
+		headerFlags[rowIndex] =
+			group.localName === "thead" ||
+			(cells.length > 0 && cells.every((cell) => cell.localName === "th"));
+	});
+
+	return { grid, headerFlags };
+}
+
+/**
+ * Convert a `<table>` element to `{caption, headers, rows}`. Leading header
+ * rows (`<thead>` rows, or rows made only of `<th>` cells) become `headers`;
+ * multiple header rows are joined per column, e.g. "2024 / Q1".
+ */
+function readTable(table, index) {
+	const { grid, headerFlags } = tableGrid(table);
+	const columnCount = Math.max(0, ...grid.map((row) => row.length));
+	const normalized = grid.map((row) =>
+		Array.from({ length: columnCount }, (_, column) => row[column] ?? ""),
+	);
+
+	let headerRowCount = 0;
+	while (headerRowCount < normalized.length && headerFlags[headerRowCount]) {
+		headerRowCount++;
+	}
+	// A table made only of header cells is data, not headers
+	if (headerRowCount === normalized.length) headerRowCount = 0;
+
+	const headerRows = normalized.slice(0, headerRowCount);
+	const headers =
+		headerRowCount > 0
+			? Array.from({ length: columnCount }, (_, column) =>
+					headerRows
+						.map((row) => row[column])
+						.filter(
+							(value, position, values) =>
+								value && values.indexOf(value) === position,
+						)
+						.join(" / "),
+				)
+			: null;
+	const rows = normalized
+		.slice(headerRowCount)
+		.filter((row) => row.some((value) => value !== ""));
+
+	const caption = table.caption ? cellText(table.caption) : "";
+	return {
+		index,
+		caption: caption || null,
+		headers,
+		rows,
+		rowCount: rows.length,
+		columnCount,
+	};
+}
+
+/**
+ * Find the tables in a rendered page, in document order.
+ *
+ * @param {string} rawHtml - Rendered page HTML
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.selector] - Only tables inside (or matching) this selector
+ * @param {string[]} [options.excludeSelectors] - CSS selectors to remove first
+ * @returns {{index: number, caption: string|null, headers: string[]|null, rows: string[][], rowCount: number, columnCount: number}[]}
+ */
+export function extractTables(
+	rawHtml,
+	url,
+	{ selector, excludeSelectors } = {},
+) {
+	const { document } = new JSDOM(rawHtml, { url }).window;
+	const scoped = scopeDocument(document, { selector, excludeSelectors }) || [
+		document.documentElement,
+	];
+
+	const tables = scoped.flatMap((element) => [
+		...(element.localName === "table" ? [element] : []),
+		...element.querySelectorAll("table"),
+	]);
+	return tables.map((table, index) => readTable(table, index));
+}
+
+const csvField = (value) =>
+	/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Render a table from extractTables as CSV (RFC 4180), headers first.
+ */
+export function tableToCsv({ headers, rows }) {
+	return [...(headers ? [headers] : []), ...rows]
+		.map((row) => row.map(csvField).join(","))
+		.join("\r\n");
+}
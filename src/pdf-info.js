@@ -0,0 +1,129 @@
+/**
+ * The page number an outline destination points to. Destinations are either
+ * named (looked up in the document) or explicit arrays starting with a page
+ * reference.
+ */
+async function destinationPage(doc, dest) {
+	try {
+		const explicit =
+			typeof dest === "string" ? await doc.getDestination(dest) : dest;
+		if (!Array.isArray(explicit)) return null;
+		const [target] = explicit;
+		// Some writers use a page index instead of a reference
+		if (Number.isInteger(target)) return target + 1;
+		if (target && typeof target === "object") {
+			return (await doc.getPageIndex(target)) + 1;
+		}
+	} catch {
+		// Broken destinations are common; leave the page unknown
+	}
+	return null;
+}
+
+async function flattenOutline(doc, items, level, entries) {
+	for (const item of items) {
+		entries.push({
+			title: item.title.replace(/\s+/g, " ").trim(),
+			level,
+			page: doc && item.dest ? await destinationPage(doc, item.dest) : null,
+			url: item.url || undefined,
+		});
+		if (item.items?.length) {
+			await flattenOutline(doc, item.items, level + 1, entries);
+		}
+	}
+	return entries;
+}
+
+/**
+ * pdf-parse's pdf.js document, which we need to resolve outline destinations
+ * to pages. Its public API has no way to do that, so this relies on the
+ * private `load()` (hence the exact pdf-parse version in package.json; check
+ * this still works when upgrading). Returns null if it has gone away, leaving
+ * outline pages unknown.
+ */
+async function pdfDocument(parser) {
+	if (typeof parser.load !== "function") return null;
+	return await parser.load();
+}
+
+function resolveLink(url, baseUrl) {
+	try {
+		return new URL(url, baseUrl).href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * The outline (bookmarks), document metadata and hyperlinks of a PDF, from
+ * pdf-parse's `getInfo({parsePageInfo: true})`. Relative links are resolved
+ * against `baseUrl`.
+ *
+ * @param {Object} parser - The PDFParse the info came from
+ * @param {Object} infoResult - Result of parser.getInfo()
+ * @param {string} [baseUrl] - Where the PDF came from
+ * @returns {Promise<{outline: Array<{title: string, level: number, page: number|null, url?: string}>, info: Object, xmp: Object|null, links: Array<{url: string, text: string, page: number}>}>}
+ */
+export async function readPdfDetails(parser, infoResult, baseUrl) {
+	let outline = [];
+	if (infoResult.outline?.length) {
+		const doc = await pdfDocument(parser);
+		outline = await flattenOutline(doc, infoResult.outline, 1, []);
+	}
+
+	return {
+		outline,
+		info: infoResult.info || {},
+		xmp: infoResult.metadata?.getAll() || null,
+		links: (infoResult.pages || []).flatMap(({ pageNumber, links }) =>
+			links
+				.map(({ url, text }) => ({
+					url: resolveLink(url, baseUrl),
+					text: text.replace(/\s+/g, " ").trim(),
+					page: pageNumber,
+				}))
+				.filter((link) => link.url),
+		),
+	};
+}
+
+/**
+ * Find an outline entry by title (an exact match first, then the first
+ * entry containing it) and the pages it spans: up to the page where the next
+ * entry at the same or a higher level starts, since sections often end
+ * partway down a page.
+ *
+ * @returns {{title: string, level: number, page: number, endPage: number}}
+ */
+export function findSection(outline, title, pageCount) {
+	const wanted = title.trim().toLowerCase();
+	const located = outline.filter((entry) => entry.page !== null);
+	let index = located.findIndex(
+		(entry) => entry.title.toLowerCase() === wanted,
+	);
+	if (index === -1) {
+		index = located.findIndex((entry) =>
+			entry.title.toLowerCase().includes(wanted),
+		);
+	}
+	if (index === -1) {
+		const titles = located.slice(0, 20).map((entry) => entry.title);
+		throw new Error(
+			located.length > 0
+				? `No outline entry matches "${title}". Entries include: ${titles.join("; ")}`
+				: "This PDF has no outline to find sections in",
+		);
+	}
+
+	const entry = located[index];
+	const next = located
+		.slice(index + 1)
+		.find((candidate) => candidate.level <= entry.level);
+	return {
+		title: entry.title,
+		level: entry.level,
+		page: entry.page,
+		endPage: next ? Math.max(entry.page, next.page) : pageCount,
+	};
+}
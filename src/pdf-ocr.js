@@ -0,0 +1,95 @@
+import eng from "@tesseract.js-data/eng";
+import { createWorker, OEM } from "tesseract.js";
+import { getConfig } from "./config.js";
+
+// Pages with fewer non-space characters than this have next to no text
+export const MIN_PAGE_CHARS = 20;
+
+// Render pages at twice their size; Tesseract struggles with small text
+const RENDER_SCALE = 2;
+
+const textLength = ({ text }) => text.replace(/\s/g, "").length;
+
+/**
+ * Pick the pages of a scanned PDF to OCR: those with no text layer at all.
+ * A PDF counts as scanned when most of its pages, or the document as a whole,
+ * have next to no text, so a text PDF with blank or title pages is left alone.
+ */
+export function pagesNeedingOcr(pages) {
+	const sparsePages = pages.filter((page) => textLength(page) < MIN_PAGE_CHARS);
+	const totalChars = pages.reduce((sum, page) => sum + textLength(page), 0);
+	const scanned =
+		sparsePages.length * 2 > pages.length ||
+		totalChars < MIN_PAGE_CHARS * pages.length;
+	if (!scanned) return [];
+	return pages.filter((page) => textLength(page) === 0).map(({ num }) => num);
+}
+
+/**
+ * Render PDF pages and read their text with Tesseract, using the bundled
+ * English language data so nothing is downloaded. Only the first
+ * `ocr.maxPages` pages (from config.json) are read, and nothing if
+ * `ocr.enabled` is false.
+ *
+ * @param {Object} parser - An open pdf-parse PDFParse
+ * @param {number[]} pageNumbers - Pages to read
+ * @returns {Promise<Map<number, string>>} Text per page, for pages where any was found
+ */
+export async function recognizePages(
+	parser,
+	pageNumbers,
+	{ _createWorker = createWorker, _config = getConfig().ocr } = {},
+) {
+	const texts = new Map();
+	if (!_config.enabled || pageNumbers.length === 0) return texts;
+
+	const worker = await _createWorker(eng.code, OEM.LSTM_ONLY, {
+		langPath: eng.langPath,
+		gzip: eng.gzip,
+		// Don't write a copy of the language data to the working directory
+		cacheMethod: "none",
+	});
+	try {
+		// One page at a time, so only one rendered page is held in memory
+		for (const pageNumber of pageNumbers.slice(0, _config.maxPages)) {
+			const screenshot = await parser.getScreenshot({
+				partial: [pageNumber],
+				scale: RENDER_SCALE,
+				imageBuffer: true,
+				imageDataUrl: false,
+			});
+			const image = screenshot.pages[0];
+			if (!image) continue;
+			const { data } = await worker.recognize(Buffer.from(image.data));
+			const text = data.text.trim();
+			if (text) texts.set(pageNumber, text);
+		}
+	} finally {
+		await worker.terminate();
+	}
+	return texts;
+}
+
+/**
+ * Fill in the text of a scanned PDF's pages that have no text layer, by OCR
+ *
+ * @param {Object} parser - An open pdf-parse PDFParse
+ * @param {Array<{num: number, text: string}>} pages - Pages from parser.getText()
+ * @returns {Promise<{pages: Array<{num: number, text: string}>, ocrPages: number[]}>}
+ */
+export async function ocrScannedPages(
+	parser,
+	pages,
+	{ _recognizePages = recognizePages } = {},
+) {
+	const needed = pagesNeedingOcr(pages);
+	if (needed.length === 0) return { pages, ocrPages: [] };
+
+	const texts = await _recognizePages(parser, needed);
+	return {
+		pages: pages.map((page) =>
+			texts.has(page.num) ? { ...page, text: texts.get(page.num) } : page,
+		),
+		ocrPages: [...texts.keys()],
+	};
+}
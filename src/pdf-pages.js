@@ -0,0 +1,100 @@
+const PAGE_SEPARATOR = "\n\n";
+
+const pageMarker = (page) => `[Page ${page}]`;
+
+/**
+ * Join a PDF's pages into one text, each page starting with a `[Page N]`
+ * marker line. Returns the text and where each page starts in it, so
+ * positions can be mapped back to pages.
+ *
+ * @param {Array<{num: number, text: string}>} pages - Pages from pdf-parse's getText
+ * @returns {{text: string, pageOffsets: Array<{page: number, start: number}>}}
+ */
+export function joinPages(pages) {
+	const pageOffsets = [];
+	let text = "";
+	for (const { num, text: pageText } of pages) {
+		if (pageOffsets.length > 0) text += PAGE_SEPARATOR;
+		pageOffsets.push({ page: num, start: text.length });
+		text += `${pageMarker(num)}\n${pageText.trim()}`;
+	}
+	return { text, pageOffsets };
+}
+
+/**
+ * Parse a page range like "3-7,12" or "10-" (to the end) into a sorted list
+ * of page numbers.
+ */
+export function parsePageRanges(spec, pageCount) {
+	const pages = new Set();
+	for (const part of spec.split(",")) {
+		const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+		if (!match) {
+			throw new Error(`Invalid pages "${spec}": use e.g. "3-7,12" or "10-"`);
+		}
+		const first = Number(match[1]);
+		const last =
+			match[2] === undefined
+				? first
+				: match[2] === ""
+					? pageCount
+					: Number(match[2]);
+		if (first < 1 || last < first) {
+			throw new Error(`Invalid page range "${part.trim()}"`);
+		}
+		if (first > pageCount) {
+			throw new Error(
+				`Page ${first} is out of range (the document has ${pageCount} pages)`,
+			);
+		}
+		for (let page = first; page <= Math.min(last, pageCount); page++) {
+			pages.add(page);
+		}
+	}
+	return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Cut the given pages out of text joined by joinPages, with new offsets
+ */
+export function selectPages(text, pageOffsets, pages) {
+	const wanted = new Set(pages);
+	const selected = [];
+	pageOffsets.forEach(({ page, start }, index) => {
+		if (!wanted.has(page)) return;
+		const next = pageOffsets[index + 1];
+		const end = next ? next.start - PAGE_SEPARATOR.length : text.length;
+		selected.push({ num: page, text: text.slice(start, end) });
+	});
+
+	const offsets = [];
+	let joined = "";
+	for (const { num, text: pageText } of selected) {
+		if (offsets.length > 0) joined += PAGE_SEPARATOR;
+		offsets.push({ page: num, start: joined.length });
+		joined += pageText;
+	}
+	return { text: joined, pageOffsets: offsets };
+}
+
+/**
+ * The page a position in joined text falls on, or null before the first page
+ */
+export function pageAt(pageOffsets, position) {
+	let page = null;
+	for (const offset of pageOffsets) {
+		if (offset.start > position) break;
+		page = offset.page;
+	}
+	return page;
+}
+
+/**
+ * Whether a position falls on one of the `[Page N]` markers themselves
+ */
+export function isInPageMarker(pageOffsets, position) {
+	return pageOffsets.some(
+		({ page, start }) =>
+			position >= start && position < start + pageMarker(page).length,
+	);
+}
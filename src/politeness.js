@@ -0,0 +1,273 @@
+import { getConfig } from "./config.js";
+import { getNetworkPolicy } from "./network-policy.js";
+import { readBody } from "./response-body.js";
+
+const ROBOTS_TIMEOUT_MS = 5000;
+// Crawlers commonly stop reading robots.txt at 500 KiB
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Parse robots.txt into groups of `{agents, rules, crawlDelay}`, where each
+ * rule is `{allow, path}`. Unknown directives are ignored.
+ */
+export function parseRobotsTxt(text) {
+	const groups = [];
+	let current = null;
+	let lastWasAgent = false;
+
+	for (const rawLine of text.split(/\r?\n/)) {
+		const line = rawLine.replace(/#.*$/, "").trim();
+		const separator = line.indexOf(":");
+		if (separator === -1) continue;
+		const field = line.slice(0, separator).trim().toLowerCase();
+		const value = line.slice(separator + 1).trim();
+
+		if (field === "user-agent") {
+			// Consecutive user-agent lines share one group
+			if (!lastWasAgent) {
+				current = { agents: [], rules: [], crawlDelay: null };
+				groups.push(current);
+			}
+			current.agents.push(value.toLowerCase());
+			lastWasAgent = true;
+			continue;
+		}
+		lastWasAgent = false;
+		if (!current) continue;
+
+		if (field === "allow" || field === "disallow") {
+			// An empty Disallow allows everything
+			if (value) current.rules.push({ allow: field === "allow", path: value });
+		} else if (field === "crawl-delay") {
+			const delay = Number.parseFloat(value);
+			if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+		}
+	}
+
+	return groups;
+}
+
+/**
+ * Pick the group for `userAgent`: the most specific agent name it contains,
+ * falling back to `*`. Returns null if no group applies.
+ */
+function findGroup(groups, userAgent) {
+	const agent = userAgent.toLowerCase();
+	let best = null;
+	let bestLength = -1;
+	for (const group of groups) {
+		for (const name of group.agents) {
+			if (name !== "*" && agent.includes(name) && name.length > bestLength) {
+				best = group;
+				bestLength = name.length;
+			}
+		}
+	}
+	return best || groups.find((group) => group.agents.includes("*")) || null;
+}
+
+function ruleMatches(rulePath, target) {
+	const anchored = rulePath.endsWith("$");
+	const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+		.split("*")
+		.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+		.join(".*");
+	return new RegExp(`^${pattern}${anchored ? "$" : ""}`).test(target);
+}
+
+/**
+ * Check a path (plus query) against parsed robots.txt rules. The longest
+ * matching rule wins, and Allow wins a tie.
+ */
+export function isAllowedByRobots(groups, userAgent, target) {
+	const group = findGroup(groups, userAgent);
+	if (!group) return true;
+
+	let decision = null;
+	for (const rule of group.rules) {
+		if (!ruleMatches(rule.path, target)) continue;
+		if (
+			!decision ||
+			rule.path.length > decision.path.length ||
+			(rule.path.length === decision.path.length && rule.allow)
+		) {
+			decision = rule;
+		}
+	}
+	return decision ? decision.allow : true;
+}
+
+/**
+ * Keeps the web tools polite: requests to the same host are spaced at least
+ * `minDelayMs` apart (or the site's robots.txt Crawl-delay, if longer), at
+ * most `maxConcurrentPerHost` run at once, and with `respectRobotsTxt`
+ * disallowed URLs are refused. Parsed robots.txt files are cached per origin,
+ * and fetched through the network policy like any other request.
+ */
+export class Politeness {
+	constructor({
+		minDelayMs = 0,
+		maxConcurrentPerHost = Number.POSITIVE_INFINITY,
+		respectRobotsTxt = false,
+		robotsUserAgent = "ResearchFriend",
+		robotsCacheTtlMs = 60 * 60 * 1000,
+		_networkPolicy,
+	} = {}) {
+		this.minDelayMs = minDelayMs;
+		this.maxConcurrentPerHost = maxConcurrentPerHost;
+		this.respectRobotsTxt = respectRobotsTxt;
+		this.robotsUserAgent = robotsUserAgent;
+		this.robotsCacheTtlMs = robotsCacheTtlMs;
+		// Looked up when needed, so it follows configureNetworkPolicy
+		this._networkPolicy = _networkPolicy;
+		this._hosts = new Map(); // host -> { active, waiters, nextStart }
+		this._robots = new Map(); // origin -> { promise, expiresAt }
+	}
+
+	/**
+	 * Run `fn()` as a request to `url`, once robots.txt and the host's limits
+	 * allow it. A `followUp` request is part of a visit that has already
+	 * waited its turn, such as the download after a HEAD request: it still
+	 * takes a concurrency slot, but isn't spaced from the request before it.
+	 */
+	async schedule(url, fn, { followUp = false } = {}) {
+		const parsedUrl = new URL(url);
+		const robots = this.respectRobotsTxt
+			? await this._getRobots(parsedUrl.origin)
+			: null;
+		if (
+			robots &&
+			!isAllowedByRobots(
+				robots,
+				this.robotsUserAgent,
+				parsedUrl.pathname + parsedUrl.search,
+			)
+		) {
+			throw new Error(`Blocked by robots.txt: ${url}`);
+		}
+
+		const crawlDelay = robots
+			? findGroup(robots, this.robotsUserAgent)?.crawlDelay
+			: null;
+		const delayMs = Math.max(this.minDelayMs, (crawlDelay || 0) * 1000);
+
+		const host = parsedUrl.host;
+		await this._acquire(host, followUp ? null : delayMs);
+		try {
+			return await fn();
+		} finally {
+			this._release(host);
+		}
+	}
+
+	getStats() {
+		let active = 0;
+		let queued = 0;
+		for (const state of this._hosts.values()) {
+			active += state.active;
+			queued += state.waiters.length;
+		}
+		return { hosts: this._hosts.size, active, queued };
+	}
+
+	async _acquire(host, delayMs) {
+		this._pruneIdleHosts();
+		let state = this._hosts.get(host);
+		if (!state) {
+			state = { active: 0, waiters: [], nextStart: 0 };
+			this._hosts.set(host, state);
+		}
+
+		if (state.active < this.maxConcurrentPerHost) {
+			state.active++;
+		} else {
+			await new Promise((resolve) => state.waiters.push(resolve));
+		}
+
+		if (delayMs === null) return;
+		// Reserve the next start time for this host, then wait for it
+		const now = Date.now();
+		const start = Math.max(now, state.nextStart);
+		state.nextStart = start + delayMs;
+		if (start > now) {
+			await new Promise((resolve) => setTimeout(resolve, start - now));
+		}
+	}
+
+	_release(host) {
+		const state = this._hosts.get(host);
+		const next = state.waiters.shift();
+		if (next) {
+			// Hand the slot straight to the next request
+			next();
+			return;
+		}
+		state.active--;
+		if (state.active === 0 && state.nextStart <= Date.now()) {
+			this._hosts.delete(host);
+		}
+	}
+
+	// Forget hosts with nothing running whose spacing has passed; they are
+	// usually still waiting it out when their last request finishes
+	_pruneIdleHosts() {
+		const now = Date.now();
+		for (const [host, state] of this._hosts) {
+			if (state.active === 0 && state.nextStart <= now) {
+				this._hosts.delete(host);
+			}
+		}
+	}
+
+	async _getRobots(origin) {
+		const cached = this._robots.get(origin);
+		if (cached && cached.expiresAt > Date.now()) {
+			return await cached.promise;
+		}
+
+		const promise = this._fetchRobots(origin);
+		this._robots.set(origin, {
+			promise,
+			expiresAt: Date.now() + this.robotsCacheTtlMs,
+		});
+		return await promise;
+	}
+
+	async _fetchRobots(origin) {
+		try {
+			const networkPolicy = this._networkPolicy ?? getNetworkPolicy();
+			const response = await networkPolicy.fetch(`${origin}/robots.txt`, {
+				headers: { "User-Agent": this.robotsUserAgent },
+				signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS),
+			});
+			// No robots.txt (or an unreadable or oversized one) means no
+			// restrictions
+			if (!response.ok) return [];
+			const body = await readBody(response, MAX_ROBOTS_BYTES, "robots.txt");
+			return parseRobotsTxt(Buffer.from(body).toString("utf-8"));
+		} catch {
+			return [];
+		}
+	}
+}
+
+let politeness = null;
+
+/**
+ * The shared politeness layer, configured from the `politeness` section of
+ * config.json.
+ */
+export function getPoliteness() {
+	if (!politeness) {
+		politeness = new Politeness(getConfig().politeness);
+	}
+	return politeness;
+}
+
+/**
+ * Replace the shared politeness layer's settings (e.g. in tests)
+ */
+export function configurePoliteness(options) {
+	politeness = new Politeness(options);
+	return politeness;
+}
@@ -0,0 +1,95 @@
+// Resource types that never affect a page's text
+export const DEFAULT_BLOCKED_TYPES = ["image", "media", "font"];
+
+// Pseudo resource type for requests to the hosts below
+export const TRACKERS = "trackers";
+
+// Well-known ad, analytics and tracking hosts (and their subdomains)
+const TRACKER_DOMAINS = [
+	"2mdn.net",
+	"adnxs.com",
+	"adsrvr.org",
+	"adservice.google.com",
+	"amazon-adsystem.com",
+	"bat.bing.com",
+	"casalemedia.com",
+	"chartbeat.com",
+	"chartbeat.net",
+	"clarity.ms",
+	"connect.facebook.net",
+	"criteo.com",
+	"criteo.net",
+	"doubleclick.net",
+	"doubleverify.com",
+	"google-analytics.com",
+	"googleadservices.com",
+	"googlesyndication.com",
+	"googletagmanager.com",
+	"googletagservices.com",
+	"hotjar.com",
+	"moatads.com",
+	"mixpanel.com",
+	"nr-data.net",
+	"openx.net",
+	"outbrain.com",
+	"pubmatic.com",
+	"quantserve.com",
+	"rubiconproject.com",
+	"scorecardresearch.com",
+	"segment.io",
+	"taboola.com",
+];
+
+export function isTrackerHost(hostname) {
+	const host = hostname.toLowerCase();
+	return TRACKER_DOMAINS.some(
+		(domain) => host === domain || host.endsWith(`.${domain}`),
+	);
+}
+
+/**
+ * Turn the `blockResources` option into the resource types to block:
+ * `true` blocks images, media, fonts and trackers, `false` blocks nothing,
+ * and an array lists Playwright resource types (plus "trackers") to block.
+ */
+export function resolveBlockedResources(blockResources) {
+	if (!blockResources) return [];
+	if (blockResources === true) return [...DEFAULT_BLOCKED_TYPES, TRACKERS];
+	return blockResources;
+}
+
+/**
+ * Abort requests for the given resource types before they leave the browser.
+ * Requests that aren't blocked fall through to any other route handlers.
+ * Returns a counter of blocked requests.
+ */
+export async function blockPageResources(page, blocked) {
+	const stats = { blocked: 0 };
+	if (blocked.length === 0) return stats;
+
+	const types = new Set(blocked);
+	const blockTrackers = types.has(TRACKERS);
+	await page.route("**/*", async (route) => {
+		const request = route.request();
+		// Never block the page that was asked for
+		if (request.isNavigationRequest() && !request.frame().parentFrame()) {
+			await route.fallback();
+			return;
+		}
+		let tracker = false;
+		if (blockTrackers) {
+			try {
+				tracker = isTrackerHost(new URL(request.url()).hostname);
+			} catch {
+				// data: and other unparseable URLs are never trackers
+			}
+		}
+		if (types.has(request.resourceType()) || tracker) {
+			stats.blocked++;
+			await route.abort("blockedbyclient");
+			return;
+		}
+		await route.fallback();
+	});
+	return stats;
+}
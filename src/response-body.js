@@ -0,0 +1,33 @@
+/**
+ * Read a response body, giving up as soon as it grows past `maxBytes`
+ * rather than buffering whatever the server sends
+ */
+export async function readBody(response, maxBytes, kind) {
+	const tooLarge = () =>
+		new Error(
+			`${kind} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`,
+		);
+	if (Number(response.headers.get("content-length")) > maxBytes) {
+		await response.body?.cancel().catch(() => {});
+		throw tooLarge();
+	}
+	if (!response.body) {
+		const data = new Uint8Array(await response.arrayBuffer());
+		if (data.length > maxBytes) throw tooLarge();
+		return data;
+	}
+	const reader = response.body.getReader();
+	const chunks = [];
+	let size = 0;
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		size += value.length;
+		if (size > maxBytes) {
+			await reader.cancel().catch(() => {});
+			throw tooLarge();
+		}
+		chunks.push(value);
+	}
+	return new Uint8Array(Buffer.concat(chunks));
+}
@@ -0,0 +1,276 @@
+import { JSDOM } from "jsdom";
+import {
+	children,
+	childText,
+	fetchText,
+	normalizeDate,
+	parseFeed,
+	parseXml,
+} from "./feeds.js";
+import { getNetworkPolicy } from "./network-policy.js";
+import { getPoliteness } from "./politeness.js";
+
+const FEED_TYPES = [
+	"application/rss+xml",
+	"application/atom+xml",
+	"application/feed+json",
+];
+
+/**
+ * Sitemap URLs listed in robots.txt. Sitemap lines apply to the whole file,
+ * whichever user-agent group they appear in.
+ */
+export function parseRobotsSitemaps(text) {
+	const sitemaps = [];
+	for (const line of text.split(/\r?\n/)) {
+		const match = line.match(/^\s*sitemap\s*:\s*(\S+)/i);
+		if (match) sitemaps.push(match[1]);
+	}
+	return sitemaps;
+}
+
+/**
+ * Parse a sitemap: a `<sitemapindex>` of further sitemaps, a `<urlset>`
+ * (with Google News titles and dates when present), or a plain text list of
+ * URLs.
+ *
+ * @returns {{type: "index"|"urlset", entries: Array<{url: string, lastmod: string|null, title?: string|null}>}}
+ */
+export function parseSitemap(text) {
+	if (!text.trimStart().startsWith("<")) {
+		const urls = text
+			.split(/\r?\n/)
+			.map((line) => line.trim())
+			.filter((line) => /^https?:\/\//.test(line));
+		return {
+			type: "urlset",
+			entries: urls.map((url) => ({ url, lastmod: null })),
+		};
+	}
+
+	const root = parseXml(text, "Sitemap").documentElement;
+	if (root.localName === "sitemapindex") {
+		return {
+			type: "index",
+			entries: children(root, "sitemap")
+				.map((sitemap) => ({
+					url: childText(sitemap, "loc"),
+					lastmod: normalizeDate(childText(sitemap, "lastmod")),
+				}))
+				.filter((entry) => entry.url),
+		};
+	}
+	if (root.localName === "urlset") {
+		return {
+			type: "urlset",
+			entries: children(root, "url")
+				.map((url) => {
+					const news = children(url, "news")[0];
+					return {
+						url: childText(url, "loc"),
+						lastmod: normalizeDate(
+							childText(url, "lastmod") ||
+								(news && childText(news, "publication_date")),
+						),
+						title: news ? childText(news, "title") : null,
+					};
+				})
+				.filter((entry) => entry.url),
+		};
+	}
+	throw new Error(`Not a sitemap (root element <${root.nodeName}>)`);
+}
+
+/**
+ * RSS, Atom and JSON feeds advertised with `<link rel="alternate">` in a page
+ */
+export function findFeedLinks(html, url) {
+	const { document } = new JSDOM(html, { url }).window;
+	const feeds = [];
+	for (const link of document.querySelectorAll('link[rel~="alternate"]')) {
+		const type = link.getAttribute("type")?.toLowerCase().trim();
+		if (!FEED_TYPES.includes(type) || !link.getAttribute("href")) continue;
+		const href = link.href;
+		if (feeds.some((feed) => feed.url === href)) continue;
+		feeds.push({ url: href, title: link.getAttribute("title") || null });
+	}
+	return feeds;
+}
+
+// Newest first; undated entries keep their discovery order at the end
+function compareDates(a, b) {
+	const timeA = a.date ? Date.parse(a.date) : Number.NaN;
+	const timeB = b.date ? Date.parse(b.date) : Number.NaN;
+	if (Number.isNaN(timeA)) return Number.isNaN(timeB) ? 0 : 1;
+	if (Number.isNaN(timeB)) return -1;
+	return timeB - timeA;
+}
+
+/**
+ * Discover a site's pages from its sitemaps and feeds, without scraping its
+ * navigation. Sitemaps come from robots.txt (falling back to /sitemap.xml),
+ * with sitemap indexes followed newest first up to `maxSitemaps`. Feeds are
+ * the RSS, Atom and JSON feeds linked from the page at `url`, usually the
+ * homepage.
+ *
+ * @param {Object} options
+ * @param {string} options.url - The site (any page on it; feeds are read from this page)
+ * @param {string} [options.since] - Only return URLs modified or published on or after this date
+ * @param {string} [options.match] - Only return URLs whose address or title contains this text
+ * @param {number} [options.maxUrls=200] - Max URLs to return, newest first
+ * @param {number} [options.maxSitemaps=10] - Max sitemap files to fetch
+ * @param {number} [options.timeoutMs=15000] - Timeout per request
+ */
+export async function discoverSite({
+	url,
+	since,
+	match,
+	maxUrls = 200,
+	maxSitemaps = 10,
+	timeoutMs = 15000,
+	// Dependency injection for testing
+	_politeness = getPoliteness(),
+	_networkPolicy = getNetworkPolicy(),
+}) {
+	const parsedUrl = new URL(url);
+	if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+		throw new Error("Only http/https URLs are allowed");
+	}
+	const sinceTime = since ? Date.parse(since) : null;
+	if (Number.isNaN(sinceTime)) {
+		throw new Error(`Invalid since date: ${since}`);
+	}
+	await _networkPolicy.check(url);
+
+	const fetchOptions = { timeoutMs, _politeness, _networkPolicy };
+	const found = new Map(); // url -> { url, title, date, source }
+	const errors = [];
+	const addUrl = (entry) => {
+		const existing = found.get(entry.url);
+		if (!existing) {
+			found.set(entry.url, entry);
+			return;
+		}
+		existing.title ||= entry.title;
+		if (compareDates(entry, existing) < 0) existing.date = entry.date;
+	};
+
+	// Sitemaps
+	let sitemapUrls = [];
+	try {
+		sitemapUrls = parseRobotsSitemaps(
+			await fetchText(`${parsedUrl.origin}/robots.txt`, fetchOptions),
+		);
+	} catch {
+		// No robots.txt; fall back to the conventional location
+	}
+	if (sitemapUrls.length === 0) {
+		sitemapUrls = [`${parsedUrl.origin}/sitemap.xml`];
+	}
+
+	const sitemaps = [];
+	const sitemapQueue = [...sitemapUrls];
+	const seenSitemaps = new Set(sitemapQueue);
+	let fetchedSitemaps = 0;
+	while (sitemapQueue.length > 0 && fetchedSitemaps < maxSitemaps) {
+		const sitemapUrl = sitemapQueue.shift();
+		fetchedSitemaps++;
+		let sitemap;
+		try {
+			sitemap = parseSitemap(await fetchText(sitemapUrl, fetchOptions));
+		} catch (error) {
+			errors.push({ url: sitemapUrl, error: error.message });
+			continue;
+		}
+
+		if (sitemap.type === "index") {
+			const nested = sitemap.entries
+				.map((entry) => ({ ...entry, date: entry.lastmod }))
+				.sort(compareDates);
+			for (const entry of nested) {
+				if (seenSitemaps.has(entry.url)) continue;
+				seenSitemaps.add(entry.url);
+				sitemapQueue.push(entry.url);
+			}
+			sitemaps.push({
+				url: sitemapUrl,
+				type: "index",
+				sitemapCount: sitemap.entries.length,
+			});
+		} else {
+			for (const entry of sitemap.entries) {
+				addUrl({
+					url: entry.url,
+					title: entry.title || null,
+					date: entry.lastmod,
+					source: "sitemap",
+				});
+			}
+			sitemaps.push({
+				url: sitemapUrl,
+				type: "urlset",
+				urlCount: sitemap.entries.length,
+			});
+		}
+	}
+
+	// Feeds
+	let feedLinks = [];
+	try {
+		feedLinks = findFeedLinks(await fetchText(url, fetchOptions), url);
+	} catch (error) {
+		errors.push({ url, error: error.message });
+	}
+
+	const feeds = [];
+	for (const link of feedLinks) {
+		let feed;
+		try {
+			feed = parseFeed(await fetchText(link.url, fetchOptions), link.url);
+		} catch (error) {
+			errors.push({ url: link.url, error: error.message });
+			continue;
+		}
+		for (const entry of feed.entries) {
+			if (!entry.link) continue;
+			addUrl({
+				url: entry.link,
+				title: entry.title,
+				date: entry.published,
+				source: "feed",
+			});
+		}
+		feeds.push({
+			url: link.url,
+			title: feed.title || link.title,
+			format: feed.format,
+			entryCount: feed.entries.length,
+		});
+	}
+
+	const needle = match?.toLowerCase();
+	const urls = [...found.values()]
+		.filter(
+			(entry) => sinceTime === null || Date.parse(entry.date) >= sinceTime,
+		)
+		.filter(
+			(entry) =>
+				!needle ||
+				entry.url.toLowerCase().includes(needle) ||
+				entry.title?.toLowerCase().includes(needle),
+		)
+		.sort(compareDates);
+
+	return {
+		url,
+		sitemaps,
+		// Sitemaps listed in an index but not fetched because of maxSitemaps
+		pendingSitemaps: sitemapQueue.length,
+		feeds,
+		errors,
+		totalUrls: urls.length,
+		urls: urls.slice(0, maxUrls),
+		truncated: urls.length > maxUrls,
+		discoveredAt: new Date().toISOString(),
+	};
+}
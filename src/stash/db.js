@@ -1,7 +1,7 @@
 import path from "node:path";
 import Database from "better-sqlite3";
 
-const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION = 2;
 
 const MIGRATIONS = {
 	1: `
@@ -32,6 +32,9 @@ const MIGRATIONS = {
 		CREATE UNIQUE INDEX idx_one_primary_per_doc
 			ON document_topics(doc_id) WHERE is_primary = TRUE;
 	`,
+	2: `
+		ALTER TABLE documents ADD COLUMN ocr BOOLEAN NOT NULL DEFAULT FALSE;
+	`,
 };
 
 export class StashDatabase {
@@ -79,12 +82,13 @@ export class StashDatabase {
 		summary,
 		storePath,
 		charCount,
+		ocr = false,
 		primaryTopic,
 		secondaryTopics = [],
 	}) {
 		const insertDoc = this.db.prepare(`
-			INSERT INTO documents (filename, file_type, summary, store_path, char_count)
-			VALUES (?, ?, ?, ?, ?)
+			INSERT INTO documents (filename, file_type, summary, store_path, char_count, ocr)
+			VALUES (?, ?, ?, ?, ?, ?)
 		`);
 
 		const insertDocTopic = this.db.prepare(`
@@ -99,6 +103,7 @@ export class StashDatabase {
 				summary,
 				storePath,
 				charCount,
+				ocr ? 1 : 0,
 			);
 			const docId = docResult.lastInsertRowid;
 
@@ -122,7 +127,7 @@ export class StashDatabase {
 		const doc = this.db
 			.prepare(
 				`
-			SELECT id, filename, file_type, summary, store_path, char_count, created_at
+			SELECT id, filename, file_type, summary, store_path, char_count, ocr, created_at
 			FROM documents WHERE id = ?
 		`,
 			)
@@ -145,6 +150,7 @@ export class StashDatabase {
 
 		return {
 			...doc,
+			ocr: Boolean(doc.ocr),
 			topics: topics.map((t) => ({
 				name: t.name,
 				description: t.description,
@@ -177,7 +183,7 @@ export class StashDatabase {
 		return this.db
 			.prepare(
 				`
-			SELECT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.created_at,
+			SELECT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.ocr, d.created_at,
 			       dt.is_primary
 			FROM documents d
 			JOIN document_topics dt ON d.id = dt.doc_id
@@ -194,7 +200,7 @@ export class StashDatabase {
 		return this.db
 			.prepare(
 				`
-			SELECT id, filename, file_type, summary, store_path, char_count, created_at
+			SELECT id, filename, file_type, summary, store_path, char_count, ocr, created_at
 			FROM documents WHERE store_path = ?
 		`,
 			)
@@ -205,7 +211,7 @@ export class StashDatabase {
 		return this.db
 			.prepare(
 				`
-			SELECT id, filename, file_type, summary, store_path, char_count, created_at
+			SELECT id, filename, file_type, summary, store_path, char_count, ocr, created_at
 			FROM documents ORDER BY created_at DESC
 		`,
 			)
@@ -217,12 +223,14 @@ export class StashDatabase {
 		summary,
 		storePath,
 		charCount,
+		ocr,
 		primaryTopic,
 		secondaryTopics = [],
 	}) {
+		// ocr is only changed when given, i.e. when the text was extracted again
 		const updateDoc = this.db.prepare(`
 			UPDATE documents
-			SET summary = ?, store_path = ?, char_count = ?
+			SET summary = ?, store_path = ?, char_count = ?, ocr = COALESCE(?, ocr)
 			WHERE id = ?
 		`);
 
@@ -236,7 +244,13 @@ export class StashDatabase {
 		`);
 
 		const transaction = this.db.transaction(() => {
-			updateDoc.run(summary, storePath, charCount, id);
+			updateDoc.run(
+				summary,
+				storePath,
+				charCount,
+				ocr === undefined ? null : ocr ? 1 : 0,
+				id,
+			);
 			deleteTopics.run(id);
 
 			const primaryTopicId = this.getOrCreateTopic({ name: primaryTopic });
@@ -265,7 +279,7 @@ export class StashDatabase {
 			return this.db
 				.prepare(
 					`
-				SELECT DISTINCT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.created_at
+				SELECT DISTINCT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.ocr, d.created_at
 				FROM documents d
 				JOIN document_topics dt ON d.id = dt.doc_id
 				JOIN topics t ON dt.topic_id = t.id
@@ -278,7 +292,7 @@ export class StashDatabase {
 		return this.db
 			.prepare(
 				`
-			SELECT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.created_at
+			SELECT d.id, d.filename, d.file_type, d.summary, d.store_path, d.char_count, d.ocr, d.created_at
 			FROM documents d
 			WHERE ${likeClauses}
 			ORDER BY d.created_at DESC
@@ -3,18 +3,39 @@ import { pathToFileURL } from "node:url";
 import { Readability } from "@mozilla/readability";
 import { JSDOM } from "jsdom";
 import { PDFParse } from "pdf-parse";
+import { ocrScannedPages, recognizePages } from "../pdf-ocr.js";
+import { joinPages } from "../pdf-pages.js";
 
+/**
+ * Extract the text of a stash document. Pages of PDFs without a text layer,
+ * such as scans, are OCR'd and listed in `ocrPages`.
+ *
+ * @returns {Promise<{text: string, ocrPages: number[]}>}
+ */
 export async function extractText(
 	filePath,
 	fileType,
-	{ _PDFParse = PDFParse, _JSDOM = JSDOM, _Readability = Readability } = {},
+	{
+		_PDFParse = PDFParse,
+		_JSDOM = JSDOM,
+		_Readability = Readability,
+		_recognizePages = recognizePages,
+	} = {},
 ) {
 	if (fileType === "pdf") {
 		const fileUrl = pathToFileURL(filePath).href;
 		const parser = new _PDFParse({ url: fileUrl });
 		try {
 			const result = await parser.getText();
-			return result.text;
+			if (!result.pages?.length) return { text: result.text, ocrPages: [] };
+
+			const { pages, ocrPages } = await ocrScannedPages(parser, result.pages, {
+				_recognizePages,
+			});
+			if (ocrPages.length === 0) return { text: result.text, ocrPages };
+			// Merge the OCR'd pages in, with [Page N] markers as in
+			// friendly_web_extract
+			return { text: joinPages(pages).text, ocrPages };
 		} finally {
 			await parser.destroy();
 		}
@@ -26,14 +47,17 @@ export async function extractText(
 		const reader = new _Readability(dom.window.document);
 		const article = reader.parse();
 		if (article?.textContent) {
-			return article.textContent;
+			return { text: article.textContent, ocrPages: [] };
 		}
 		// Fallback to body text if Readability fails
-		return dom.window.document.body?.textContent || "";
+		return {
+			text: dom.window.document.body?.textContent || "",
+			ocrPages: [],
+		};
 	}
 
 	if (fileType === "md" || fileType === "txt") {
-		return await fs.readFile(filePath, "utf-8");
+		return { text: await fs.readFile(filePath, "utf-8"), ocrPages: [] };
 	}
 
 	throw new Error(`Unsupported file type: ${fileType}`);
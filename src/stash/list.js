@@ -24,6 +24,7 @@ export function listStash({ topic = null, limit = 50, offset = 0, _db }) {
 				fileType: d.file_type,
 				summary: d.summary,
 				charCount: d.char_count,
+				ocr: Boolean(d.ocr),
 				createdAt: d.created_at,
 			})),
 		};
@@ -44,6 +45,7 @@ export function listStash({ topic = null, limit = 50, offset = 0, _db }) {
 			fileType: d.file_type,
 			summary: d.summary,
 			charCount: d.char_count,
+			ocr: Boolean(d.ocr),
 			isPrimary: Boolean(d.is_primary),
 			createdAt: d.created_at,
 		})),
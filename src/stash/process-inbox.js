@@ -51,7 +51,7 @@ export async function processInbox({
 
 		try {
 			// Extract text
-			const text = await _extractText(filePath, fileType);
+			const { text, ocrPages } = await _extractText(filePath, fileType);
 			const charCount = text.length;
 
 			// Get existing topics for classification context
@@ -97,6 +97,7 @@ export async function processInbox({
 				summary: normalized.summary,
 				storePath: relativeStorePath,
 				charCount,
+				ocr: ocrPages.length > 0,
 				primaryTopic: normalized.primaryTopic,
 				secondaryTopics: normalized.secondaryTopics,
 			});
@@ -49,6 +49,7 @@ export async function reindexStash({
 			const existingTopics = _db.getTopicsWithCounts();
 			const textPath = getTextPath(doc, _stashRoot);
 			let fullText;
+			let ocr;
 			let regeneratedText = false;
 
 			try {
@@ -58,7 +59,9 @@ export async function reindexStash({
 					throw error;
 				}
 				const originalPath = path.join(_stashRoot, doc.store_path);
-				fullText = await _extractText(originalPath, doc.file_type);
+				const extracted = await _extractText(originalPath, doc.file_type);
+				fullText = extracted.text;
+				ocr = extracted.ocrPages.length > 0;
 				regeneratedText = true;
 			}
 
@@ -113,6 +116,7 @@ export async function reindexStash({
 				summary: normalized.summary,
 				storePath: newRelativePath,
 				charCount: fullText.length,
+				ocr,
 				primaryTopic: normalized.primaryTopic,
 				secondaryTopics: normalized.secondaryTopics,
 			});
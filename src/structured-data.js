@@ -0,0 +1,328 @@
+import { JSDOM } from "jsdom";
+
+// Meta tag prefixes collected into their own groups
+const META_GROUPS = [
+	{ group: "openGraph", prefix: "og:" },
+	{ group: "twitter", prefix: "twitter:" },
+	{ group: "article", prefix: "article:" },
+	{ group: "citation", prefix: "citation_" },
+];
+
+// Elements whose microdata/RDFa value is a URL attribute
+const URL_ATTRIBUTES = {
+	a: "href",
+	area: "href",
+	link: "href",
+	audio: "src",
+	embed: "src",
+	iframe: "src",
+	img: "src",
+	source: "src",
+	track: "src",
+	video: "src",
+	object: "data",
+};
+
+const collapse = (value) => value.replace(/\s+/g, " ").trim();
+
+const splitTokens = (value) => (value || "").split(/\s+/).filter(Boolean);
+
+function resolveUrl(value, baseUrl) {
+	try {
+		return new URL(value, baseUrl).href;
+	} catch {
+		return value;
+	}
+}
+
+// Add a value under `key`, turning repeated keys into arrays
+function addValue(target, key, value) {
+	if (!(key in target)) {
+		target[key] = value;
+	} else if (Array.isArray(target[key])) {
+		target[key].push(value);
+	} else {
+		target[key] = [target[key], value];
+	}
+}
+
+const asArray = (value) =>
+	value === undefined || value === null
+		? []
+		: Array.isArray(value)
+			? value
+			: [value];
+
+/**
+ * Parse every JSON-LD script, flattening top-level arrays and `@graph`s into
+ * a single list of items. Scripts that aren't valid JSON are skipped.
+ */
+function extractJsonLd(document) {
+	const items = [];
+	for (const script of document.querySelectorAll(
+		'script[type="application/ld+json"]',
+	)) {
+		let data;
+		try {
+			// Some sites wrap the JSON in HTML comments or CDATA markers
+			const source = script.textContent
+				.trim()
+				.replace(/^(<!--|\/\/\s*<!\[CDATA\[)/, "")
+				.replace(/(-->|\/\/\s*\]\]>)$/, "");
+			data = JSON.parse(source);
+		} catch {
+			continue;
+		}
+		for (const entry of asArray(data)) {
+			if (
+				entry &&
+				typeof entry === "object" &&
+				Array.isArray(entry["@graph"])
+			) {
+				items.push(...entry["@graph"]);
+			} else if (entry && typeof entry === "object") {
+				items.push(entry);
+			}
+		}
+	}
+	return items;
+}
+
+function collectMetaTags(document) {
+	const groups = Object.fromEntries(
+		META_GROUPS.map(({ group }) => [group, {}]),
+	);
+	for (const meta of document.querySelectorAll("meta[content]")) {
+		const name = meta.getAttribute("property") || meta.getAttribute("name");
+		if (!name) continue;
+		const lowerName = name.toLowerCase();
+		const match = META_GROUPS.find(({ prefix }) =>
+			lowerName.startsWith(prefix),
+		);
+		if (!match) continue;
+		const content = meta.getAttribute("content").trim();
+		if (!content) continue;
+		addValue(groups[match.group], name.slice(match.prefix.length), content);
+	}
+	return groups;
+}
+
+/**
+ * The value of a microdata or RDFa property element, following the HTML
+ * microdata rules (URLs for links and media, `content`/`value`/`datetime`
+ * attributes, otherwise the text).
+ */
+function propertyValue(element, baseUrl, { rdfa = false } = {}) {
+	if (rdfa && element.hasAttribute("content")) {
+		return element.getAttribute("content");
+	}
+	const tag = element.localName;
+	if (tag === "meta") return element.getAttribute("content") || "";
+	if (rdfa) {
+		for (const attribute of ["resource", "href", "src"]) {
+			if (element.hasAttribute(attribute)) {
+				return resolveUrl(element.getAttribute(attribute), baseUrl);
+			}
+		}
+	}
+	const urlAttribute = URL_ATTRIBUTES[tag];
+	if (urlAttribute && element.hasAttribute(urlAttribute)) {
+		return resolveUrl(element.getAttribute(urlAttribute), baseUrl);
+	}
+	if ((tag === "data" || tag === "meter") && element.hasAttribute("value")) {
+		return element.getAttribute("value");
+	}
+	if (tag === "time" && element.hasAttribute("datetime")) {
+		return element.getAttribute("datetime");
+	}
+	return collapse(element.textContent);
+}
+
+/**
+ * Read one item (microdata `itemscope` or RDFa `typeof`) into
+ * `{type, id, properties}`, where each property maps to a list of values.
+ * Nested items become nested objects; their properties stay with them.
+ */
+function readItem(element, baseUrl, syntax, seen = new Set()) {
+	const rdfa = syntax === "rdfa";
+	const scopeAttribute = rdfa ? "typeof" : "itemscope";
+	const propAttribute = rdfa ? "property" : "itemprop";
+	seen.add(element);
+
+	const item = {
+		type: splitTokens(element.getAttribute(rdfa ? "typeof" : "itemtype")),
+	};
+	const id = rdfa
+		? element.getAttribute("resource") || element.getAttribute("about")
+		: element.getAttribute("itemid");
+	if (id) item.id = resolveUrl(id, baseUrl);
+	item.properties = {};
+
+	const roots = [element];
+	if (!rdfa) {
+		for (const ref of splitTokens(element.getAttribute("itemref"))) {
+			const referenced = element.ownerDocument.getElementById(ref);
+			if (referenced) roots.push(referenced);
+		}
+	}
+
+	const visit = (node, isRoot) => {
+		if (!isRoot && node.hasAttribute(propAttribute)) {
+			const isItem = node.hasAttribute(scopeAttribute) && !seen.has(node);
+			const value = isItem
+				? readItem(node, baseUrl, syntax, seen)
+				: propertyValue(node, baseUrl, { rdfa });
+			for (const name of splitTokens(node.getAttribute(propAttribute))) {
+				item.properties[name] = [...(item.properties[name] || []), value];
+			}
+			if (isItem) return;
+		} else if (!isRoot && node.hasAttribute(scopeAttribute)) {
+			// An unrelated item nested inside this one
+			return;
+		}
+		for (const child of node.children) {
+			visit(child, false);
+		}
+	};
+	for (const root of roots) {
+		visit(root, root === element);
+	}
+	return item;
+}
+
+function extractItems(document, baseUrl, syntax) {
+	const selector =
+		syntax === "rdfa"
+			? "[typeof]:not([property])"
+			: "[itemscope]:not([itemprop])";
+	return Array.from(document.querySelectorAll(selector)).map((element) =>
+		readItem(element, baseUrl, syntax),
+	);
+}
+
+// Names from a schema.org person/organization value, a string, or a list of either
+function personNames(value) {
+	return asArray(value)
+		.flatMap((entry) => (typeof entry === "string" ? entry : entry?.name))
+		.filter((name) => typeof name === "string" && name.trim())
+		.map((name) => collapse(name));
+}
+
+const firstString = (...values) =>
+	values
+		.flatMap((value) => asArray(value))
+		.find((value) => typeof value === "string" && value.trim());
+
+function findDoi(citation, jsonLd) {
+	const candidates = [
+		...asArray(citation.doi),
+		...jsonLd.flatMap((item) => [
+			...asArray(item.identifier).map((identifier) =>
+				typeof identifier === "object" ? identifier?.value : identifier,
+			),
+			...asArray(item.sameAs),
+			...asArray(item["@id"]),
+		]),
+	];
+	for (const candidate of candidates) {
+		if (typeof candidate !== "string") continue;
+		const match = candidate.match(/\b(10\.\d{4,9}\/\S+)/);
+		if (match) return match[1];
+	}
+	return undefined;
+}
+
+/**
+ * The most commonly wanted fields, taken from whichever source has them.
+ * Highwire citation tags are most reliable for papers, then JSON-LD, then
+ * OpenGraph/article tags, then microdata.
+ */
+function summarize(
+	{ jsonLd, microdata, openGraph, twitter, article, citation },
+	baseUrl,
+) {
+	const main =
+		jsonLd.find((item) => item.headline || item.datePublished || item.author) ||
+		jsonLd[0] ||
+		{};
+	const micro = microdata[0]?.properties || {};
+
+	const authors = [
+		citation.author,
+		personNames(main.author),
+		article.author,
+		asArray(micro.author).map((value) => value.properties?.name?.[0] ?? value),
+	]
+		.map((source) => personNames(source))
+		.find((names) => names.length > 0);
+
+	const summary = {
+		type: firstString(main["@type"], openGraph.type, microdata[0]?.type),
+		title: firstString(
+			citation.title,
+			main.headline,
+			main.name,
+			openGraph.title,
+			twitter.title,
+			micro.headline,
+			micro.name,
+		),
+		description: firstString(
+			main.description,
+			openGraph.description,
+			twitter.description,
+		),
+		authors: authors || [],
+		datePublished: firstString(
+			citation.publication_date,
+			citation.date,
+			main.datePublished,
+			article.published_time,
+			micro.datePublished,
+		),
+		dateModified: firstString(
+			main.dateModified,
+			article.modified_time,
+			micro.dateModified,
+		),
+		publisher: firstString(
+			citation.publisher,
+			citation.journal_title,
+			personNames(main.publisher),
+			openGraph.site_name,
+		),
+		doi: findDoi(citation, jsonLd),
+		image: firstString(
+			openGraph.image,
+			twitter.image,
+			main.image?.url,
+			main.image,
+		),
+	};
+	if (summary.image) summary.image = resolveUrl(summary.image, baseUrl);
+	return Object.fromEntries(
+		Object.entries(summary).filter(([, value]) => value !== undefined),
+	);
+}
+
+/**
+ * Extract machine-readable metadata from a page: JSON-LD, microdata and RDFa
+ * items, and all OpenGraph (`og:*`), Twitter card (`twitter:*`), `article:*`
+ * and Highwire (`citation_*`) meta tags. Meta tag names keep their suffix
+ * (e.g. `og:image:width` becomes `openGraph["image:width"]`), and repeated
+ * tags such as `citation_author` become arrays.
+ *
+ * @param {string} rawHtml - Page HTML
+ * @param {string} url - Page URL (used to resolve relative URLs)
+ * @returns {{summary: Object, jsonLd: Object[], microdata: Object[], rdfa: Object[], openGraph: Object, twitter: Object, article: Object, citation: Object}}
+ */
+export function extractStructuredData(rawHtml, url) {
+	const { document } = new JSDOM(rawHtml, { url }).window;
+	const data = {
+		jsonLd: extractJsonLd(document),
+		microdata: extractItems(document, url, "microdata"),
+		rdfa: extractItems(document, url, "rdfa"),
+		...collectMetaTags(document),
+	};
+	return { summary: summarize(data, url), ...data };
+}
@@ -0,0 +1,259 @@
+/**
+ * Passage search over extracted text, for finding things in long documents
+ * without paging through them.
+ *
+ * A query without operators is searched for as written, e.g. `f(x)` or
+ * `rock and roll`. Otherwise it is terms combined with AND, OR and NOT (upper
+ * case, between spaces), grouped with parentheses. Adjacent terms are ANDed,
+ * and "double quotes" make a phrase. A query that doesn't parse is searched
+ * for as written too. The query is evaluated per passage: a passage around an
+ * occurrence of a term matches if the whole query is true within
+ * `contextChars` of it.
+ */
+
+const OPERATORS = new Set(["AND", "OR", "NOT"]);
+const OPERATOR_PATTERN = /(?:^|\s)(?:AND|OR|NOT)(?=\s|$)/;
+
+function escapeRegex(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const count = (word, char) => word.split(char).length - 1;
+
+/**
+ * Split a word into grouping parentheses and the term between them. Only
+ * parentheses at the edges group, and a closing one only when it has no
+ * partner in the word, so `(f(x))` is the term `f(x)` in a group.
+ */
+function tokenizeWord(word) {
+	const tokens = [];
+	let rest = word;
+	while (rest.startsWith("(")) {
+		tokens.push({ type: "(" });
+		rest = rest.slice(1);
+	}
+	let closing = 0;
+	while (rest.endsWith(")") && count(rest, ")") > count(rest, "(")) {
+		closing++;
+		rest = rest.slice(0, -1);
+	}
+	if (OPERATORS.has(rest)) {
+		tokens.push({ type: rest });
+	} else if (rest) {
+		tokens.push({ type: "term", value: rest, phrase: false });
+	}
+	for (let i = 0; i < closing; i++) tokens.push({ type: ")" });
+	return tokens;
+}
+
+function tokenize(query) {
+	const tokens = [];
+	const regex = /"([^"]*)"?|([^\s"]+)/g;
+	let match;
+	while (true) {
+		match = regex.exec(query);
+		if (match === null) break;
+		if (match[1] !== undefined) {
+			const phrase = match[1].trim();
+			if (phrase) tokens.push({ type: "term", value: phrase, phrase: true });
+		} else {
+			tokens.push(...tokenizeWord(match[2]));
+		}
+	}
+	return tokens;
+}
+
+// The whole query as one phrase, without quotes around it
+function literalQuery(query) {
+	const value = query
+		.trim()
+		.replace(/^"([^"]*)"$/, "$1")
+		.trim();
+	return { type: "term", value, phrase: true };
+}
+
+/**
+ * Parse a search query into a tree of `{type: "term", value, phrase}`,
+ * `{type: "and"|"or", children}` and `{type: "not", child}` nodes. NOT binds
+ * tighter than AND, which binds tighter than OR. Queries without operators,
+ * or that don't parse, become a single phrase.
+ */
+export function parseQuery(query) {
+	if (!query.trim()) {
+		throw new Error("Invalid search query: no search terms");
+	}
+	if (!OPERATOR_PATTERN.test(query)) return literalQuery(query);
+	try {
+		return parseOperators(tokenize(query));
+	} catch {
+		return literalQuery(query);
+	}
+}
+
+function parseOperators(tokens) {
+	let index = 0;
+	const peek = () => tokens[index]?.type;
+	const fail = (reason) => {
+		throw new Error(`Invalid search query: ${reason}`);
+	};
+
+	function parseOr() {
+		const children = [parseAnd()];
+		while (peek() === "OR") {
+			index++;
+			children.push(parseAnd());
+		}
+		return children.length === 1 ? children[0] : { type: "or", children };
+	}
+
+	function parseAnd() {
+		const children = [parseNot()];
+		while (peek() && peek() !== "OR" && peek() !== ")") {
+			if (peek() === "AND") index++;
+			children.push(parseNot());
+		}
+		return children.length === 1 ? children[0] : { type: "and", children };
+	}
+
+	function parseNot() {
+		if (peek() === "NOT") {
+			index++;
+			return { type: "not", child: parseNot() };
+		}
+		return parsePrimary();
+	}
+
+	function parsePrimary() {
+		const token = tokens[index++];
+		if (!token) fail("expected a term at the end");
+		if (token.type === "term") return token;
+		if (token.type === "(") {
+			const node = parseOr();
+			if (tokens[index++]?.type !== ")") fail("missing )");
+			return node;
+		}
+		return fail(`unexpected ${token.type}`);
+	}
+
+	const tree = parseOr();
+	if (index < tokens.length) fail(`unexpected ${tokens[index].type}`);
+	return tree;
+}
+
+// Terms that must be present somewhere, i.e. not under an odd number of NOTs
+function positiveTerms(node, negated = false, terms = []) {
+	if (node.type === "term") {
+		if (!negated) terms.push(node);
+	} else if (node.type === "not") {
+		positiveTerms(node.child, !negated, terms);
+	} else {
+		for (const child of node.children) positiveTerms(child, negated, terms);
+	}
+	return terms;
+}
+
+function evaluate(node, passage) {
+	switch (node.type) {
+		case "term":
+			node.regex.lastIndex = 0;
+			return node.regex.test(passage);
+		case "not":
+			return !evaluate(node.child, passage);
+		case "and":
+			return node.children.every((child) => evaluate(child, passage));
+		default:
+			return node.children.some((child) => evaluate(child, passage));
+	}
+}
+
+function compileTerms(node, flags) {
+	if (node.type === "term") {
+		// Phrases match across line breaks and runs of spaces, as in PDF text
+		const source = node.value
+			.split(/\s+/)
+			.map(escapeRegex)
+			.join(node.phrase ? "\\s+" : "");
+		node.regex = new RegExp(source, flags);
+	} else if (node.type === "not") {
+		compileTerms(node.child, flags);
+	} else {
+		for (const child of node.children) compileTerms(child, flags);
+	}
+}
+
+/**
+ * Find the passages of `text` that match `query`, in order. Occurrences that
+ * fall inside the previous passage are reported as part of it.
+ *
+ * @param {string} text - Text to search
+ * @param {string} query - Boolean query, or a regular expression with `regex`
+ * @param {Object} [options]
+ * @param {number} [options.contextChars=200] - Characters of context on each side
+ * @param {boolean} [options.regex=false] - Treat the query as one regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly
+ * @param {(position: number) => boolean} [options.ignore] - Skip occurrences at positions this returns true for
+ * @returns {Array<{position: number, match: string, context: string, prefix: string, suffix: string}>}
+ */
+export function searchText(
+	text,
+	query,
+	{
+		contextChars = 200,
+		regex = false,
+		caseSensitive = false,
+		ignore = () => false,
+	} = {},
+) {
+	const flags = caseSensitive ? "g" : "gi";
+	let tree;
+	if (regex) {
+		tree = { type: "term", value: query };
+		try {
+			tree.regex = new RegExp(query, flags);
+		} catch (error) {
+			throw new Error(`Invalid search pattern: ${error.message}`);
+		}
+	} else {
+		tree = parseQuery(query);
+		compileTerms(tree, flags);
+	}
+
+	const terms = positiveTerms(tree);
+	if (terms.length === 0) {
+		throw new Error("Invalid search query: needs a term that isn't negated");
+	}
+
+	const hits = [];
+	for (const term of terms) {
+		const termRegex = new RegExp(term.regex.source, flags);
+		for (const found of text.matchAll(termRegex)) {
+			// Patterns that can match nothing (e.g. "a*") would match everywhere
+			if (found[0].length === 0 || ignore(found.index)) continue;
+			hits.push({ position: found.index, match: found[0] });
+		}
+	}
+	hits.sort((a, b) => a.position - b.position);
+
+	const matches = [];
+	let coveredUntil = -1;
+	for (const hit of hits) {
+		if (hit.position < coveredUntil) continue;
+		const start = Math.max(0, hit.position - contextChars);
+		const end = Math.min(
+			text.length,
+			hit.position + hit.match.length + contextChars,
+		);
+		const context = text.slice(start, end);
+		if (!evaluate(tree, context)) continue;
+
+		matches.push({
+			position: hit.position,
+			match: hit.match,
+			context,
+			prefix: start > 0 ? "..." : "",
+			suffix: end < text.length ? "..." : "",
+		});
+		coveredUntil = end;
+	}
+	return matches;
+}
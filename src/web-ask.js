@@ -1,15 +1,13 @@
 import { PDFParse } from "pdf-parse";
 import { chromium } from "playwright";
 import { processAsk } from "./ask-processor.js";
-import {
-	detectContentType,
-	fetchPdfContent,
-	fetchWebContent,
-} from "./web-extract.js";
+import { detectContentType } from "./content-type.js";
+import { documentLabel } from "./documents.js";
+import { loadContent } from "./web-extract.js";
 
 /**
  * Fetch URL and have LLM answer questions about its content.
- * Auto-detects content type (PDF or web page).
+ * Auto-detects content type (PDF, another document such as DOCX, or web page).
  *
  * @param {Object} options
  * @param {string} options.url - URL to fetch (PDF or web page)
@@ -19,8 +17,21 @@ import {
  * @param {number} [options.askMaxOutputTokens=4096] - Max output tokens
  * @param {boolean} [options.askSplitAndSynthesize=false] - Enable chunked processing
  * @param {number} [options.waitMs=0] - Extra wait after page load (web only)
- * @param {number} [options.timeoutMs=15000] - Max page load time (web only)
+ * @param {number} [options.timeoutMs=15000] - Max page load time, and time limit for downloads and other requests
  * @param {boolean} [options.headless=true] - Run browser without UI (web only)
+ * @param {boolean|string[]} [options.blockResources=true] - Block images, media, fonts and trackers, or only these resource types (web only)
+ * @param {boolean} [options.refresh=false] - Refetch even if the URL is cached
+ * @param {string} [options.waitUntil="domcontentloaded"] - Navigation event to wait for (web only)
+ * @param {string} [options.waitForSelector] - Wait for an element matching this selector (web only)
+ * @param {string} [options.waitForText] - Wait for this text to appear (web only)
+ * @param {string} [options.waitForFunction] - Wait for this JS expression to be truthy (web only)
+ * @param {string} [options.profile] - Named browser profile to use, e.g. for logged-in pages (web only)
+ * @param {Object<string, string>} [options.headers] - Extra HTTP headers (web only)
+ * @param {string} [options.userAgent] - User agent string (web only)
+ * @param {string} [options.locale] - Browser locale and Accept-Language (web only)
+ * @param {string} [options.timezone] - IANA timezone (web only)
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (web only)
+ * @param {string} [options.device] - Playwright device preset to emulate (web only)
  * @param {Object} options._server - MCP server instance (required)
  */
 export async function askWeb({
@@ -34,11 +45,25 @@ export async function askWeb({
 	waitMs = 0,
 	timeoutMs = 15000,
 	headless = true,
+	blockResources = true,
+	refresh = false,
+	waitUntil,
+	waitForSelector,
+	waitForText,
+	waitForFunction,
+	profile,
+	headers,
+	userAgent,
+	locale,
+	timezone,
+	viewport,
+	device,
 	// Dependency injection for testing
 	_PDFParse = PDFParse,
 	_chromium = chromium,
 	_detectContentType = detectContentType,
 	_server = null,
+	_stashRoot,
 }) {
 	if (!_server) {
 		throw new Error("Server instance required for ask mode");
@@ -48,31 +73,39 @@ export async function askWeb({
 		throw new Error("Only http/https URLs are allowed");
 	}
 
-	// Detect content type
-	const detectedType = await _detectContentType(url);
-	const isPdf = detectedType.includes("application/pdf");
-	const contentType = isPdf ? "pdf" : "html";
-
-	// Fetch content
-	let fullText, metadata;
-
-	if (isPdf) {
-		const result = await fetchPdfContent(url, _PDFParse);
-		fullText = result.text;
-		metadata = result.metadata;
-	} else {
-		const result = await fetchWebContent(url, {
-			waitMs,
-			timeoutMs,
-			headless,
-			_chromium,
-		});
-		fullText = result.text;
-		metadata = result.metadata;
-	}
+	// Fetch content (or reuse what friendly_web_extract cached)
+	const {
+		text: fullText,
+		metadata,
+		contentType,
+	} = await loadContent(url, {
+		pageOptions: {
+			waitUntil,
+			waitForSelector,
+			waitForText,
+			waitForFunction,
+			profile,
+			headers,
+			userAgent,
+			locale,
+			timezone,
+			viewport,
+			device,
+			blockResources: blockResources === true ? undefined : blockResources,
+		},
+		fetchOptions: { waitMs, timeoutMs, headless },
+		refresh,
+		_PDFParse,
+		_chromium,
+		_detectContentType,
+		_stashRoot,
+	});
 
 	// Process with LLM
-	const documentType = isPdf ? "PDF document" : "web page";
+	const documentType =
+		contentType === "pdf"
+			? "PDF document"
+			: documentLabel(contentType) || "web page";
 	const result = await processAsk({
 		fullText,
 		ask,
@@ -87,6 +120,7 @@ export async function askWeb({
 	return {
 		url,
 		contentType,
+		detectedType: metadata.detectedType,
 		title: metadata.title,
 		totalChars: fullText.length,
 		ask,
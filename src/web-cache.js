@@ -0,0 +1,284 @@
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { getConfig } from "./config.js";
+import { getStashRoot } from "./stash/index.js";
+
+export const CACHE_FILE = "web-cache.db";
+
+const SCHEMA_VERSION = 1;
+
+const MIGRATIONS = {
+	1: `
+		CREATE TABLE entries (
+			key TEXT PRIMARY KEY,
+			url TEXT NOT NULL,
+			content_type TEXT NOT NULL,
+			text TEXT NOT NULL,
+			metadata TEXT NOT NULL,
+			size INTEGER NOT NULL,
+			etag TEXT,
+			last_modified TEXT,
+			fetched_at TEXT NOT NULL,
+			expires_at INTEGER NOT NULL,
+			accessed_at INTEGER NOT NULL
+		);
+
+		CREATE INDEX idx_entries_accessed_at ON entries(accessed_at);
+	`,
+};
+
+/**
+ * Extracted web content, kept in SQLite so it survives restarts. Entries
+ * expire after `ttlMs`, but stay around (with their ETag and Last-Modified
+ * validators) so they can be revalidated instead of refetched. When the cache
+ * outgrows `maxBytes`, the least recently used entries are evicted.
+ *
+ * Without a `dbPath` the cache lives in memory.
+ */
+export class WebCache {
+	constructor({
+		dbPath = ":memory:",
+		maxBytes = 100 * 1024 * 1024,
+		ttlMs = 24 * 60 * 60 * 1000,
+		_Database = Database,
+		_now = Date.now,
+	} = {}) {
+		if (dbPath !== ":memory:") {
+			fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+		}
+		this.db = new _Database(dbPath);
+		this.maxBytes = maxBytes;
+		this.ttlMs = ttlMs;
+		this._now = _now;
+		// Since the server started
+		this.counters = {
+			hits: 0,
+			misses: 0,
+			stale: 0,
+			revalidated: 0,
+			evictions: 0,
+		};
+		this._runMigrations();
+	}
+
+	_runMigrations() {
+		const currentVersion = this.db.pragma("user_version", { simple: true });
+
+		for (let v = currentVersion + 1; v <= SCHEMA_VERSION; v++) {
+			if (MIGRATIONS[v]) {
+				this.db.exec(MIGRATIONS[v]);
+			}
+		}
+
+		if (currentVersion !== SCHEMA_VERSION) {
+			this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+		}
+	}
+
+	/**
+	 * Look up an entry, marking it as recently used. Expired entries are
+	 * returned with `stale: true` so the caller can revalidate them.
+	 */
+	get(key) {
+		const row = this.db.prepare("SELECT * FROM entries WHERE key = ?").get(key);
+		if (!row) {
+			this.counters.misses++;
+			return null;
+		}
+
+		const now = this._now();
+		if (row.expires_at <= now) {
+			this.counters.stale++;
+		} else {
+			this.counters.hits++;
+		}
+		this.db
+			.prepare("UPDATE entries SET accessed_at = ? WHERE key = ?")
+			.run(now, key);
+		return {
+			url: row.url,
+			contentType: row.content_type,
+			text: row.text,
+			metadata: JSON.parse(row.metadata),
+			size: row.size,
+			etag: row.etag,
+			lastModified: row.last_modified,
+			fetchedAt: row.fetched_at,
+			stale: row.expires_at <= now,
+		};
+	}
+
+	/**
+	 * Store an entry, evicting least recently used entries to make room.
+	 * Entries larger than the whole cache are not stored.
+	 */
+	set(key, { url, contentType, text, metadata, etag, lastModified }) {
+		const metadataJson = JSON.stringify(metadata);
+		const size = Buffer.byteLength(text) + Buffer.byteLength(metadataJson);
+		if (size > this.maxBytes) return;
+
+		const now = this._now();
+		const store = this.db.transaction(() => {
+			this.db.prepare("DELETE FROM entries WHERE key = ?").run(key);
+			this._evict(this.maxBytes - size);
+			this.db
+				.prepare(
+					`
+				INSERT INTO entries (key, url, content_type, text, metadata, size,
+					etag, last_modified, fetched_at, expires_at, accessed_at)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			`,
+				)
+				.run(
+					key,
+					url,
+					contentType,
+					text,
+					metadataJson,
+					size,
+					etag || null,
+					lastModified || null,
+					new Date(now).toISOString(),
+					now + this.ttlMs,
+					now,
+				);
+		});
+		store();
+	}
+
+	/**
+	 * Mark an entry as fresh again, e.g. after the server answered 304
+	 */
+	refresh(key) {
+		this.counters.revalidated++;
+		const now = this._now();
+		this.db
+			.prepare(
+				"UPDATE entries SET fetched_at = ?, expires_at = ?, accessed_at = ? WHERE key = ?",
+			)
+			.run(new Date(now).toISOString(), now + this.ttlMs, now, key);
+	}
+
+	_evict(targetBytes) {
+		const oldest = this.db.prepare(
+			"SELECT key, size FROM entries ORDER BY accessed_at, rowid LIMIT 1",
+		);
+		const remove = this.db.prepare("DELETE FROM entries WHERE key = ?");
+		let total = this.getStats().bytes;
+		while (total > targetBytes) {
+			const entry = oldest.get();
+			if (!entry) break;
+			remove.run(entry.key);
+			total -= entry.size;
+			this.counters.evictions++;
+		}
+	}
+
+	/**
+	 * Cached entries, most recently used first, optionally only those whose
+	 * URL matches `pattern` (a RegExp)
+	 */
+	list({ pattern, limit = 50, offset = 0 } = {}) {
+		const now = this._now();
+		const rows = this.db
+			.prepare(
+				`
+			SELECT key, url, content_type, size, fetched_at, expires_at
+			FROM entries ORDER BY accessed_at DESC, rowid DESC
+		`,
+			)
+			.all()
+			.filter((row) => !pattern || pattern.test(row.url));
+		return {
+			total: rows.length,
+			entries: rows.slice(offset, offset + limit).map((row) => ({
+				url: row.url,
+				// Page options the content was extracted with, if any
+				options: parseKeyOptions(row.key),
+				contentType: row.content_type,
+				size: row.size,
+				fetchedAt: row.fetched_at,
+				expiresAt: new Date(row.expires_at).toISOString(),
+				stale: row.expires_at <= now,
+			})),
+		};
+	}
+
+	/**
+	 * Remove every entry for `url` (whatever options it was extracted with), or
+	 * every entry whose URL matches `pattern`. Returns the number removed.
+	 */
+	evict({ url, pattern }) {
+		const matches = (entryUrl) =>
+			url !== undefined ? entryUrl === url : pattern.test(entryUrl);
+		const keys = this.db
+			.prepare("SELECT key, url FROM entries")
+			.all()
+			.filter((row) => matches(row.url))
+			.map((row) => row.key);
+		const remove = this.db.prepare("DELETE FROM entries WHERE key = ?");
+		this.db.transaction(() => {
+			for (const key of keys) remove.run(key);
+		})();
+		return keys.length;
+	}
+
+	clear() {
+		return this.db.prepare("DELETE FROM entries").run().changes;
+	}
+
+	getStats() {
+		const { size, bytes } = this.db
+			.prepare(
+				"SELECT COUNT(*) AS size, COALESCE(SUM(size), 0) AS bytes FROM entries",
+			)
+			.get();
+		return {
+			size,
+			bytes,
+			maxBytes: this.maxBytes,
+			ttlMs: this.ttlMs,
+			...this.counters,
+		};
+	}
+
+	close() {
+		this.db.close();
+	}
+}
+
+// Keys are the URL, then the page options as JSON (see getCacheKey). Of the
+// request headers, only the names are listed.
+function parseKeyOptions(key) {
+	const separator = key.indexOf(" ");
+	if (separator === -1) return undefined;
+	const options = JSON.parse(key.slice(separator + 1));
+	if (options.headers) options.headers = Object.keys(options.headers);
+	return options;
+}
+
+let webCache = null;
+
+/**
+ * The shared web cache, stored in the stash root and configured from the
+ * `cache` section of config.json.
+ */
+export function getWebCache() {
+	if (!webCache) {
+		webCache = new WebCache({
+			dbPath: path.join(getStashRoot(), CACHE_FILE),
+			...getConfig().cache,
+		});
+	}
+	return webCache;
+}
+
+/**
+ * Replace the shared web cache (e.g. with an in-memory one in tests)
+ */
+export function configureWebCache(options) {
+	webCache?.close();
+	webCache = new WebCache(options);
+	return webCache;
+}
@@ -0,0 +1,181 @@
+import { extractFromUrl } from "./web-extract.js";
+
+// Links to files that are neither web pages nor PDFs
+const SKIPPED_EXTENSIONS =
+	/\.(?:7z|avi|bmp|css|dmg|exe|gif|gz|ico|jpe?g|js|mov|mp[34]|ogg|png|rar|svg|tar|tgz|wav|webm|webp|woff2?|xz|zip)$/i;
+
+/**
+ * Build the test for which URLs belong to the crawl
+ */
+function buildScope(startUrl, { scope, prefix, pattern }) {
+	if (scope === "regex") {
+		if (!pattern) {
+			throw new Error('A pattern is required for scope "regex"');
+		}
+		let regex;
+		try {
+			regex = new RegExp(pattern);
+		} catch (error) {
+			throw new Error(`Invalid scope pattern: ${error.message}`);
+		}
+		return { prefix: undefined, inScope: (url) => regex.test(url.href) };
+	}
+	if (scope === "prefix") {
+		// Default to the start page's directory, e.g. /docs/ for /docs/intro
+		const pathPrefix =
+			prefix ??
+			startUrl.pathname.slice(0, startUrl.pathname.lastIndexOf("/") + 1);
+		return {
+			prefix: pathPrefix,
+			inScope: (url) =>
+				url.origin === startUrl.origin && url.pathname.startsWith(pathPrefix),
+		};
+	}
+	return {
+		prefix: undefined,
+		inScope: (url) => url.host === startUrl.host,
+	};
+}
+
+/**
+ * Crawl a site breadth-first from `url`, extracting each page's main content
+ * (or PDF text) with the same pipeline as extractFromUrl. Only links within
+ * the scope are followed: the start page's host, a path prefix, or a regex,
+ * taken from where the start URL redirected to.
+ * A page that fails to load is reported in `errors` and the crawl carries on;
+ * only a failing start page is an error.
+ *
+ * Other options (selector, waitUntil, profile, blockResources...) are passed
+ * to extractFromUrl for every page.
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL to start from
+ * @param {"host"|"prefix"|"regex"} [options.scope="host"] - Which links to follow
+ * @param {string} [options.prefix] - Path prefix for the "prefix" scope (default: the start URL's directory)
+ * @param {string} [options.pattern] - Regex the full URL must match for the "regex" scope
+ * @param {string} [options.excludePattern] - Skip URLs matching this regex
+ * @param {number} [options.maxPages=20] - Stop after this many pages
+ * @param {number} [options.maxDepth=2] - Follow links at most this many hops from the start
+ * @param {number} [options.maxCharsPerPage=4000] - Max content characters per page
+ * @param {number} [options.maxChars=40000] - Stop once this much content has been collected
+ */
+export async function crawlSite({
+	url,
+	scope = "host",
+	prefix,
+	pattern,
+	excludePattern,
+	maxPages = 20,
+	maxDepth = 2,
+	maxCharsPerPage = 4000,
+	maxChars = 40000,
+	// Dependency injection for testing
+	_extractFromUrl = extractFromUrl,
+	...pageOptions
+}) {
+	const startUrl = new URL(url);
+	if (!["http:", "https:"].includes(startUrl.protocol)) {
+		throw new Error("Only http/https URLs are allowed");
+	}
+	startUrl.hash = "";
+	let { prefix: scopePrefix, inScope } = buildScope(startUrl, {
+		scope,
+		prefix,
+		pattern,
+	});
+	let exclude;
+	if (excludePattern) {
+		try {
+			exclude = new RegExp(excludePattern);
+		} catch (error) {
+			throw new Error(`Invalid exclude pattern: ${error.message}`);
+		}
+	}
+
+	const seen = new Set([startUrl.href]);
+	const queue = [{ url: startUrl.href, depth: 0 }];
+	const pages = [];
+	const errors = [];
+	let totalChars = 0;
+	let stoppedBecause = "complete";
+
+	while (queue.length > 0) {
+		if (pages.length + errors.length >= maxPages) {
+			stoppedBecause = "maxPages";
+			break;
+		}
+		if (totalChars >= maxChars) {
+			stoppedBecause = "maxChars";
+			break;
+		}
+		const { url: pageUrl, depth } = queue.shift();
+
+		let result;
+		try {
+			result = await _extractFromUrl({
+				...pageOptions,
+				url: pageUrl,
+				maxChars: Math.min(maxCharsPerPage, maxChars - totalChars),
+				includeLinks: true,
+			});
+		} catch (error) {
+			if (depth === 0) throw error;
+			const message = error instanceof Error ? error.message : String(error);
+			errors.push({ url: pageUrl, depth, error: message });
+			continue;
+		}
+
+		// Scope the crawl to where the start page redirected, e.g. www. or https
+		if (depth === 0 && result.finalUrl) {
+			const finalUrl = new URL(result.finalUrl);
+			finalUrl.hash = "";
+			({ prefix: scopePrefix, inScope } = buildScope(finalUrl, {
+				scope,
+				prefix,
+				pattern,
+			}));
+			seen.add(finalUrl.href);
+		}
+
+		totalChars += result.content.length;
+		pages.push({
+			url: pageUrl,
+			depth,
+			title: result.title,
+			contentType: result.contentType,
+			content: result.content,
+			totalChars: result.totalChars,
+			truncated: result.truncated,
+		});
+
+		if (depth >= maxDepth) continue;
+		for (const link of result.links || []) {
+			const linkUrl = new URL(link.url);
+			if (
+				seen.has(linkUrl.href) ||
+				!inScope(linkUrl) ||
+				exclude?.test(linkUrl.href) ||
+				SKIPPED_EXTENSIONS.test(linkUrl.pathname)
+			) {
+				continue;
+			}
+			seen.add(linkUrl.href);
+			queue.push({ url: linkUrl.href, depth: depth + 1 });
+		}
+	}
+
+	return {
+		url: startUrl.href,
+		scope,
+		prefix: scopePrefix,
+		pattern: scope === "regex" ? pattern : undefined,
+		pageCount: pages.length,
+		pages,
+		errors,
+		// In-scope URLs found but not visited
+		pending: queue.length,
+		stoppedBecause,
+		totalChars,
+		crawledAt: new Date().toISOString(),
+	};
+}
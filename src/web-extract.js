@@ -1,73 +1,71 @@
-import { Readability } from "@mozilla/readability";
-import { JSDOM } from "jsdom";
+import { createHash } from "node:crypto";
 import { PDFParse } from "pdf-parse";
 import { chromium } from "playwright";
 import TurndownService from "turndown";
+import { buildContextOptions, getBrowserPool } from "./browser-pool.js";
+import { resolveProfileDir } from "./browser-profiles.js";
+import { detectContentType } from "./content-type.js";
+import {
+	documentFormat,
+	documentLabel,
+	isPdfData,
+	readDocument,
+} from "./documents.js";
+import { getNetworkPolicy, NetworkPolicyError } from "./network-policy.js";
+import { loadPage } from "./page-actions.js";
+import { extractMainContent } from "./page-content.js";
+import { extractTables, tableToCsv } from "./page-tables.js";
+import { findSection, readPdfDetails } from "./pdf-info.js";
+import { ocrScannedPages, recognizePages } from "./pdf-ocr.js";
+import {
+	isInPageMarker,
+	joinPages,
+	pageAt,
+	parsePageRanges,
+	selectPages,
+} from "./pdf-pages.js";
+import { getPoliteness } from "./politeness.js";
+import { readBody } from "./response-body.js";
+import { searchText } from "./text-search.js";
+import { getWebCache } from "./web-cache.js";
+
+// Larger downloads are refused rather than held in memory
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
 
 const turndown = new TurndownService({
 	headingStyle: "atx",
 	codeBlockStyle: "fenced",
 });
 
-// Cache for extracted content (25 MB limit, evict oldest first)
-const MAX_CACHE_BYTES = 25 * 1024 * 1024;
-const cache = new Map(); // url -> { text, metadata, contentType, size, fetchedAt }
-
-function getCacheSize() {
-	let total = 0;
-	for (const entry of cache.values()) {
-		total += entry.size;
-	}
-	return total;
-}
-
-function evictOldest() {
-	// Map preserves insertion order, so first key is oldest
-	const oldestKey = cache.keys().next().value;
-	if (oldestKey) {
-		cache.delete(oldestKey);
-	}
-}
-
-function addToCache(url, text, metadata, contentType) {
-	const size = text.length * 2; // approximate bytes (JS strings are UTF-16)
-
-	// Evict until we have room
-	while (cache.size > 0 && getCacheSize() + size > MAX_CACHE_BYTES) {
-		evictOldest();
-	}
-
-	// Don't cache if single entry exceeds limit
-	if (size > MAX_CACHE_BYTES) {
-		return;
-	}
-
-	cache.set(url, {
-		text,
-		metadata,
-		contentType,
-		size,
-		fetchedAt: new Date().toISOString(),
-	});
+/**
+ * Options that change what gets extracted from a page need their own cache
+ * entry. Header values are often credentials, so only their hashes are kept.
+ */
+function getCacheKey(url, pageOptions) {
+	const defined = Object.entries(pageOptions)
+		.filter(([, value]) => value !== undefined)
+		.map(([name, value]) =>
+			name === "headers" ? [name, hashHeaderValues(value)] : [name, value],
+		);
+	if (defined.length === 0) return url;
+	return `${url} ${JSON.stringify(Object.fromEntries(defined))}`;
 }
 
-function getFromCache(url) {
-	const entry = cache.get(url);
-	if (entry) {
-		// Move to end (most recently used)
-		cache.delete(url);
-		cache.set(url, entry);
-	}
-	return entry;
+function hashHeaderValues(headers) {
+	return Object.fromEntries(
+		Object.entries(headers).map(([name, value]) => [
+			name,
+			`sha256:${createHash("sha256").update(String(value)).digest("hex")}`,
+		]),
+	);
 }
 
-// Exported for testing
 export function clearCache() {
-	cache.clear();
+	return getWebCache().clear();
 }
 
 export function getCacheStats() {
-	return { size: cache.size, bytes: getCacheSize() };
+	return getWebCache().getStats();
 }
 
 const truncate = (value, maxChars) => {
@@ -77,205 +75,687 @@ const truncate = (value, maxChars) => {
 	return { value: value.slice(0, maxChars), truncated: true };
 };
 
-function searchText(text, query, contextChars = 200) {
-	const matches = [];
-	const lowerText = text.toLowerCase();
-	const lowerQuery = query.toLowerCase();
-	let pos = lowerText.indexOf(lowerQuery, 0);
-
-	while (pos !== -1) {
-		const start = Math.max(0, pos - contextChars);
-		const end = Math.min(text.length, pos + query.length + contextChars);
-		matches.push({
-			position: pos,
-			context: text.slice(start, end),
-			prefix: start > 0 ? "..." : "",
-			suffix: end < text.length ? "..." : "",
-		});
-		pos = lowerText.indexOf(lowerQuery, pos + query.length);
+/**
+ * Format tables for output, keeping rows until `maxChars` is used up
+ */
+function formatTables(tables, { format, maxChars }) {
+	let remaining = maxChars;
+	let truncated = false;
+	const formatted = [];
+
+	for (const table of tables) {
+		if (remaining <= 0) {
+			truncated = true;
+			break;
+		}
+		const rows = [];
+		for (const row of table.rows) {
+			const size = JSON.stringify(row).length;
+			if (size > remaining) {
+				truncated = true;
+				break;
+			}
+			remaining -= size;
+			rows.push(row);
+		}
+		if (format === "csv") {
+			const { rows: _allRows, ...details } = table;
+			formatted.push({ ...details, csv: tableToCsv({ ...table, rows }) });
+		} else {
+			formatted.push({ ...table, rows });
+		}
+		if (rows.length < table.rows.length) break;
 	}
 
-	return matches;
+	return { tables: formatted, truncated };
+}
+
+// ETag and Last-Modified headers, for revalidating cache entries later
+function getValidators(getHeader) {
+	return {
+		etag: getHeader("etag") || null,
+		lastModified: getHeader("last-modified") || null,
+	};
+}
+
+/**
+ * Read a PDF's text and Info
+ */
+async function loadPdf(parser) {
+	// One call at a time: each loads the document, and loading hands the
+	// downloaded data over to pdf.js, so a second concurrent load fails
+	const textResult = await parser.getText();
+	const infoResult = await parser.getInfo({ parsePageInfo: true });
+	return { textResult, infoResult };
 }
 
 /**
- * Detect content type from URL by making a HEAD request
+ * Extract text from a loaded PDF, with a `[Page N]` marker at the start of
+ * each page. Pages without a text layer, such as scans, are OCR'd. The
+ * metadata includes the outline, Info and XMP metadata, and hyperlinks.
  */
-async function detectContentType(url) {
-	try {
-		const response = await fetch(url, { method: "HEAD" });
-		const contentType = response.headers.get("content-type") || "";
-		return contentType.toLowerCase();
-	} catch {
-		// If HEAD fails, try to infer from URL
-		if (url.toLowerCase().endsWith(".pdf")) {
-			return "application/pdf";
-		}
-		return "text/html";
+async function readPdf(
+	parser,
+	{ textResult, infoResult },
+	url,
+	_recognizePages,
+) {
+	const {
+		outline,
+		info: documentInfo,
+		xmp,
+		links,
+	} = await readPdfDetails(parser, infoResult, url);
+	let pageOffsets = [];
+	let ocrPages = [];
+	let text = textResult.text;
+	if (textResult.pages?.length) {
+		let pages;
+		({ pages, ocrPages } = await ocrScannedPages(parser, textResult.pages, {
+			_recognizePages,
+		}));
+		({ text, pageOffsets } = joinPages(pages));
 	}
+	const info = { ...infoResult.info, pageCount: textResult.total };
+	return {
+		text,
+		metadata: {
+			title: info?.Title || null,
+			author: info?.Author || null,
+			creationDate: info?.CreationDate || null,
+			pageCount: info?.pageCount,
+			pageOffsets,
+			ocrPages,
+			outline,
+			documentInfo,
+			xmp,
+			links,
+		},
+	};
 }
 
 /**
- * Fetch and extract text from a PDF
+ * Fetch and extract text from a PDF. Only the download holds the host's
+ * politeness slot; OCR can take minutes and happens after.
  */
-async function fetchPdfContent(url, _PDFParse = PDFParse) {
-	const parser = new _PDFParse({ url });
+async function fetchPdfContent(
+	url,
+	{
+		timeoutMs = 15000,
+		followUp = false,
+		_PDFParse = PDFParse,
+		_politeness = getPoliteness(),
+		_networkPolicy = getNetworkPolicy(),
+		_recognizePages = recognizePages,
+	} = {},
+) {
+	let parser;
 	try {
-		const [textResult, infoResult] = await Promise.all([
-			parser.getText(),
-			parser.getInfo(),
-		]);
-		const text = textResult.text;
-		const info = { ...infoResult.info, pageCount: textResult.total };
-		return {
-			text,
-			metadata: {
-				title: info?.Title || null,
-				author: info?.Author || null,
-				creationDate: info?.CreationDate || null,
-				pageCount: info?.pageCount,
+		const { loaded, validators } = await _politeness.schedule(
+			url,
+			async () => {
+				const download = await downloadFile(url, {
+					kind: "PDF",
+					timeoutMs,
+					networkPolicy: _networkPolicy,
+				});
+				parser = new _PDFParse({ data: download.data });
+				return {
+					loaded: await loadPdf(parser),
+					validators: download.validators,
+				};
 			},
+			{ followUp },
+		);
+		return {
+			...(await readPdf(parser, loaded, url, _recognizePages)),
+			...validators,
 		};
 	} finally {
-		await parser.destroy();
+		await parser?.destroy();
 	}
 }
 
 /**
- * Fetch and extract text from a web page
+ * Download a document such as a DOCX, EPUB or CSV file and extract its text.
+ * What the bytes turn out to be decides how it's read, so PDFs and ZIP-based
+ * documents with a misleading Content-Type are still handled.
  */
-async function fetchWebContent(
+async function fetchDocumentContent(
 	url,
-	{ waitMs = 0, timeoutMs = 15000, headless = true, _chromium = chromium },
+	format,
+	{
+		timeoutMs,
+		followUp,
+		_PDFParse,
+		_politeness,
+		_networkPolicy,
+		_recognizePages,
+	},
 ) {
-	const browser = await _chromium.launch({ headless });
-	const page = await browser.newPage();
-
-	try {
-		const response = await page.goto(url, {
-			waitUntil: "domcontentloaded",
-			timeout: timeoutMs,
-		});
-		if (!response) {
-			throw new Error(`No response received for ${url}`);
-		}
-		const finalUrlValue = page.url();
-		const finalUrlParsed = new URL(finalUrlValue);
-		if (!["http:", "https:"].includes(finalUrlParsed.protocol)) {
-			throw new Error("Only http/https URLs are allowed");
+	const download = await _politeness.schedule(
+		url,
+		() =>
+			downloadFile(url, {
+				kind: documentLabel(format),
+				timeoutMs,
+				networkPolicy: _networkPolicy,
+			}),
+		{ followUp },
+	);
+	if (isPdfData(download.data)) {
+		const parser = new _PDFParse({ data: download.data });
+		try {
+			const loaded = await loadPdf(parser);
+			return {
+				contentType: "pdf",
+				...(await readPdf(parser, loaded, url, _recognizePages)),
+				...download.validators,
+			};
+		} finally {
+			await parser.destroy();
 		}
+	}
 
-		if (waitMs > 0) {
-			await page.waitForTimeout(waitMs);
-		}
+	const document = readDocument(download.data, format, download.contentType);
+	return {
+		contentType: document.format,
+		text: document.text,
+		metadata: {
+			title: null,
+			author: null,
+			...document.metadata,
+		},
+		...download.validators,
+	};
+}
+
+/**
+ * Download a file through the network policy (pdf.js would follow redirects
+ * on its own, unchecked), within `timeoutMs` and MAX_DOWNLOAD_BYTES
+ */
+async function downloadFile(url, { kind, timeoutMs, networkPolicy }) {
+	const response = await networkPolicy.fetch(url, {
+		signal: AbortSignal.timeout(timeoutMs),
+	});
+	if (!response.ok) {
+		throw new Error(`Failed to fetch ${kind}: HTTP ${response.status}`);
+	}
+	return {
+		data: await readBody(response, MAX_DOWNLOAD_BYTES, kind),
+		contentType: response.headers.get("content-type") || "",
+		validators: getValidators((name) => response.headers.get(name)),
+	};
+}
 
-		const title = await page.title();
-		const rawHtml = await page.content();
-		const finalUrl = finalUrlValue;
+/**
+ * Fetch and extract text from a web page. Images, media, fonts and trackers
+ * are blocked by default, since only the text is used. Links and tables are
+ * only parsed out of the page with `includeLinks` and `includeTables`.
+ */
+async function fetchWebContent(
+	url,
+	{
+		waitMs = 0,
+		timeoutMs = 15000,
+		headless = true,
+		blockResources = true,
+		selector,
+		excludeSelectors,
+		actions,
+		scrollToLoad,
+		waitUntil,
+		waitForSelector,
+		waitForText,
+		waitForFunction,
+		profile,
+		headers,
+		userAgent,
+		locale,
+		timezone,
+		viewport,
+		device,
+		includeLinks = false,
+		includeTables = false,
+		followUp = false,
+		_chromium = chromium,
+		_pool = getBrowserPool(_chromium),
+		_politeness = getPoliteness(),
+		_networkPolicy = getNetworkPolicy(),
+		_stashRoot,
+	},
+) {
+	const userDataDir = profile
+		? await resolveProfileDir(profile, { _stashRoot })
+		: undefined;
+
+	const browserOptions = {
+		headless,
+		userDataDir,
+		contextOptions: buildContextOptions({
+			headers,
+			userAgent,
+			locale,
+			timezone,
+			viewport,
+			device,
+		}),
+	};
+	const fetchPage = () =>
+		_pool.withPage(browserOptions, async (page) => {
+			const { response, actions: actionResults } = await loadPage(page, url, {
+				waitUntil,
+				timeoutMs,
+				waitForSelector,
+				waitForText,
+				waitForFunction,
+				actions,
+				scrollToLoad,
+				waitMs,
+				networkPolicy: _networkPolicy,
+				blockResources,
+			});
+			const finalUrl = page.url();
+			const title = await page.title();
+			const rawHtml = await page.content();
+
+			// Use Readability (or the selector) to extract main content
+			const main = extractMainContent(rawHtml, finalUrl, {
+				selector,
+				excludeSelectors,
+				includeLinks,
+			});
 
-		// Use Readability to extract main content, then convert to plain text
-		const dom = new JSDOM(rawHtml, { url: finalUrl });
-		const reader = new Readability(dom.window.document);
-		const article = reader.parse();
+			let text;
+			if (main.source === "document") {
+				// Fallback to body text
+				text = main.text;
+			} else {
+				// Convert HTML to markdown
+				text = turndown.turndown(main.html);
+			}
 
-		let text;
-		if (article?.content) {
-			// Convert HTML to markdown, then extract plain text
-			const markdown = turndown.turndown(article.content);
-			text = markdown;
-		} else {
-			// Fallback to body text
-			text = dom.window.document.body?.textContent || "";
+			return {
+				text,
+				metadata: {
+					title: title || null,
+					finalUrl,
+					// Whether each action happened, e.g. a cookie banner click
+					actions: actionResults,
+					links: main.links,
+					tables: includeTables
+						? extractTables(rawHtml, finalUrl, { selector, excludeSelectors })
+						: undefined,
+				},
+				...getValidators((name) => response.headers?.()[name]),
+			};
+		});
+	return await _politeness.schedule(url, fetchPage, { followUp });
+}
+
+/**
+ * Ask the server whether a stale cache entry still matches, with a
+ * conditional HEAD request
+ */
+async function isUnchanged(
+	url,
+	entry,
+	{ timeoutMs, _politeness, _networkPolicy },
+) {
+	if (!entry.etag && !entry.lastModified) return false;
+	const headers = {};
+	if (entry.etag) headers["If-None-Match"] = entry.etag;
+	if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+	const response = await _politeness.schedule(url, () =>
+		_networkPolicy
+			.fetch(url, {
+				method: "HEAD",
+				headers,
+				signal: AbortSignal.timeout(timeoutMs),
+			})
+			.catch((error) => {
+				if (error instanceof NetworkPolicyError) throw error;
+				return null;
+			}),
+	);
+	if (!response) return false;
+	// Not every server answers conditional HEAD requests with 304
+	return (
+		response.status === 304 ||
+		(response.ok &&
+			Boolean(entry.etag) &&
+			response.headers.get("etag") === entry.etag)
+	);
+}
+
+/**
+ * Get the extracted text and metadata for a URL, shared by extractFromUrl and
+ * askWeb. Fresh cache entries are used as-is; stale ones are revalidated with
+ * the server and only refetched if they changed. With `refresh`, the URL is
+ * always refetched. Besides PDFs and web pages, documents such as DOCX, EPUB
+ * and CSV files are downloaded and read directly.
+ *
+ * @returns {Promise<{text: string, metadata: Object, contentType: string}>} contentType is "pdf", "html" or a document format, e.g. "docx"
+ */
+async function loadContent(
+	url,
+	{
+		pageOptions,
+		fetchOptions,
+		refresh = false,
+		_PDFParse = PDFParse,
+		_chromium = chromium,
+		_detectContentType = detectContentType,
+		_stashRoot,
+		_recognizePages,
+		_cache = getWebCache(),
+		_politeness = getPoliteness(),
+		_networkPolicy = getNetworkPolicy(),
+	},
+) {
+	// Downloads and requests made outside the browser share its time limit
+	const timeoutMs = fetchOptions.timeoutMs ?? 15000;
+	const cacheKey = getCacheKey(url, pageOptions);
+	const cached = refresh ? null : _cache.get(cacheKey);
+	if (cached) {
+		if (!cached.stale) return cached;
+		if (
+			await isUnchanged(url, cached, {
+				timeoutMs,
+				_politeness,
+				_networkPolicy,
+			})
+		) {
+			_cache.refresh(cacheKey);
+			return cached;
 		}
+	}
 
-		return {
-			text,
-			metadata: {
-				title: title || null,
-				finalUrl,
-			},
+	// One visit to the host: only its first request waits out the spacing
+	const revalidated = Boolean(cached && (cached.etag || cached.lastModified));
+	const detected = await _detectContentType(url, {
+		timeoutMs,
+		followUp: revalidated,
+	});
+	const format = detected.type.toLowerCase().includes("application/pdf")
+		? "pdf"
+		: documentFormat(detected.type, detected.finalUrl || url);
+	let result;
+	if (format === "pdf") {
+		result = {
+			contentType: "pdf",
+			...(await fetchPdfContent(url, {
+				timeoutMs,
+				followUp: true,
+				_PDFParse,
+				_politeness,
+				_networkPolicy,
+				_recognizePages,
+			})),
+		};
+	} else if (format) {
+		result = await fetchDocumentContent(url, format, {
+			timeoutMs,
+			followUp: true,
+			_PDFParse,
+			_politeness,
+			_networkPolicy,
+			_recognizePages,
+		});
+	} else {
+		result = {
+			contentType: "html",
+			...(await fetchWebContent(url, {
+				...fetchOptions,
+				...pageOptions,
+				followUp: true,
+				_chromium,
+				_politeness,
+				_networkPolicy,
+				_stashRoot,
+			})),
 		};
-	} finally {
-		await page.close();
-		await browser.close();
 	}
+
+	// Kept with the content so cached results can say how it was detected
+	const metadata = {
+		...result.metadata,
+		finalUrl: result.metadata.finalUrl || detected.finalUrl || url,
+		detectedType: { type: detected.type, source: detected.source },
+	};
+	_cache.set(cacheKey, { url, ...result, metadata });
+	return { text: result.text, metadata, contentType: result.contentType };
 }
 
 /**
- * Extract content from a URL (auto-detects PDF vs web page)
+ * Extract content from a URL (auto-detects PDFs, other documents such as
+ * DOCX and CSV files, and web pages)
  *
  * @param {Object} options
  * @param {string} options.url - URL to fetch
  * @param {number} [options.maxChars=40000] - Max characters to return
  * @param {number} [options.offset=0] - Character offset to start from
- * @param {string} [options.search] - Search for phrase, return matches with context
+ * @param {string} [options.pages] - Only these PDF pages, e.g. "3-7,12" (PDF only)
+ * @param {string} [options.search] - Search query (text, or terms and "phrases" with AND/OR/NOT), return matching passages
  * @param {number} [options.contextChars=200] - Context around search matches
+ * @param {boolean} [options.regex=false] - Treat search as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match search case exactly
+ * @param {number} [options.maxMatches=50] - Max search matches to return
  * @param {number} [options.waitMs=0] - Extra wait after page load (web only)
- * @param {number} [options.timeoutMs=15000] - Max page load time (web only)
+ * @param {number} [options.timeoutMs=15000] - Max page load time, and time limit for downloads and other requests
  * @param {boolean} [options.headless=true] - Run browser without UI (web only)
+ * @param {boolean|string[]} [options.blockResources=true] - Block images, media, fonts and trackers, or only these resource types (web only)
+ * @param {string} [options.section] - Only the pages of the PDF outline entry with this title (PDF only)
+ * @param {boolean} [options.includeLinks=false] - Include the page's or PDF's links
+ * @param {boolean} [options.includeOutline=false] - Include the PDF's outline (PDF only)
+ * @param {boolean} [options.includeMetadata=false] - Include the PDF's Info and XMP metadata (PDF only)
+ * @param {boolean} [options.refresh=false] - Refetch even if the URL is cached
+ * @param {"json"|"csv"} [options.tables] - Return the page's tables in this format instead of content (web only)
+ * @param {number} [options.tableIndex] - Only return the table at this index (web only)
+ * @param {string} [options.selector] - Only extract elements matching this CSS selector (web only)
+ * @param {string[]} [options.excludeSelectors] - Remove elements matching these CSS selectors (web only)
+ * @param {Object[]} [options.actions] - Page interactions to perform before extraction (web only)
+ * @param {boolean|Object} [options.scrollToLoad] - Scroll until lazy-loaded content stops appearing (web only)
+ * @param {string} [options.waitUntil="domcontentloaded"] - Navigation event to wait for (web only)
+ * @param {string} [options.waitForSelector] - Wait for an element matching this selector (web only)
+ * @param {string} [options.waitForText] - Wait for this text to appear (web only)
+ * @param {string} [options.waitForFunction] - Wait for this JS expression to be truthy (web only)
+ * @param {string} [options.profile] - Named browser profile to use, e.g. for logged-in pages (web only)
+ * @param {Object<string, string>} [options.headers] - Extra HTTP headers (web only)
+ * @param {string} [options.userAgent] - User agent string (web only)
+ * @param {string} [options.locale] - Browser locale and Accept-Language (web only)
+ * @param {string} [options.timezone] - IANA timezone (web only)
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (web only)
+ * @param {string} [options.device] - Playwright device preset to emulate (web only)
  */
 export async function extractFromUrl({
 	url,
 	maxChars = 40000,
 	offset = 0,
+	pages,
+	section,
 	search = null,
 	contextChars = 200,
+	regex = false,
+	caseSensitive = false,
+	maxMatches = 50,
 	// Web-specific options
 	waitMs = 0,
 	timeoutMs = 15000,
 	headless = true,
+	blockResources = true,
+	includeLinks = false,
+	includeOutline = false,
+	includeMetadata = false,
+	refresh = false,
+	tables = null,
+	tableIndex,
+	selector,
+	excludeSelectors,
+	actions,
+	scrollToLoad,
+	waitUntil,
+	waitForSelector,
+	waitForText,
+	waitForFunction,
+	profile,
+	headers,
+	userAgent,
+	locale,
+	timezone,
+	viewport,
+	device,
 	// Dependency injection for testing
 	_PDFParse = PDFParse,
 	_chromium = chromium,
 	_detectContentType = detectContentType,
+	_stashRoot,
+	_recognizePages,
 }) {
 	const parsedUrl = new URL(url);
 	if (!["http:", "https:"].includes(parsedUrl.protocol)) {
 		throw new Error("Only http/https URLs are allowed");
 	}
-	// Check cache first
-	const cached = getFromCache(url);
-	let fullText, metadata, contentType;
+	const pageOptions = {
+		selector,
+		excludeSelectors: excludeSelectors?.length ? excludeSelectors : undefined,
+		actions: actions?.length ? actions : undefined,
+		scrollToLoad: scrollToLoad || undefined,
+		waitUntil,
+		waitForSelector,
+		waitForText,
+		waitForFunction,
+		profile,
+		headers,
+		userAgent,
+		locale,
+		timezone,
+		viewport,
+		device,
+		// Blocking can break pages, so retrying without it mustn't hit the cache
+		blockResources: blockResources === true ? undefined : blockResources,
+		// Links and tables are only parsed out of pages when asked for
+		includeLinks: includeLinks || undefined,
+		includeTables: tables ? true : undefined,
+	};
+	const {
+		text: fullText,
+		metadata,
+		contentType,
+	} = await loadContent(url, {
+		pageOptions,
+		fetchOptions: { waitMs, timeoutMs, headless },
+		refresh,
+		_PDFParse,
+		_chromium,
+		_detectContentType,
+		_stashRoot,
+		_recognizePages,
+	});
 
-	if (cached) {
-		fullText = cached.text;
-		metadata = cached.metadata;
-		contentType = cached.contentType;
-	} else {
-		// Detect content type
-		const detectedType = await _detectContentType(url);
-		const isPdf = detectedType.includes("application/pdf");
-		contentType = isPdf ? "pdf" : "html";
-
-		if (isPdf) {
-			const result = await fetchPdfContent(url, _PDFParse);
-			fullText = result.text;
-			metadata = result.metadata;
+	let links = includeLinks ? metadata.links : undefined;
+	// Pages of a scanned PDF whose text was read by OCR
+	const ocrPages = metadata.ocrPages?.length ? metadata.ocrPages : undefined;
+
+	// Details only PDFs have
+	const pdfDetails =
+		contentType === "pdf"
+			? {
+					outline: includeOutline ? metadata.outline || [] : undefined,
+					metadata: includeMetadata
+						? { info: metadata.documentInfo || {}, xmp: metadata.xmp || null }
+						: undefined,
+				}
+			: {};
+
+	// Page ranges and sections narrow a PDF down before it is searched or
+	// paginated
+	let text = fullText;
+	let pageOffsets = metadata.pageOffsets || [];
+	let selectedPages;
+	let foundSection;
+	if (pages && section) {
+		throw new Error("Use either pages or section, not both");
+	}
+	if (pages || section) {
+		if (contentType !== "pdf") {
+			throw new Error("Page ranges and sections are only supported for PDFs");
+		}
+		if (pageOffsets.length === 0) {
+			throw new Error("Page boundaries are not available for this PDF");
+		}
+		if (section) {
+			foundSection = findSection(
+				metadata.outline || [],
+				section,
+				metadata.pageCount,
+			);
+			selectedPages = [];
+			for (let page = foundSection.page; page <= foundSection.endPage; page++) {
+				selectedPages.push(page);
+			}
 		} else {
-			const result = await fetchWebContent(url, {
-				waitMs,
-				timeoutMs,
-				headless,
-				_chromium,
-			});
-			fullText = result.text;
-			metadata = result.metadata;
+			selectedPages = parsePageRanges(pages, metadata.pageCount);
 		}
-
-		addToCache(url, fullText, metadata, contentType);
+		({ text, pageOffsets } = selectPages(fullText, pageOffsets, selectedPages));
+		links = links?.filter((link) => selectedPages.includes(link.page));
+	}
+	// Page numbers for positions in the text, when the PDF has them
+	const pageOf = (position) =>
+		pageOffsets.length > 0 ? pageAt(pageOffsets, position) : undefined;
+
+	// If tables are requested, return them instead of content
+	if (tables) {
+		if (contentType !== "html") {
+			throw new Error("Table extraction is only supported for web pages");
+		}
+		let found = metadata.tables;
+		if (tableIndex !== undefined) {
+			found = found.filter((table) => table.index === tableIndex);
+			if (found.length === 0) {
+				throw new Error(
+					`No table at index ${tableIndex} (found ${metadata.tables.length} tables)`,
+				);
+			}
+		}
+		const formatted = formatTables(found, { format: tables, maxChars });
+		return {
+			url,
+			finalUrl: metadata.finalUrl,
+			contentType,
+			detectedType: metadata.detectedType,
+			title: metadata.title,
+			format: tables,
+			tableCount: metadata.tables.length,
+			tables: formatted.tables,
+			actions: metadata.actions,
+			links,
+			fetchedAt: new Date().toISOString(),
+			truncated: formatted.truncated,
+		};
 	}
 
 	// If search is provided, return matches instead of full content
 	if (search) {
-		const matches = searchText(fullText, search, contextChars);
+		const matches = searchText(text, search, {
+			contextChars,
+			regex,
+			caseSensitive,
+			// Don't find "page" or numbers in the [Page N] markers
+			ignore: (position) => isInPageMarker(pageOffsets, position),
+		}).map((match) => ({ ...match, page: pageOf(match.position) }));
 		const baseResult = {
 			url,
+			finalUrl: metadata.finalUrl,
 			contentType,
-			totalChars: fullText.length,
+			detectedType: metadata.detectedType,
+			totalChars: text.length,
 			search,
 			matchCount: matches.length,
-			matches,
+			matches: matches.slice(0, maxMatches),
 			fetchedAt: new Date().toISOString(),
+			truncated: matches.length > maxMatches,
 		};
 
 		if (contentType === "pdf") {
@@ -284,23 +764,35 @@ export async function extractFromUrl({
 				title: metadata.title,
 				author: metadata.author,
 				pageCount: metadata.pageCount,
+				pages,
+				section: foundSection,
+				ocr: Boolean(ocrPages),
+				ocrPages,
+				...pdfDetails,
+				links,
 			};
-		} else {
+		}
+		if (contentType === "html") {
 			return {
 				...baseResult,
 				title: metadata.title,
+				actions: metadata.actions,
+				links,
 			};
 		}
+		return { ...baseResult, ...metadata };
 	}
 
 	// Otherwise return paginated content
-	const sliced = fullText.slice(offset);
+	const sliced = text.slice(offset);
 	const { value: content, truncated } = truncate(sliced, maxChars);
 
 	const baseResult = {
 		url,
+		finalUrl: metadata.finalUrl,
 		contentType,
-		totalChars: fullText.length,
+		detectedType: metadata.detectedType,
+		totalChars: text.length,
 		offset,
 		content,
 		truncated,
@@ -314,14 +806,112 @@ export async function extractFromUrl({
 			author: metadata.author,
 			creationDate: metadata.creationDate,
 			pageCount: metadata.pageCount,
+			pages,
+			section: foundSection,
+			ocr: Boolean(ocrPages),
+			ocrPages,
+			// The pages this chunk of content covers
+			firstPage: content ? pageOf(offset) : undefined,
+			lastPage: content ? pageOf(offset + content.length - 1) : undefined,
+			...pdfDetails,
+			links,
 		};
-	} else {
+	}
+	if (contentType === "html") {
 		return {
 			...baseResult,
 			title: metadata.title,
+			actions: metadata.actions,
+			links,
 		};
 	}
+	// Other documents only have metadata worth returning, e.g. a CSV's columns
+	return { ...baseResult, ...metadata };
+}
+
+function parsePattern(pattern) {
+	try {
+		return new RegExp(pattern);
+	} catch (error) {
+		throw new Error(`Invalid pattern: ${error.message}`);
+	}
+}
+
+/**
+ * Inspect and manage the content cache shared by extractFromUrl and askWeb
+ *
+ * @param {Object} options
+ * @param {"stats"|"list"|"evict"|"clear"|"refresh"} options.action - What to do
+ * @param {string} [options.url] - URL to evict or refresh
+ * @param {string} [options.pattern] - Regex for the URLs to list or evict
+ * @param {number} [options.limit=50] - Max entries to list
+ * @param {number} [options.offset=0] - Entries to skip when listing
+ */
+export async function manageCache({
+	action,
+	url,
+	pattern,
+	limit = 50,
+	offset = 0,
+	// Dependency injection for testing
+	_cache = getWebCache(),
+	_loadContent = loadContent,
+}) {
+	switch (action) {
+		case "stats": {
+			const stats = _cache.getStats();
+			const lookups = stats.hits + stats.stale + stats.misses;
+			return {
+				action,
+				...stats,
+				hitRate:
+					lookups > 0 ? (stats.hits + stats.revalidated) / lookups : null,
+			};
+		}
+		case "list":
+			return {
+				action,
+				..._cache.list({
+					pattern: pattern ? parsePattern(pattern) : undefined,
+					limit,
+					offset,
+				}),
+			};
+		case "evict":
+			if (!url && !pattern) {
+				throw new Error("evict needs a url or a pattern");
+			}
+			return {
+				action,
+				evicted: _cache.evict(
+					url ? { url } : { pattern: parsePattern(pattern) },
+				),
+			};
+		case "clear":
+			return { action, evicted: _cache.clear() };
+		case "refresh": {
+			if (!url) {
+				throw new Error("refresh needs a url");
+			}
+			const { text, metadata, contentType } = await _loadContent(url, {
+				pageOptions: {},
+				fetchOptions: {},
+				refresh: true,
+				_cache,
+			});
+			return {
+				action,
+				url,
+				contentType,
+				title: metadata.title,
+				totalChars: text.length,
+				fetchedAt: new Date().toISOString(),
+			};
+		}
+		default:
+			throw new Error(`Unknown cache action: ${action}`);
+	}
 }
 
 // Export internal functions for use by web-ask.js
-export { fetchPdfContent, fetchWebContent, detectContentType };
+export { fetchPdfContent, fetchWebContent, loadContent };
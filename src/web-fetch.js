@@ -1,7 +1,12 @@
-import { Readability } from "@mozilla/readability";
-import { JSDOM } from "jsdom";
 import { chromium } from "playwright";
 import TurndownService from "turndown";
+import { buildContextOptions, getBrowserPool } from "./browser-pool.js";
+import { resolveProfileDir } from "./browser-profiles.js";
+import { getNetworkPolicy } from "./network-policy.js";
+import { loadPage } from "./page-actions.js";
+import { extractMainContent } from "./page-content.js";
+import { getPoliteness } from "./politeness.js";
+import { extractStructuredData } from "./structured-data.js";
 
 const turndown = new TurndownService({
 	headingStyle: "atx",
@@ -15,50 +20,118 @@ const truncate = (value, maxChars) => {
 	return { value: value.slice(0, maxChars), truncated: true };
 };
 
+/**
+ * Capture a PNG of the viewport, the full page, or a single element
+ */
+async function captureScreenshot(page, { mode, selector }) {
+	let buffer;
+	if (selector) {
+		const element = await page.$(selector);
+		if (!element) {
+			throw new Error(`No element matches screenshot selector: ${selector}`);
+		}
+		buffer = await element.screenshot({ type: "png" });
+	} else {
+		buffer = await page.screenshot({
+			type: "png",
+			fullPage: mode === "fullPage",
+		});
+	}
+	return {
+		mimeType: "image/png",
+		data: Buffer.from(buffer).toString("base64"),
+		mode: selector ? "element" : mode,
+		selector: selector || undefined,
+	};
+}
+
 export async function fetchWebPage({
 	url,
 	waitMs = 0,
 	timeoutMs = 15000,
 	maxChars = 40000,
 	includeHtml = false,
+	includeLinks = false,
+	includeStructuredData = false,
 	headless = true,
 	slowMoMs,
 	holdOpenMs = 0,
 	outputFormat = "markdown",
+	blockResources = false,
+	screenshot,
+	screenshotSelector,
+	selector,
+	excludeSelectors,
+	actions,
+	scrollToLoad,
+	waitUntil,
+	waitForSelector,
+	waitForText,
+	waitForFunction,
+	profile,
+	headers,
+	userAgent,
+	locale,
+	timezone,
+	viewport,
+	device,
 	// Dependency injection for testing
 	_chromium = chromium,
+	_pool = getBrowserPool(_chromium),
+	_politeness = getPoliteness(),
+	_networkPolicy = getNetworkPolicy(),
+	_stashRoot,
 }) {
 	const parsedUrl = new URL(url);
 	if (!["http:", "https:"].includes(parsedUrl.protocol)) {
 		throw new Error("Only http/https URLs are allowed");
 	}
-	const browser = await _chromium.launch({
+	await _networkPolicy.check(url);
+
+	const userDataDir = profile
+		? await resolveProfileDir(profile, { _stashRoot })
+		: undefined;
+
+	const browserOptions = {
 		headless,
 		slowMo: slowMoMs,
-	});
-	const page = await browser.newPage();
-
-	try {
-		const response = await page.goto(url, {
-			waitUntil: "domcontentloaded",
-			timeout: timeoutMs,
-		});
-		if (!response) {
-			throw new Error(`No response received for ${url}`);
-		}
-		const finalUrl = new URL(page.url());
-		if (!["http:", "https:"].includes(finalUrl.protocol)) {
-			throw new Error("Only http/https URLs are allowed");
-		}
+		userDataDir,
+		contextOptions: buildContextOptions({
+			headers,
+			userAgent,
+			locale,
+			timezone,
+			viewport,
+			device,
+		}),
+	};
+	const fetchPage = () =>
+		_pool.withPage(browserOptions, async (page) => {
+			const loaded = await loadPage(page, url, {
+				waitUntil,
+				timeoutMs,
+				waitForSelector,
+				waitForText,
+				waitForFunction,
+				actions,
+				scrollToLoad,
+				waitMs,
+				networkPolicy: _networkPolicy,
+				blockResources,
+			});
+			if (holdOpenMs > 0) {
+				await page.waitForTimeout(holdOpenMs);
+			}
 
-		if (waitMs > 0) {
-			await page.waitForTimeout(waitMs);
-		}
-		if (holdOpenMs > 0) {
-			await page.waitForTimeout(holdOpenMs);
-		}
+			const screenshotResult =
+				screenshot || screenshotSelector
+					? await captureScreenshot(page, {
+							mode: screenshot || "viewport",
+							selector: screenshotSelector,
+						})
+					: undefined;
 
-		const metadata = await page.evaluate(`
+			const metadata = await page.evaluate(`
       (() => {
         const meta = {};
         const get = (selector) => {
@@ -80,58 +153,69 @@ export async function fetchWebPage({
       })()
     `);
 
-		const title = await page.title();
-		const rawHtml = await page.content();
+			const title = await page.title();
+			const rawHtml = await page.content();
 
-		let content;
-		let contentTruncated = false;
+			const scoping = Boolean(selector || excludeSelectors?.length);
 
-		if (outputFormat === "markdown") {
-			// Use Readability to extract main content, then convert to markdown
-			const dom = new JSDOM(rawHtml, { url: page.url() });
-			const reader = new Readability(dom.window.document);
-			const article = reader.parse();
+			// Links are reported relative to what Readability (or the selector)
+			// considers the main content, whatever the output format
+			const main =
+				outputFormat === "markdown" || includeLinks
+					? extractMainContent(rawHtml, page.url(), {
+							selector,
+							excludeSelectors,
+							includeLinks,
+						})
+					: null;
 
-			if (article?.content) {
-				const markdown = turndown.turndown(article.content);
-				const result = truncate(markdown, maxChars);
-				content = result.value;
-				contentTruncated = result.truncated;
+			let rawContent;
+			if (outputFormat === "markdown") {
+				// Convert the main content to markdown
+				rawContent = turndown.turndown(main.html);
+			} else if (outputFormat === "text") {
+				rawContent = scoping
+					? extractMainContent(rawHtml, page.url(), {
+							selector,
+							excludeSelectors,
+							readability: false,
+						}).text
+					: await page.evaluate(`(() => document.body?.innerText || '')()`);
 			} else {
-				// Fallback to converting full body if Readability fails
-				const markdown = turndown.turndown(rawHtml);
-				const result = truncate(markdown, maxChars);
-				content = result.value;
-				contentTruncated = result.truncated;
+				// html
+				rawContent = scoping
+					? extractMainContent(rawHtml, page.url(), {
+							selector,
+							excludeSelectors,
+							readability: false,
+						}).html
+					: rawHtml;
 			}
-		} else if (outputFormat === "text") {
-			const rawText = await page.evaluate(
-				`(() => document.body?.innerText || '')()`,
+			const { value: content, truncated: contentTruncated } = truncate(
+				rawContent,
+				maxChars,
 			);
-			const result = truncate(rawText, maxChars);
-			content = result.value;
-			contentTruncated = result.truncated;
-		} else {
-			// html
-			const result = truncate(rawHtml, maxChars);
-			content = result.value;
-			contentTruncated = result.truncated;
-		}
 
-		const html = includeHtml ? truncate(rawHtml, maxChars).value : undefined;
+			const html = includeHtml ? truncate(rawHtml, maxChars).value : undefined;
 
-		return {
-			url,
-			finalUrl: page.url(),
-			title: title || null,
-			content,
-			html,
-			meta: metadata,
-			fetchedAt: new Date().toISOString(),
-			truncated: contentTruncated || (includeHtml && rawHtml.length > maxChars),
-		};
-	} finally {
-		await page.close();
-		await browser.close();
-	}
+			return {
+				url,
+				finalUrl: page.url(),
+				title: title || null,
+				content,
+				html,
+				meta: metadata,
+				links: includeLinks ? main.links : undefined,
+				structuredData: includeStructuredData
+					? extractStructuredData(rawHtml, page.url())
+					: undefined,
+				actions: loaded.actions,
+				scroll: loaded.scroll,
+				screenshot: screenshotResult,
+				fetchedAt: new Date().toISOString(),
+				truncated:
+					contentTruncated || (includeHtml && rawHtml.length > maxChars),
+			};
+		});
+	return await _politeness.schedule(url, fetchPage);
 }
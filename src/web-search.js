@@ -1,5 +1,6 @@
 import path from "node:path";
 import { chromium } from "playwright";
+import { getBrowserPool } from "./browser-pool.js";
 
 async function isCaptchaDetected(page) {
 	try {
@@ -239,60 +240,52 @@ export async function searchWeb({
 	headless = true,
 	// Dependency injection for testing
 	_chromium = chromium,
+	_pool = getBrowserPool(_chromium),
 }) {
 	const userDataDir = path.resolve(process.cwd(), ".browser-data");
 
-	const runSearch = async (isHeadless) => {
-		const context = await _chromium.launchPersistentContext(userDataDir, {
-			headless: isHeadless,
-			channel: "chromium",
-			args: ["--disable-blink-features=AutomationControlled"],
-			viewport: { width: 1280, height: 720 },
-		});
-
-		const page = await context.newPage();
-
-		try {
-			const pages = context.pages();
-			for (const p of pages) {
-				if (p !== page) await p.close().catch(() => {});
-			}
-
-			let output;
-			switch (engine) {
-				case "duckduckgo":
-					output = await performSearchDuckDuckGo(
-						page,
-						query,
-						maxResults,
-						timeoutMs,
-					);
-					break;
-				case "google":
-					output = await performSearchGoogle(
-						page,
-						query,
-						maxResults,
-						timeoutMs,
-					);
-					break;
-				default:
-					throw new Error(`Unknown search engine: ${engine}`);
-			}
+	const runSearch = (isHeadless) =>
+		_pool.withPage(
+			{
+				headless: isHeadless,
+				channel: "chromium",
+				args: ["--disable-blink-features=AutomationControlled"],
+				contextOptions: { viewport: { width: 1280, height: 720 } },
+				userDataDir,
+			},
+			async (page) => {
+				let output;
+				switch (engine) {
+					case "duckduckgo":
+						output = await performSearchDuckDuckGo(
+							page,
+							query,
+							maxResults,
+							timeoutMs,
+						);
+						break;
+					case "google":
+						output = await performSearchGoogle(
+							page,
+							query,
+							maxResults,
+							timeoutMs,
+						);
+						break;
+					default:
+						throw new Error(`Unknown search engine: ${engine}`);
+				}
 
-			if (!output.results || output.results.length === 0) {
-				if (await isCaptchaDetected(page)) {
-					throw new Error("CAPTCHA_DETECTED");
+				if (!output.results || output.results.length === 0) {
+					if (await isCaptchaDetected(page)) {
+						throw new Error("CAPTCHA_DETECTED");
+					}
 				}
-			}
 
-			const pageTitle = await page.title().catch(() => "");
-			return { ...output, url: page.url(), page_title: pageTitle };
-		} finally {
-			await page.close();
-			await context.close();
-		}
-	};
+				const pageTitle = await page.title().catch(() => "");
+				return { ...output, url: page.url(), page_title: pageTitle };
+			},
+		);
 
 	try {
 		const output = await runSearch(headless);
@@ -314,7 +307,10 @@ export async function searchWeb({
 	} catch (error) {
 		if (error.message === "CAPTCHA_DETECTED") {
 			if (headless) {
-				const output = await runSearch(false);
+				// Don't leave a visible window open once the fallback is done
+				const output = await runSearch(false).finally(() =>
+					_pool.closePersistentContext(userDataDir),
+				);
 
 				return {
 					query,
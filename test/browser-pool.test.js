@@ -0,0 +1,311 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { BrowserPool, buildContextOptions } from "../src/browser-pool.js";
+
+// Mock chromium that records launches and context usage
+function createMockChromium() {
+	const stats = { launches: 0, persistentLaunches: 0, contexts: 0 };
+	const browsers = [];
+
+	const createContext = () => {
+		const openPages = new Set();
+		const context = {
+			closed: false,
+			newPage: async () => {
+				const page = {
+					close: async () => {
+						openPages.delete(page);
+					},
+				};
+				openPages.add(page);
+				return page;
+			},
+			pages: () => [...openPages],
+			close: async () => {
+				context.closed = true;
+			},
+		};
+		return context;
+	};
+
+	const chromium = {
+		launch: async (options) => {
+			stats.launches++;
+			const handlers = {};
+			const browser = {
+				options,
+				connected: true,
+				isConnected: () => browser.connected,
+				on: (event, handler) => {
+					handlers[event] = handler;
+				},
+				newContext: async () => {
+					if (!browser.connected) throw new Error("Browser closed");
+					stats.contexts++;
+					return createContext();
+				},
+				close: async () => {
+					browser.connected = false;
+				},
+				crash: () => {
+					browser.connected = false;
+					handlers.disconnected?.();
+				},
+			};
+			browsers.push(browser);
+			return browser;
+		},
+		launchPersistentContext: async () => {
+			stats.persistentLaunches++;
+			return createContext();
+		},
+	};
+
+	return { chromium, stats, browsers };
+}
+
+describe("BrowserPool", () => {
+	it("should reuse one browser across calls", async () => {
+		const { chromium, stats } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		await pool.withPage({}, async () => {});
+		await pool.withPage({}, async () => {});
+
+		assert.strictEqual(stats.launches, 1);
+		assert.strictEqual(stats.contexts, 2);
+		await pool.close();
+	});
+
+	it("should launch separate browsers for different launch options", async () => {
+		const { chromium, stats } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		await pool.withPage({ headless: true }, async () => {});
+		await pool.withPage({ headless: false }, async () => {});
+
+		assert.strictEqual(stats.launches, 2);
+		await pool.close();
+	});
+
+	it("should close the context after each call, even on error", async () => {
+		const { chromium } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+		let usedContext;
+
+		await assert.rejects(
+			pool.withPage({}, async (_page, context) => {
+				usedContext = context;
+				throw new Error("boom");
+			}),
+			{ message: "boom" },
+		);
+
+		assert.strictEqual(usedContext.closed, true);
+		assert.strictEqual(pool.getStats().activePages, 0);
+		await pool.close();
+	});
+
+	it("should cap concurrent pages", async () => {
+		const { chromium } = createMockChromium();
+		const pool = new BrowserPool({ maxPages: 2, _chromium: chromium });
+		let running = 0;
+		let peak = 0;
+
+		const task = () =>
+			pool.withPage({}, async () => {
+				running++;
+				peak = Math.max(peak, running);
+				await new Promise((resolve) => setTimeout(resolve, 10));
+				running--;
+			});
+
+		await Promise.all([task(), task(), task(), task(), task()]);
+
+		assert.strictEqual(peak, 2);
+		assert.strictEqual(pool.getStats().activePages, 0);
+		await pool.close();
+	});
+
+	it("should relaunch a crashed browser", async () => {
+		const { chromium, stats, browsers } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		await pool.withPage({}, async () => {});
+		browsers[0].crash();
+		await pool.withPage({}, async () => {});
+
+		assert.strictEqual(stats.launches, 2);
+		await pool.close();
+	});
+
+	it("should reuse persistent contexts per profile directory", async () => {
+		const { chromium, stats } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		await pool.withPage({ userDataDir: "/tmp/profile" }, async () => {});
+		await pool.withPage({ userDataDir: "/tmp/profile" }, async () => {});
+		assert.strictEqual(stats.persistentLaunches, 1);
+
+		// Different launch options require relaunching the profile
+		await pool.withPage(
+			{ userDataDir: "/tmp/profile", headless: false },
+			async () => {},
+		);
+		assert.strictEqual(stats.persistentLaunches, 2);
+		assert.strictEqual(pool.getStats().persistentContexts, 1);
+		await pool.close();
+	});
+
+	it("should not close a profile's context while a call is using it", async () => {
+		const { chromium, stats } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+		let finish;
+		let usedContext;
+		const first = pool.withPage(
+			{ userDataDir: "/tmp/profile" },
+			async (_page, context) => {
+				usedContext = context;
+				await new Promise((resolve) => {
+					finish = resolve;
+				});
+				return context.closed;
+			},
+		);
+		await new Promise((resolve) => setImmediate(resolve));
+
+		await assert.rejects(
+			pool.withPage(
+				{ userDataDir: "/tmp/profile", contextOptions: { locale: "de-DE" } },
+				async () => {},
+			),
+			{
+				message:
+					"Profile /tmp/profile is in use by another request with different browser options; try again once it finishes",
+			},
+		);
+		finish();
+		assert.strictEqual(await first, false);
+
+		// Once idle, the context is replaced for the new options
+		await pool.withPage(
+			{ userDataDir: "/tmp/profile", contextOptions: { locale: "de-DE" } },
+			async () => {},
+		);
+		assert.strictEqual(usedContext.closed, true);
+		assert.strictEqual(stats.persistentLaunches, 2);
+		await pool.close();
+	});
+
+	it("should not close a profile's open browser window for other options", async () => {
+		const { chromium, stats } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		const page = await pool.openPersistentPage("/tmp/login", {
+			headless: false,
+		});
+		await assert.rejects(
+			pool.withPage({ userDataDir: "/tmp/login" }, async () => {}),
+			{
+				message:
+					"Profile /tmp/login is open in a browser window; close the window before using the profile again",
+			},
+		);
+		assert.strictEqual(stats.persistentLaunches, 1);
+		assert.strictEqual(pool.getStats().activePages, 0);
+
+		// Once the window's pages are closed, the profile can be relaunched
+		await page.close();
+		await pool.withPage({ userDataDir: "/tmp/login" }, async () => {});
+		assert.strictEqual(stats.persistentLaunches, 2);
+		await pool.close();
+	});
+
+	it("should leave persistent contexts with open pages when idle", async () => {
+		const { chromium, browsers } = createMockChromium();
+		const pool = new BrowserPool({ idleTimeoutMs: 5, _chromium: chromium });
+
+		await pool.openPersistentPage("/tmp/login", { headless: false });
+		await pool.withPage({}, async () => {});
+		await new Promise((resolve) => setTimeout(resolve, 20));
+
+		assert.strictEqual(browsers[0].connected, false);
+		assert.strictEqual(pool.getStats().persistentContexts, 1);
+		await pool.close();
+	});
+
+	it("should close all browsers on close", async () => {
+		const { chromium, browsers } = createMockChromium();
+		const pool = new BrowserPool({ _chromium: chromium });
+
+		await pool.withPage({}, async () => {});
+		await pool.withPage({ userDataDir: "/tmp/profile" }, async () => {});
+		await pool.close();
+
+		assert.strictEqual(browsers[0].connected, false);
+		assert.deepStrictEqual(pool.getStats(), {
+			activePages: 0,
+			queued: 0,
+			browsers: 0,
+			persistentContexts: 0,
+		});
+	});
+});
+
+describe("buildContextOptions", () => {
+	const mockDevices = {
+		"Test Phone": {
+			userAgent: "TestPhone/1.0",
+			viewport: { width: 390, height: 664 },
+			isMobile: true,
+			hasTouch: true,
+			defaultBrowserType: "webkit",
+		},
+	};
+
+	it("should return no options when nothing is customized", () => {
+		assert.deepStrictEqual(buildContextOptions({}), {});
+	});
+
+	it("should map request options to context options", () => {
+		assert.deepStrictEqual(
+			buildContextOptions({
+				headers: { "X-Test": "1" },
+				userAgent: "Agent/1.0",
+				locale: "de-DE",
+				timezone: "Europe/Berlin",
+				viewport: { width: 800, height: 600 },
+			}),
+			{
+				extraHTTPHeaders: { "X-Test": "1" },
+				userAgent: "Agent/1.0",
+				locale: "de-DE",
+				timezoneId: "Europe/Berlin",
+				viewport: { width: 800, height: 600 },
+			},
+		);
+	});
+
+	it("should apply device presets, letting explicit options win", () => {
+		const options = buildContextOptions(
+			{ device: "Test Phone", userAgent: "Custom/2.0" },
+			{ _devices: mockDevices },
+		);
+
+		assert.strictEqual(options.userAgent, "Custom/2.0");
+		assert.strictEqual(options.isMobile, true);
+		assert.deepStrictEqual(options.viewport, { width: 390, height: 664 });
+		assert.strictEqual(options.defaultBrowserType, undefined);
+	});
+
+	it("should reject unknown devices", () => {
+		assert.throws(
+			() =>
+				buildContextOptions(
+					{ device: "Nokia 3310" },
+					{ _devices: mockDevices },
+				),
+			/Unknown device: Nokia 3310/,
+		);
+	});
+});
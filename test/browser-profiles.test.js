@@ -0,0 +1,148 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+	getProfilesRoot,
+	listProfiles,
+	openProfileSession,
+	resolveProfileDir,
+} from "../src/browser-profiles.js";
+import { configureNetworkPolicy } from "../src/network-policy.js";
+import { fetchWebPage } from "../src/web-fetch.js";
+
+describe("browser profiles", () => {
+	let tempDir;
+
+	beforeEach(async () => {
+		tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "profiles-test-"));
+		// Skip DNS lookups and request interception, which the mocks don't support
+		configureNetworkPolicy({ allowPrivateNetworks: true });
+	});
+
+	afterEach(async () => {
+		await fs.rm(tempDir, { recursive: true });
+	});
+
+	describe("resolveProfileDir", () => {
+		it("should reject invalid profile names", async () => {
+			await assert.rejects(
+				resolveProfileDir("../escape", { _stashRoot: tempDir }),
+				/Invalid profile name/,
+			);
+		});
+
+		it("should reject unknown profiles", async () => {
+			await assert.rejects(resolveProfileDir("work", { _stashRoot: tempDir }), {
+				message:
+					"Unknown browser profile: work. Open it with friendly_browser_login first.",
+			});
+		});
+
+		it("should resolve existing profiles under the stash root", async () => {
+			const expected = path.join(getProfilesRoot(tempDir), "work");
+			await fs.mkdir(expected, { recursive: true });
+
+			const profileDir = await resolveProfileDir("work", {
+				_stashRoot: tempDir,
+			});
+			assert.strictEqual(profileDir, expected);
+		});
+	});
+
+	describe("listProfiles", () => {
+		it("should return an empty list when no profiles exist", async () => {
+			assert.deepStrictEqual(await listProfiles({ _stashRoot: tempDir }), []);
+		});
+
+		it("should list profile directories", async () => {
+			await fs.mkdir(path.join(getProfilesRoot(tempDir), "work"), {
+				recursive: true,
+			});
+			await fs.mkdir(path.join(getProfilesRoot(tempDir), "home"));
+
+			assert.deepStrictEqual(await listProfiles({ _stashRoot: tempDir }), [
+				"home",
+				"work",
+			]);
+		});
+	});
+
+	describe("openProfileSession", () => {
+		it("should create the profile and open a headed page", async () => {
+			const calls = [];
+			const mockPool = {
+				openPersistentPage: async (dir, options) => {
+					calls.push({ dir, options });
+					return {
+						goto: async (url) => {
+							calls.push({ goto: url });
+						},
+					};
+				},
+			};
+
+			const result = await openProfileSession({
+				profile: "work",
+				url: "https://login.example.com/",
+				_pool: mockPool,
+				_stashRoot: tempDir,
+			});
+
+			const expectedDir = path.join(getProfilesRoot(tempDir), "work");
+			assert.strictEqual(result.profileDir, expectedDir);
+			assert.strictEqual(result.opened, true);
+			assert.deepStrictEqual(calls, [
+				{ dir: expectedDir, options: { headless: false } },
+				{ goto: "https://login.example.com/" },
+			]);
+			await fs.access(expectedDir);
+		});
+
+		it("should reject non-http(s) URLs", async () => {
+			await assert.rejects(
+				openProfileSession({
+					profile: "work",
+					url: "file:///etc/passwd",
+					_pool: {},
+					_stashRoot: tempDir,
+				}),
+				{ message: "Only http/https URLs are allowed" },
+			);
+		});
+	});
+
+	describe("fetching with a profile", () => {
+		it("should use a persistent context in the profile directory", async () => {
+			const profileDir = path.join(getProfilesRoot(tempDir), "work");
+			await fs.mkdir(profileDir, { recursive: true });
+
+			let launchedDir;
+			const page = {
+				goto: async () => ({}),
+				url: () => "http://example.com/",
+				evaluate: async () => ({}),
+				title: async () => "Members only",
+				content: async () => "<html><body><p>Welcome back</p></body></html>",
+				close: async () => {},
+			};
+			const mockChromium = {
+				launchPersistentContext: async (dir) => {
+					launchedDir = dir;
+					return { newPage: async () => page, pages: () => [] };
+				},
+			};
+
+			const result = await fetchWebPage({
+				url: "http://example.com/",
+				profile: "work",
+				_chromium: mockChromium,
+				_stashRoot: tempDir,
+			});
+
+			assert.strictEqual(launchedDir, profileDir);
+			assert.strictEqual(result.title, "Members only");
+		});
+	});
+});
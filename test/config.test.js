@@ -0,0 +1,46 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { getConfig, getConfigPath } from "../src/config.js";
+
+describe("getConfig", () => {
+	let tempDir;
+
+	beforeEach(async () => {
+		tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "config-test-"));
+	});
+
+	afterEach(async () => {
+		await fs.rm(tempDir, { recursive: true });
+	});
+
+	it("should use defaults without a config file", () => {
+		const config = getConfig({ _stashRoot: tempDir });
+
+		assert.strictEqual(config.politeness.minDelayMs, 1000);
+		assert.strictEqual(config.politeness.respectRobotsTxt, false);
+	});
+
+	it("should merge the config file over the defaults", async () => {
+		await fs.writeFile(
+			getConfigPath(tempDir),
+			JSON.stringify({ politeness: { respectRobotsTxt: true } }),
+		);
+
+		const config = getConfig({ _stashRoot: tempDir });
+
+		assert.strictEqual(config.politeness.respectRobotsTxt, true);
+		assert.strictEqual(config.politeness.minDelayMs, 1000);
+	});
+
+	it("should report invalid config files", async () => {
+		await fs.writeFile(getConfigPath(tempDir), "{ nope");
+
+		assert.throws(
+			() => getConfig({ _stashRoot: tempDir }),
+			/Invalid config file .*config\.json/,
+		);
+	});
+});
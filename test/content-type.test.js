@@ -0,0 +1,237 @@
+import assert from "node:assert";
+import { beforeEach, describe, it } from "node:test";
+import { strToU8, zipSync } from "fflate";
+import {
+	contentDispositionFilename,
+	detectContentType,
+	sniffContentType,
+} from "../src/content-type.js";
+import { NetworkPolicy } from "../src/network-policy.js";
+import { configurePoliteness } from "../src/politeness.js";
+
+const DOCX_TYPE =
+	"application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+describe("contentDispositionFilename", () => {
+	it("should read quoted, unquoted and encoded filenames", () => {
+		assert.strictEqual(
+			contentDispositionFilename('attachment; filename="Q3 \\"final\\".pdf"'),
+			'Q3 "final".pdf',
+		);
+		assert.strictEqual(
+			contentDispositionFilename("inline; filename=report.docx; size=10"),
+			"report.docx",
+		);
+		assert.strictEqual(
+			contentDispositionFilename(
+				"attachment; filename=\"fallback.txt\"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf",
+			),
+			"résumé.pdf",
+		);
+		assert.strictEqual(contentDispositionFilename("attachment"), null);
+		assert.strictEqual(contentDispositionFilename(null), null);
+	});
+});
+
+describe("sniffContentType", () => {
+	it("should recognize document signatures", () => {
+		assert.strictEqual(
+			sniffContentType(strToU8("%PDF-1.7\n...")),
+			"application/pdf",
+		);
+		assert.strictEqual(
+			sniffContentType(
+				zipSync({
+					mimetype: [strToU8("application/epub+zip"), { level: 0 }],
+					"META-INF/container.xml": strToU8("<container/>"),
+				}),
+			),
+			"application/epub+zip",
+		);
+		assert.strictEqual(
+			sniffContentType(zipSync({ "[Content_Types].xml": strToU8("<Types/>") })),
+			DOCX_TYPE,
+		);
+		assert.strictEqual(
+			sniffContentType(zipSync({ "photo.jpg": strToU8("...") })),
+			"application/zip",
+		);
+	});
+
+	it("should recognize markup, JSON and text", () => {
+		assert.strictEqual(
+			sniffContentType(strToU8("\ufeff\n <!DOCTYPE html><html>")),
+			"text/html",
+		);
+		assert.strictEqual(
+			sniffContentType(strToU8('<?xml version="1.0"?><rss version="2.0">')),
+			"application/xml",
+		);
+		assert.strictEqual(
+			sniffContentType(strToU8('<?xml version="1.0"?>\n<html xmlns="x">')),
+			"text/html",
+		);
+		assert.strictEqual(
+			sniffContentType(strToU8('[{"id": 1}]')),
+			"application/json",
+		);
+		assert.strictEqual(
+			sniffContentType(strToU8("[Chapter 1] It was a dark night")),
+			"text/plain",
+		);
+		assert.strictEqual(sniffContentType(new Uint8Array([0x89, 0x50, 0])), null);
+	});
+});
+
+describe("detectContentType", () => {
+	let requests;
+	let politeness;
+
+	beforeEach(() => {
+		requests = [];
+		politeness = configurePoliteness({});
+	});
+
+	// A server answering each URL with `routes[url](method, headers)`
+	function server(routes) {
+		return new NetworkPolicy({
+			allowPrivateNetworks: true,
+			_fetch: async (url, options) => {
+				const method = options.method || "GET";
+				requests.push({ method, url, range: options.headers?.Range });
+				const route = routes[url];
+				const {
+					status = 200,
+					headers = {},
+					body = null,
+				} = route ? route(method) : { status: 404 };
+				const response = new Response(method === "HEAD" ? null : body, {
+					status,
+					headers,
+				});
+				Object.defineProperty(response, "url", { value: url });
+				return response;
+			},
+		});
+	}
+
+	const detect = (url, routes) =>
+		detectContentType(url, {
+			_politeness: politeness,
+			_networkPolicy: server(routes),
+		});
+
+	it("should trust a specific Content-Type from HEAD", async () => {
+		const result = await detect("https://example.com/doc", {
+			"https://example.com/doc": () => ({
+				headers: { "content-type": "application/pdf" },
+			}),
+		});
+
+		assert.deepStrictEqual(result, {
+			type: "application/pdf",
+			source: "header",
+			finalUrl: "https://example.com/doc",
+		});
+		assert.strictEqual(requests.length, 1);
+	});
+
+	it("should sniff a ranged GET when HEAD is rejected", async () => {
+		const result = await detect("https://example.com/doc", {
+			"https://example.com/doc": (method) =>
+				method === "HEAD"
+					? { status: 405 }
+					: { status: 206, body: "%PDF-1.4 ..." },
+		});
+
+		assert.strictEqual(result.type, "application/pdf");
+		assert.strictEqual(result.source, "sniffed");
+		assert.deepStrictEqual(requests[1], {
+			method: "GET",
+			url: "https://example.com/doc",
+			range: "bytes=0-1023",
+		});
+	});
+
+	it("should check HTML responses whose name says otherwise", async () => {
+		const result = await detect("https://example.com/report.pdf", {
+			"https://example.com/report.pdf": () => ({
+				headers: { "content-type": "text/html" },
+				body: "%PDF-1.4 ...",
+			}),
+		});
+
+		assert.strictEqual(result.type, "application/pdf");
+		assert.strictEqual(result.source, "sniffed");
+	});
+
+	it("should honor Content-Disposition filenames", async () => {
+		const result = await detect("https://example.com/download?id=7", {
+			"https://example.com/download?id=7": () => ({
+				headers: {
+					"content-type": "application/octet-stream",
+					"content-disposition": 'attachment; filename="minutes.docx"',
+				},
+				body: new Uint8Array([1, 2, 3]),
+			}),
+		});
+
+		assert.strictEqual(result.type, DOCX_TYPE);
+		assert.strictEqual(result.source, "filename");
+	});
+
+	it("should follow redirects and use the final URL", async () => {
+		const result = await detect("https://example.com/latest", {
+			"https://example.com/latest": () => ({
+				status: 302,
+				headers: { location: "/files/data.csv" },
+			}),
+			"https://example.com/files/data.csv": () => ({
+				headers: { "content-type": "application/octet-stream" },
+				body: "year,total\n2025,12\n",
+			}),
+		});
+
+		assert.deepStrictEqual(result, {
+			type: "text/csv",
+			source: "url",
+			finalUrl: "https://example.com/files/data.csv",
+		});
+	});
+
+	it("should give up on servers that stall", async () => {
+		// Timeout timers don't keep the process alive on their own
+		const keepAlive = setTimeout(() => {}, 5000);
+		const result = await detectContentType("https://example.com/slow.pdf", {
+			timeoutMs: 50,
+			_politeness: politeness,
+			_networkPolicy: new NetworkPolicy({
+				allowPrivateNetworks: true,
+				_fetch: (_url, { signal }) =>
+					new Promise((_resolve, reject) =>
+						signal.addEventListener("abort", () => reject(signal.reason)),
+					),
+			}),
+		});
+
+		clearTimeout(keepAlive);
+		assert.deepStrictEqual(result, {
+			type: "application/pdf",
+			source: "url",
+			finalUrl: "https://example.com/slow.pdf",
+		});
+	});
+
+	it("should fall back to the URL, then HTML, when nothing answers", async () => {
+		const pdf = await detect("https://example.com/paper.pdf", {});
+		assert.deepStrictEqual(pdf, {
+			type: "application/pdf",
+			source: "url",
+			finalUrl: "https://example.com/paper.pdf",
+		});
+
+		const page = await detect("https://example.com/about", {});
+		assert.strictEqual(page.type, "text/html");
+		assert.strictEqual(page.source, "default");
+	});
+});
@@ -0,0 +1,256 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { strToU8, zipSync } from "fflate";
+import {
+	documentFormat,
+	isPdfData,
+	parseCsv,
+	readDocument,
+} from "../src/documents.js";
+
+const zip = (files) =>
+	zipSync(
+		Object.fromEntries(
+			Object.entries(files).map(([name, text]) => [name, strToU8(text)]),
+		),
+	);
+
+const W =
+	'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const docx = zip({
+	"word/document.xml": `<w:document ${W}><w:body>
+		<w:p><w:pPr><w:pStyle w:val="Heading1"/><w:tabs><w:tab w:val="left"/></w:tabs></w:pPr><w:r><w:t>Annual report</w:t></w:r></w:p>
+		<w:p><w:r><w:t xml:space="preserve">Spending </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>rose</w:t></w:r><w:r><w:tab/><w:t>again.</w:t></w:r></w:p>
+		<w:p><w:pPr><w:numPr><w:ilvl w:val="1"/></w:numPr></w:pPr><w:r><w:t>Schools</w:t></w:r></w:p>
+		<w:p></w:p>
+		<w:tbl>
+			<w:tr><w:tc><w:p><w:r><w:t>Area</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Total</w:t></w:r></w:p></w:tc></w:tr>
+			<w:tr><w:tc><w:p><w:r><w:t>Roads | bridges</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>12</w:t></w:r></w:p></w:tc></w:tr>
+		</w:tbl>
+	</w:body></w:document>`,
+	"docProps/core.xml": `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Budget</dc:title><dc:creator>Treasury</dc:creator></cp:coreProperties>`,
+	"word/media/image1.png": "not really a png",
+});
+
+const odt = zip({
+	mimetype: "application/vnd.oasis.opendocument.text",
+	"content.xml": `<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"><office:body><office:text>
+		<text:h text:outline-level="2">Methods</text:h>
+		<text:p>We<text:s text:c="2"/>asked<text:note><text:note-body><text:p>A footnote</text:p></text:note-body></text:note> people.</text:p>
+		<text:list><text:list-item><text:p>First</text:p></text:list-item></text:list>
+		<table:table><table:table-row><table:table-cell><text:p>A</text:p></table:table-cell><table:covered-table-cell/></table:table-row></table:table>
+	</office:text></office:body></office:document-content>`,
+	"meta.xml": `<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><office:meta><dc:title>Survey</dc:title><meta:initial-creator>Ada</meta:initial-creator></office:meta></office:document-meta>`,
+});
+
+const epub = zip({
+	mimetype: "application/epub+zip",
+	"META-INF/container.xml": `<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`,
+	"OEBPS/content.opf": `<package xmlns="http://www.idpf.org/2007/opf" version="3.0"><metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>A Book</dc:title><dc:creator>Jo</dc:creator></metadata>
+		<manifest><item id="c2" href="text/two.xhtml"/><item id="c1" href="text/one.xhtml"/></manifest>
+		<spine><itemref idref="c1"/><itemref idref="c2"/></spine></package>`,
+	"OEBPS/text/one.xhtml": `<html xmlns="http://www.w3.org/1999/xhtml"><body><h1>Chapter one</h1><p>It <em>began</em>.</p><script>tracking()</script></body></html>`,
+	"OEBPS/text/two.xhtml": `<html xmlns="http://www.w3.org/1999/xhtml"><body><h1>Chapter two</h1><p>It ended.</p></body></html>`,
+});
+
+describe("documentFormat", () => {
+	it("should pick the format from the content type", () => {
+		assert.strictEqual(
+			documentFormat(
+				"application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+				"https://example.com/download?id=3",
+			),
+			"docx",
+		);
+		assert.strictEqual(
+			documentFormat("text/csv; charset=utf-8", "https://example.com/"),
+			"csv",
+		);
+		assert.strictEqual(
+			documentFormat("application/ld+json", "https://example.com/"),
+			"json",
+		);
+		assert.strictEqual(
+			documentFormat("application/rss+xml", "https://example.com/"),
+			"xml",
+		);
+	});
+
+	it("should trust the extension for generic content types", () => {
+		assert.strictEqual(
+			documentFormat("application/octet-stream", "https://example.com/a.epub"),
+			"epub",
+		);
+		assert.strictEqual(
+			documentFormat("text/plain", "https://example.com/data.CSV"),
+			"csv",
+		);
+		assert.strictEqual(
+			documentFormat("text/plain", "https://example.com/notes"),
+			"txt",
+		);
+	});
+
+	it("should leave web pages to the browser", () => {
+		assert.strictEqual(
+			documentFormat("text/html", "https://example.com/a.docx"),
+			null,
+		);
+		assert.strictEqual(
+			documentFormat("application/xhtml+xml", "https://example.com/"),
+			null,
+		);
+		assert.strictEqual(
+			documentFormat("application/octet-stream", "https://example.com/app"),
+			null,
+		);
+	});
+});
+
+describe("isPdfData", () => {
+	it("should find the PDF header near the start", () => {
+		assert.strictEqual(isPdfData(strToU8("\n\n%PDF-1.7\n")), true);
+		assert.strictEqual(
+			isPdfData(strToU8("<html>%PDF-</html>".padStart(2000))),
+			false,
+		);
+	});
+});
+
+describe("parseCsv", () => {
+	it("should handle quoted fields, escaped quotes and blank lines", () => {
+		assert.deepStrictEqual(
+			parseCsv('name,note\r\n"Smith, J","said ""hi""\nthen left"\n\nLee,\n'),
+			[
+				["name", "note"],
+				["Smith, J", 'said "hi"\nthen left'],
+				["Lee", ""],
+			],
+		);
+	});
+});
+
+describe("readDocument", () => {
+	it("should read a DOCX as markdown with its properties", () => {
+		const result = readDocument(docx, "docx");
+
+		assert.strictEqual(result.format, "docx");
+		assert.strictEqual(
+			result.text,
+			"# Annual report\n\nSpending rose\tagain.\n\n  - Schools\n\n" +
+				"| Area | Total |\n| --- | --- |\n| Roads \\| bridges | 12 |",
+		);
+		assert.deepStrictEqual(result.metadata, {
+			title: "Budget",
+			author: "Treasury",
+		});
+	});
+
+	it("should read an ODT as markdown with its metadata", () => {
+		const result = readDocument(odt, "odt");
+
+		assert.strictEqual(
+			result.text,
+			"## Methods\n\nWe  asked people.\n\n- First\n\n| A |  |\n| --- | --- |",
+		);
+		assert.deepStrictEqual(result.metadata, { title: "Survey", author: "Ada" });
+	});
+
+	it("should read EPUB chapters in spine order", () => {
+		const result = readDocument(epub, "epub");
+
+		assert.strictEqual(
+			result.text,
+			"# Chapter one\n\nIt _began_.\n\n# Chapter two\n\nIt ended.",
+		);
+		assert.deepStrictEqual(result.metadata, {
+			title: "A Book",
+			author: "Jo",
+			chapterCount: 2,
+		});
+	});
+
+	it("should go by the bytes when ZIP documents are mislabeled", () => {
+		assert.strictEqual(readDocument(epub, "docx").format, "epub");
+		assert.strictEqual(readDocument(docx, "txt").format, "docx");
+		assert.throws(
+			() => readDocument(zip({ "a.xml": "<a/>" }), "docx"),
+			/Unsupported ZIP archive/,
+		);
+		assert.throws(
+			() => readDocument(strToU8("<html>Sign in</html>"), "docx"),
+			/Expected a Word document, but the content isn't one/,
+		);
+	});
+
+	it("should refuse documents that inflate past the size limit", () => {
+		const bomb = zip({ "word/document.xml": "<w:document/>" });
+		// Declare a 2 GB entry in the central directory
+		const central = Buffer.from(bomb).lastIndexOf("PK\x01\x02", "latin1");
+		new DataView(bomb.buffer).setUint32(central + 24, 0x7fffffff, true);
+
+		assert.throws(
+			() => readDocument(bomb, "docx"),
+			/Document is larger than 200 MB once uncompressed/,
+		);
+	});
+
+	it("should describe CSV columns and rows", () => {
+		const result = readDocument(
+			strToU8("city;population\nOslo;700000\nBergen;290000\n"),
+			"csv",
+		);
+
+		assert.strictEqual(
+			result.text,
+			"city;population\nOslo;700000\nBergen;290000\n",
+		);
+		assert.deepStrictEqual(result.metadata, {
+			columns: ["city", "population"],
+			rowCount: 2,
+		});
+	});
+
+	it("should indent JSON, and keep text that isn't JSON as it is", () => {
+		assert.strictEqual(
+			readDocument(strToU8('{"a":[1,2]}'), "json").text,
+			'{\n  "a": [\n    1,\n    2\n  ]\n}',
+		);
+		assert.strictEqual(
+			readDocument(strToU8('{"a":1}\n{"a":2}'), "json").text,
+			'{"a":1}\n{"a":2}',
+		);
+	});
+
+	it("should check XML and find its title", () => {
+		const result = readDocument(
+			strToU8("<feed><title>News</title></feed>"),
+			"xml",
+		);
+		assert.deepStrictEqual(result.metadata, {
+			title: "News",
+			rootElement: "feed",
+		});
+		assert.throws(
+			() => readDocument(strToU8("<feed>"), "xml"),
+			/XML document is not valid XML/,
+		);
+	});
+
+	it("should decode text with the declared charset or byte order mark", () => {
+		assert.strictEqual(
+			readDocument(
+				new Uint8Array([0x63, 0x61, 0x66, 0xe9]),
+				"txt",
+				"text/plain; charset=ISO-8859-1",
+			).text,
+			"café",
+		);
+		assert.strictEqual(
+			readDocument(new Uint8Array([0xff, 0xfe, 0x68, 0x00, 0x69, 0x00]), "txt")
+				.text,
+			"hi",
+		);
+	});
+});
@@ -0,0 +1,305 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import zlib from "node:zlib";
+import { normalizeDate, parseFeed, readFeed } from "../src/feeds.js";
+import { NetworkPolicy } from "../src/network-policy.js";
+import { Politeness } from "../src/politeness.js";
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+	<channel>
+		<title>Example News</title>
+		<link>https://example.com/</link>
+		<description>All the &lt;b&gt;news&lt;/b&gt;</description>
+		<item>
+			<title>Second post</title>
+			<link>https://example.com/posts/2</link>
+			<guid>post-2</guid>
+			<pubDate>Tue, 04 Mar 2025 10:00:00 GMT</pubDate>
+			<author>editor@example.com (Editor)</author>
+			<description><![CDATA[<p>Budget <b>news</b>.</p><p>More inside</p><script>alert(1)</script>]]></description>
+			<enclosure url="/audio/2.mp3" type="audio/mpeg" length="12345"/>
+		</item>
+		<item>
+			<title>First post</title>
+			<link>/posts/1</link>
+			<dc:date>2025-02-01T08:00:00Z</dc:date>
+			<dc:creator>Alice</dc:creator>
+			<content:encoded><![CDATA[<p>Full text</p>]]></content:encoded>
+		</item>
+	</channel>
+</rss>`;
+
+const atom = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+	<title>Example Blog</title>
+	<subtitle>Notes</subtitle>
+	<link rel="self" href="https://example.com/atom.xml"/>
+	<link href="https://example.com/blog/"/>
+	<author><name>Blog Team</name></author>
+	<entry>
+		<id>tag:example.com,2025:hello</id>
+		<title>Hello</title>
+		<link rel="enclosure" href="/files/hello.pdf" type="application/pdf"/>
+		<link rel="alternate" href="https://example.com/blog/hello"/>
+		<updated>2025-03-01T12:00:00+01:00</updated>
+		<content type="html">&lt;p&gt;Hi there&lt;/p&gt;</content>
+	</entry>
+</feed>`;
+
+const rdf = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/">
+	<channel><title>Old School</title><link>https://example.org/</link></channel>
+	<item><title>Item</title><link>https://example.org/item</link></item>
+</rdf:RDF>`;
+
+const jsonFeed = JSON.stringify({
+	version: "https://jsonfeed.org/version/1.1",
+	title: "JSON News",
+	home_page_url: "https://example.net/",
+	authors: [{ name: "Desk" }],
+	items: [
+		{
+			id: 7,
+			url: "https://example.net/7",
+			title: "Seven",
+			content_html: "<p>Lucky <em>seven</em></p>",
+			date_published: "2025-04-01T00:00:00Z",
+			attachments: [
+				{
+					url: "https://example.net/7.mp3",
+					mime_type: "audio/mpeg",
+					size_in_bytes: 99,
+				},
+			],
+		},
+	],
+});
+
+describe("parseFeed", () => {
+	it("should parse RSS 2.0 items", () => {
+		const feed = parseFeed(rss, "https://example.com/feed.xml");
+
+		assert.strictEqual(feed.format, "rss");
+		assert.strictEqual(feed.title, "Example News");
+		assert.strictEqual(feed.link, "https://example.com/");
+		assert.strictEqual(feed.description, "All the news");
+		assert.deepStrictEqual(feed.entries, [
+			{
+				id: "post-2",
+				title: "Second post",
+				link: "https://example.com/posts/2",
+				published: "2025-03-04T10:00:00.000Z",
+				updated: null,
+				author: "editor@example.com (Editor)",
+				summary: "Budget news. More inside",
+				enclosure: {
+					url: "https://example.com/audio/2.mp3",
+					type: "audio/mpeg",
+					length: 12345,
+				},
+			},
+			{
+				id: null,
+				title: "First post",
+				link: "https://example.com/posts/1",
+				published: "2025-02-01T08:00:00.000Z",
+				updated: null,
+				author: "Alice",
+				summary: "Full text",
+				enclosure: null,
+			},
+		]);
+	});
+
+	it("should parse Atom entries, preferring alternate links", () => {
+		const feed = parseFeed(atom, "https://example.com/atom.xml");
+
+		assert.strictEqual(feed.format, "atom");
+		assert.strictEqual(feed.title, "Example Blog");
+		assert.strictEqual(feed.link, "https://example.com/blog/");
+		assert.strictEqual(feed.description, "Notes");
+		assert.deepStrictEqual(feed.entries, [
+			{
+				id: "tag:example.com,2025:hello",
+				title: "Hello",
+				link: "https://example.com/blog/hello",
+				published: "2025-03-01T11:00:00.000Z",
+				updated: "2025-03-01T11:00:00.000Z",
+				author: "Blog Team",
+				summary: "Hi there",
+				enclosure: {
+					url: "https://example.com/files/hello.pdf",
+					type: "application/pdf",
+					length: null,
+				},
+			},
+		]);
+	});
+
+	it("should parse RSS 1.0 (RDF) items outside the channel", () => {
+		const feed = parseFeed(rdf, "https://example.org/index.rdf");
+
+		assert.strictEqual(feed.format, "rss");
+		assert.strictEqual(feed.title, "Old School");
+		assert.strictEqual(feed.entries[0].link, "https://example.org/item");
+	});
+
+	it("should parse JSON Feed items", () => {
+		const feed = parseFeed(jsonFeed, "https://example.net/feed.json");
+
+		assert.strictEqual(feed.format, "json");
+		assert.strictEqual(feed.title, "JSON News");
+		assert.strictEqual(feed.link, "https://example.net/");
+		assert.deepStrictEqual(feed.entries, [
+			{
+				id: "7",
+				title: "Seven",
+				link: "https://example.net/7",
+				published: "2025-04-01T00:00:00.000Z",
+				updated: null,
+				author: "Desk",
+				summary: "Lucky seven",
+				enclosure: {
+					url: "https://example.net/7.mp3",
+					type: "audio/mpeg",
+					length: 99,
+				},
+			},
+		]);
+	});
+
+	it("should reject documents that are not feeds", () => {
+		assert.throws(
+			() => parseFeed("<urlset></urlset>", "https://example.com/"),
+			/Not an RSS, Atom or JSON feed \(root element <urlset>\)/,
+		);
+		assert.throws(
+			() => parseFeed("<html><body>oops", "https://example.com/"),
+			/Feed is not valid XML/,
+		);
+		assert.throws(
+			() => parseFeed('{"title": "x"}', "https://example.com/"),
+			/Not a JSON Feed/,
+		);
+	});
+});
+
+describe("normalizeDate", () => {
+	it("should convert parseable dates to ISO and keep others as-is", () => {
+		assert.strictEqual(normalizeDate("2025-01-02"), "2025-01-02T00:00:00.000Z");
+		assert.strictEqual(normalizeDate("sometime"), "sometime");
+		assert.strictEqual(normalizeDate(null), null);
+	});
+});
+
+describe("readFeed", () => {
+	function mockNetwork(body, status = 200) {
+		const _fetch = async () => ({
+			status,
+			ok: status < 300,
+			headers: new Map(),
+			arrayBuffer: async () => Buffer.from(body),
+		});
+		return {
+			_networkPolicy: new NetworkPolicy({ allowPrivateNetworks: true, _fetch }),
+			_politeness: new Politeness(),
+		};
+	}
+
+	it("should return normalized entries", async () => {
+		const result = await readFeed({
+			url: "https://example.com/feed.xml",
+			...mockNetwork(rss),
+		});
+
+		assert.strictEqual(result.format, "rss");
+		assert.strictEqual(result.title, "Example News");
+		assert.strictEqual(result.totalEntries, 2);
+		assert.strictEqual(result.matchCount, 2);
+		assert.strictEqual(result.entries[1].author, "Alice");
+		assert.strictEqual(result.truncated, false);
+	});
+
+	it("should filter by date and keyword", async () => {
+		const recent = await readFeed({
+			url: "https://example.com/feed.xml",
+			since: "2025-03-01",
+			...mockNetwork(rss),
+		});
+		assert.deepStrictEqual(
+			recent.entries.map((entry) => entry.title),
+			["Second post"],
+		);
+
+		const matching = await readFeed({
+			url: "https://example.com/feed.xml",
+			match: "FULL TEXT",
+			...mockNetwork(rss),
+		});
+		assert.deepStrictEqual(
+			matching.entries.map((entry) => entry.title),
+			["First post"],
+		);
+	});
+
+	it("should cap entries and summary length", async () => {
+		const result = await readFeed({
+			url: "https://example.com/feed.xml",
+			maxEntries: 1,
+			summaryChars: 6,
+			...mockNetwork(rss),
+		});
+
+		assert.strictEqual(result.entries.length, 1);
+		assert.strictEqual(result.entries[0].summary, "Budget…");
+		assert.strictEqual(result.truncated, true);
+	});
+
+	it("should decode the charset the feed declares", async () => {
+		const latin1 = Buffer.from(
+			rss
+				.replace(
+					'<?xml version="1.0"?>',
+					'<?xml version="1.0" encoding="ISO-8859-1"?>',
+				)
+				.replace("Example News", "Café News"),
+			"latin1",
+		);
+
+		const result = await readFeed({
+			url: "https://example.com/feed.xml",
+			...mockNetwork(latin1),
+		});
+
+		assert.strictEqual(result.title, "Café News");
+	});
+
+	it("should refuse feeds that inflate past the size limit", async () => {
+		await assert.rejects(
+			readFeed({
+				url: "https://example.com/feed.xml.gz",
+				...mockNetwork(zlib.gzipSync(Buffer.alloc(51 * 1024 * 1024))),
+			}),
+			{ message: "Response is larger than 50 MB once uncompressed" },
+		);
+	});
+
+	it("should report HTTP errors and invalid dates", async () => {
+		await assert.rejects(
+			readFeed({
+				url: "https://example.com/feed.xml",
+				...mockNetwork("", 404),
+			}),
+			/HTTP 404/,
+		);
+		await assert.rejects(
+			readFeed({
+				url: "https://example.com/feed.xml",
+				since: "soon",
+				...mockNetwork(rss),
+			}),
+			/Invalid since date: soon/,
+		);
+	});
+});
@@ -0,0 +1,335 @@
+import assert from "node:assert";
+import http from "node:http";
+import { describe, it } from "node:test";
+import { detectContentType } from "../src/content-type.js";
+import {
+	guardPage,
+	isPrivateAddress,
+	NetworkPolicy,
+	NetworkPolicyError,
+} from "../src/network-policy.js";
+import { loadPage } from "../src/page-actions.js";
+
+// Resolve hostnames from a fixed table
+function mockLookup(table) {
+	return async (host) => {
+		if (!(host in table)) {
+			throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), {
+				code: "ENOTFOUND",
+			});
+		}
+		return table[host].map((address) => ({ address }));
+	};
+}
+
+const lookup = mockLookup({
+	"example.com": ["93.184.215.14"],
+	"intranet.example.com": ["10.0.0.5"],
+	"sneaky.example": ["93.184.215.14", "127.0.0.1"],
+});
+
+// Mock fetch following a table of url -> { status, location, contentType }
+function mockFetch(responses) {
+	const calls = [];
+	const fetch = async (url, options) => {
+		calls.push({ url, ...options });
+		const {
+			status = 200,
+			location,
+			contentType = "text/html",
+		} = responses[url] || {};
+		const headers = new Map([["content-type", contentType]]);
+		if (location) headers.set("location", location);
+		return { status, ok: status < 300, headers };
+	};
+	return { fetch, calls };
+}
+
+describe("isPrivateAddress", () => {
+	it("should flag loopback, private and link-local addresses", () => {
+		for (const address of [
+			"127.0.0.1",
+			"10.1.2.3",
+			"172.16.0.1",
+			"192.168.1.1",
+			"169.254.169.254",
+			"0.0.0.0",
+			"::1",
+			"fd00::1",
+			"fe80::1",
+			"::ffff:127.0.0.1",
+			"::",
+		]) {
+			assert.strictEqual(isPrivateAddress(address), true, address);
+		}
+	});
+
+	it("should flag private IPv4 addresses embedded in IPv6 ones", () => {
+		for (const address of [
+			"::ffff:7f00:1",
+			"64:ff9b::7f00:1",
+			"64:ff9b::10.0.0.1",
+			"64:FF9B:0:0:0:0:A9FE:A9FE",
+			"::127.0.0.1",
+			"::7f00:1",
+			"64:ff9b:1::8.8.8.8",
+		]) {
+			assert.strictEqual(isPrivateAddress(address), true, address);
+		}
+	});
+
+	it("should allow public addresses", () => {
+		for (const address of [
+			"93.184.215.14",
+			"8.8.8.8",
+			"2606:4700::1111",
+			"64:ff9b::808:808",
+			"::ffff:8.8.8.8",
+		]) {
+			assert.strictEqual(isPrivateAddress(address), false, address);
+		}
+	});
+});
+
+describe("NetworkPolicy.check", () => {
+	it("should allow public hosts", async () => {
+		const policy = new NetworkPolicy({ _lookup: lookup });
+
+		await policy.check("https://example.com/page");
+	});
+
+	it("should block private IP literals and hosts resolving to them", async () => {
+		const policy = new NetworkPolicy({ _lookup: lookup });
+
+		await assert.rejects(policy.check("http://169.254.169.254/latest/"), {
+			message:
+				"Blocked by network policy: 169.254.169.254 is a private address",
+		});
+		await assert.rejects(
+			policy.check("http://[::1]:8080/"),
+			NetworkPolicyError,
+		);
+		// URLs normalize embedded IPv4 addresses to hex
+		await assert.rejects(
+			policy.check("http://[64:ff9b::127.0.0.1]/"),
+			NetworkPolicyError,
+		);
+		await assert.rejects(
+			policy.check("http://[::127.0.0.1]/"),
+			NetworkPolicyError,
+		);
+		await assert.rejects(policy.check("http://sneaky.example/"), {
+			message:
+				"Blocked by network policy: sneaky.example resolves to a private address (127.0.0.1)",
+		});
+	});
+
+	it("should allow private networks when configured", async () => {
+		const policy = new NetworkPolicy({
+			allowPrivateNetworks: true,
+			_lookup: lookup,
+		});
+
+		await policy.check("http://intranet.example.com/");
+	});
+
+	it("should apply deny and allow lists to domains and subdomains", async () => {
+		const denying = new NetworkPolicy({
+			denyDomains: ["example.com"],
+			_lookup: lookup,
+		});
+		const allowing = new NetworkPolicy({
+			allowDomains: ["*.wikipedia.org"],
+			_lookup: lookup,
+		});
+
+		await assert.rejects(denying.check("https://www.example.com/"), {
+			message: "Blocked by network policy: www.example.com is on the deny list",
+		});
+		await assert.rejects(allowing.check("https://example.com/"), {
+			message:
+				"Blocked by network policy: example.com is not on the allow list",
+		});
+	});
+
+	it("should still reject non-http(s) URLs", async () => {
+		const policy = new NetworkPolicy({ allowPrivateNetworks: true });
+
+		await assert.rejects(policy.check("file:///etc/passwd"), {
+			message: "Only http/https URLs are allowed",
+		});
+	});
+});
+
+describe("NetworkPolicy.fetch", () => {
+	it("should check every redirect hop", async () => {
+		const { fetch, calls } = mockFetch({
+			"https://example.com/a": { status: 302, location: "/b" },
+			"https://example.com/b": {
+				status: 301,
+				location: "http://169.254.169.254/",
+			},
+		});
+		const policy = new NetworkPolicy({ _lookup: lookup, _fetch: fetch });
+
+		await assert.rejects(
+			policy.fetch("https://example.com/a", { method: "HEAD" }),
+			NetworkPolicyError,
+		);
+		assert.deepStrictEqual(
+			calls.map((call) => [call.url, call.redirect]),
+			[
+				["https://example.com/a", "manual"],
+				["https://example.com/b", "manual"],
+			],
+		);
+	});
+
+	it("should return the final response", async () => {
+		const { fetch } = mockFetch({
+			"https://example.com/old": { status: 308, location: "/new" },
+			"https://example.com/new": { contentType: "application/pdf" },
+		});
+		const policy = new NetworkPolicy({ _lookup: lookup, _fetch: fetch });
+
+		const response = await policy.fetch("https://example.com/old");
+
+		assert.strictEqual(response.headers.get("content-type"), "application/pdf");
+	});
+
+	it("should connect to the addresses it checked", async () => {
+		const server = http.createServer((_request, response) => response.end());
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		let requests = 0;
+		server.on("request", () => requests++);
+		// Public for the check, then loopback for the connection
+		let lookups = 0;
+		const policy = new NetworkPolicy({
+			_lookup: async () => [
+				{ address: lookups++ === 0 ? "93.184.215.14" : "127.0.0.1" },
+			],
+		});
+
+		try {
+			await assert.rejects(
+				policy.fetch(`http://rebind.test:${server.address().port}/`),
+				{
+					name: "NetworkPolicyError",
+					message:
+						"Blocked by network policy: rebind.test resolves to a private address (127.0.0.1)",
+				},
+			);
+			assert.strictEqual(requests, 0);
+		} finally {
+			server.close();
+		}
+	});
+});
+
+describe("detectContentType", () => {
+	it("should refuse URLs blocked by the network policy", async () => {
+		const { fetch, calls } = mockFetch({});
+		const policy = new NetworkPolicy({ _lookup: lookup, _fetch: fetch });
+
+		await assert.rejects(
+			detectContentType("http://127.0.0.1/admin", {
+				_networkPolicy: policy,
+			}),
+			NetworkPolicyError,
+		);
+		assert.strictEqual(calls.length, 0);
+	});
+});
+
+describe("guardPage", () => {
+	// Mock page that records the route handler and replays requests through it
+	function createRoutedPage() {
+		const page = {
+			handler: null,
+			route: async (_pattern, handler) => {
+				page.handler = handler;
+			},
+			request: async (url, { navigation = true } = {}) => {
+				const outcome = {};
+				await page.handler({
+					request: () => ({
+						url: () => url,
+						isNavigationRequest: () => navigation,
+					}),
+					abort: async (reason) => {
+						outcome.aborted = reason;
+					},
+					continue: async () => {
+						outcome.continued = true;
+					},
+					fetch: async (options) => {
+						outcome.fetchOptions = options;
+						return { status: 302 };
+					},
+					fulfill: async ({ response }) => {
+						outcome.fulfilled = response.status;
+					},
+				});
+				return outcome;
+			},
+		};
+		return page;
+	}
+
+	it("should not intercept requests when the policy is unrestricted", async () => {
+		const page = createRoutedPage();
+
+		await guardPage(page, new NetworkPolicy({ allowPrivateNetworks: true }));
+
+		assert.strictEqual(page.handler, null);
+	});
+
+	it("should abort blocked requests and report blocked navigations", async () => {
+		const page = createRoutedPage();
+		const guard = await guardPage(page, new NetworkPolicy({ _lookup: lookup }));
+
+		const image = await page.request("http://10.0.0.1/pixel.gif", {
+			navigation: false,
+		});
+		assert.strictEqual(image.aborted, "blockedbyclient");
+		await guard.verify();
+
+		const navigation = await page.request("http://intranet.example.com/");
+		assert.strictEqual(navigation.aborted, "blockedbyclient");
+		await assert.rejects(guard.verify(), NetworkPolicyError);
+	});
+
+	it("should follow navigation redirects one hop at a time", async () => {
+		const page = createRoutedPage();
+		await guardPage(page, new NetworkPolicy({ _lookup: lookup }));
+
+		const navigation = await page.request("https://example.com/");
+		const subresource = await page.request("https://example.com/app.js", {
+			navigation: false,
+		});
+
+		assert.deepStrictEqual(navigation, {
+			fetchOptions: { maxRedirects: 0 },
+			fulfilled: 302,
+		});
+		assert.deepStrictEqual(subresource, { continued: true });
+	});
+
+	it("should make loadPage fail with the policy error", async () => {
+		const page = createRoutedPage();
+		page.goto = async (url) => {
+			await page.request(url);
+			throw new Error("net::ERR_BLOCKED_BY_CLIENT");
+		};
+
+		await assert.rejects(
+			loadPage(page, "http://169.254.169.254/", {
+				networkPolicy: new NetworkPolicy({ _lookup: lookup }),
+			}),
+			{
+				message:
+					"Blocked by network policy: 169.254.169.254 is a private address",
+			},
+		);
+	});
+});
@@ -0,0 +1,274 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { loadPage, runPageActions, scrollToLoad } from "../src/page-actions.js";
+
+// Mock page that records every interaction
+function createMockPage({ failOn = [] } = {}) {
+	const calls = [];
+	const record =
+		(name) =>
+		async (...args) => {
+			calls.push([name, ...args]);
+			if (failOn.includes(name)) {
+				throw new Error(`${name} timed out`);
+			}
+		};
+
+	return {
+		calls,
+		click: record("click"),
+		fill: record("fill"),
+		press: record("press"),
+		keyboard: { press: record("keyboard.press") },
+		evaluate: record("evaluate"),
+		waitForSelector: record("waitForSelector"),
+		selectOption: record("selectOption"),
+		waitForTimeout: record("waitForTimeout"),
+	};
+}
+
+describe("runPageActions", () => {
+	it("should run actions in order", async () => {
+		const page = createMockPage();
+
+		const results = await runPageActions(page, [
+			{ type: "click", selector: "#accept" },
+			{ type: "type", selector: "#q", text: "hello" },
+			{ type: "press", key: "Enter" },
+			{ type: "waitForSelector", selector: ".results", state: "visible" },
+			{ type: "select", selector: "#sort", values: ["date"] },
+			{ type: "wait", ms: 100 },
+		]);
+
+		assert.deepStrictEqual(
+			page.calls.map(([name]) => name),
+			[
+				"click",
+				"fill",
+				"keyboard.press",
+				"waitForSelector",
+				"selectOption",
+				"waitForTimeout",
+			],
+		);
+		assert.deepStrictEqual(page.calls[1].slice(1, 3), ["#q", "hello"]);
+		assert.strictEqual(page.calls[3][2].state, "visible");
+		assert.ok(results.every((result) => result.ok));
+	});
+
+	it("should press keys on an element when a selector is given", async () => {
+		const page = createMockPage();
+
+		await runPageActions(page, [
+			{ type: "press", selector: "#q", key: "Enter" },
+		]);
+
+		assert.deepStrictEqual(page.calls[0].slice(0, 3), ["press", "#q", "Enter"]);
+	});
+
+	it("should pass scroll targets to the page", async () => {
+		const page = createMockPage();
+
+		await runPageActions(page, [
+			{ type: "scroll", to: "bottom" },
+			{ type: "scroll", y: 500 },
+		]);
+
+		assert.strictEqual(page.calls[0][0], "evaluate");
+		assert.strictEqual(page.calls[0][2].to, "bottom");
+		assert.strictEqual(page.calls[1][2].y, 500);
+	});
+
+	it("should use per-action timeouts", async () => {
+		const page = createMockPage();
+
+		await runPageActions(
+			page,
+			[
+				{ type: "click", selector: "#a" },
+				{ type: "click", selector: "#b", timeoutMs: 100 },
+			],
+			{ timeoutMs: 2000 },
+		);
+
+		assert.strictEqual(page.calls[0][2].timeout, 2000);
+		assert.strictEqual(page.calls[1][2].timeout, 100);
+	});
+
+	it("should stop at the first failing action", async () => {
+		const page = createMockPage({ failOn: ["click"] });
+
+		await assert.rejects(
+			runPageActions(page, [
+				{ type: "wait", ms: 10 },
+				{ type: "click", selector: "#more" },
+				{ type: "wait", ms: 10 },
+			]),
+			{ message: "Action 2 (click) failed: click timed out" },
+		);
+		assert.strictEqual(page.calls.length, 2);
+	});
+
+	it("should continue past failing optional actions", async () => {
+		const page = createMockPage({ failOn: ["click"] });
+
+		const results = await runPageActions(page, [
+			{ type: "click", selector: "#cookie-banner button", optional: true },
+			{ type: "wait", ms: 10 },
+		]);
+
+		assert.deepStrictEqual(results, [
+			{ type: "click", ok: false, error: "click timed out" },
+			{ type: "wait", ok: true },
+		]);
+	});
+
+	it("should reject unknown action types", async () => {
+		await assert.rejects(
+			runPageActions(createMockPage(), [{ type: "hover", selector: "a" }]),
+			{ message: "Action 1 (hover) failed: Unknown page action: hover" },
+		);
+	});
+});
+
+describe("scrollToLoad", () => {
+	// Mock page whose height grows by 1000px per scroll until `growUntil`
+	function createGrowingPage(growUntil) {
+		let height = 1000;
+		return {
+			evaluate: async (fn) => {
+				if (fn.toString().includes("scrollTo")) {
+					if (height < growUntil) height += 1000;
+					return undefined;
+				}
+				return height;
+			},
+			waitForTimeout: async () => {},
+		};
+	}
+
+	it("should stop once the page stops growing", async () => {
+		const page = createGrowingPage(3000);
+
+		const result = await scrollToLoad(page, { settleMs: 0 });
+
+		assert.deepStrictEqual(result, {
+			scrolls: 3,
+			finalHeight: 3000,
+			stoppedBecause: "stable",
+		});
+	});
+
+	it("should respect maxScrolls", async () => {
+		const page = createGrowingPage(100000);
+
+		const result = await scrollToLoad(page, { maxScrolls: 5, settleMs: 0 });
+
+		assert.strictEqual(result.scrolls, 5);
+		assert.strictEqual(result.stoppedBecause, "maxScrolls");
+	});
+
+	it("should respect maxTimeMs", async () => {
+		const page = createGrowingPage(100000);
+		page.waitForTimeout = (ms) =>
+			new Promise((resolve) => setTimeout(resolve, ms));
+
+		const result = await scrollToLoad(page, {
+			maxTimeMs: 30,
+			settleMs: 20,
+		});
+
+		assert.strictEqual(result.stoppedBecause, "maxTime");
+		assert.ok(result.scrolls < 20);
+	});
+});
+
+describe("loadPage", () => {
+	function createLoadPage({ finalUrl = "http://example.com/", fail } = {}) {
+		const calls = [];
+		return {
+			calls,
+			goto: async (url, options) => {
+				calls.push(["goto", url, options]);
+				return {};
+			},
+			url: () => finalUrl,
+			waitForSelector: async (selector, options) => {
+				calls.push(["waitForSelector", selector, options]);
+				if (fail === "waitForSelector") throw new Error("Timeout 100ms");
+			},
+			waitForFunction: async (fn, arg, options) => {
+				calls.push(["waitForFunction", fn, arg, options]);
+				if (fail === "waitForFunction") throw new Error("Timeout 100ms");
+			},
+			waitForTimeout: async (ms) => {
+				calls.push(["waitForTimeout", ms]);
+			},
+			click: async (selector) => {
+				calls.push(["click", selector]);
+			},
+		};
+	}
+
+	it("should default to waiting for domcontentloaded", async () => {
+		const page = createLoadPage();
+
+		await loadPage(page, "http://example.com/");
+
+		assert.deepStrictEqual(page.calls, [
+			[
+				"goto",
+				"http://example.com/",
+				{ waitUntil: "domcontentloaded", timeout: 15000 },
+			],
+		]);
+	});
+
+	it("should apply wait strategies before actions", async () => {
+		const page = createLoadPage();
+
+		const result = await loadPage(page, "http://example.com/", {
+			waitUntil: "networkidle",
+			timeoutMs: 5000,
+			waitForSelector: "#app",
+			waitForText: "Loaded",
+			waitForFunction: "window.ready === true",
+			actions: [{ type: "click", selector: "#more" }],
+			waitMs: 50,
+		});
+
+		assert.strictEqual(page.calls[0][2].waitUntil, "networkidle");
+		assert.deepStrictEqual(
+			page.calls.map(([name]) => name),
+			[
+				"goto",
+				"waitForSelector",
+				"waitForFunction",
+				"waitForFunction",
+				"click",
+				"waitForTimeout",
+			],
+		);
+		assert.strictEqual(page.calls[1][2].timeout, 5000);
+		assert.strictEqual(page.calls[2][2], "Loaded");
+		assert.strictEqual(page.calls[3][1], "window.ready === true");
+		assert.deepStrictEqual(result.actions, [{ type: "click", ok: true }]);
+	});
+
+	it("should report which wait condition timed out", async () => {
+		const page = createLoadPage({ fail: "waitForSelector" });
+
+		await assert.rejects(
+			loadPage(page, "http://example.com/", { waitForSelector: "#app" }),
+			{ message: 'Timed out waiting for selector "#app": Timeout 100ms' },
+		);
+	});
+
+	it("should reject redirects to non-http(s) URLs", async () => {
+		const page = createLoadPage({ finalUrl: "file:///etc/passwd" });
+
+		await assert.rejects(loadPage(page, "http://example.com/"), {
+			message: "Only http/https URLs are allowed",
+		});
+	});
+});
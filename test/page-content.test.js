@@ -0,0 +1,161 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { extractMainContent } from "../src/page-content.js";
+
+const html = `<!DOCTYPE html>
+<html>
+<head><title>Docs</title></head>
+<body>
+<nav><a href="/">Home</a></nav>
+<div class="sidebar"><p>Sidebar links</p></div>
+<main>
+<div class="docs"><h1>Install</h1><p>Run the installer.</p><div class="ad">Buy now</div></div>
+<div class="docs"><h2>Configure</h2><p>Edit the config file.</p></div>
+</main>
+</body>
+</html>`;
+
+describe("extractMainContent", () => {
+	it("should return only elements matching the selector", () => {
+		const result = extractMainContent(html, "http://example.com/docs", {
+			selector: ".docs",
+		});
+
+		assert.strictEqual(result.source, "selector");
+		assert.ok(result.html.includes("Run the installer."));
+		assert.ok(result.html.includes("Edit the config file."));
+		assert.ok(!result.html.includes("Sidebar links"));
+		assert.ok(result.text.startsWith("Install"));
+	});
+
+	it("should not repeat nested matches", () => {
+		const result = extractMainContent(html, "http://example.com/docs", {
+			selector: "main, .docs",
+		});
+
+		assert.strictEqual(result.html.split("Run the installer.").length, 2);
+	});
+
+	it("should remove excluded elements", () => {
+		const result = extractMainContent(html, "http://example.com/docs", {
+			selector: "main",
+			excludeSelectors: [".ad"],
+		});
+
+		assert.ok(!result.html.includes("Buy now"));
+		assert.ok(result.html.includes("Run the installer."));
+	});
+
+	it("should throw when the selector matches nothing", () => {
+		assert.throws(
+			() =>
+				extractMainContent(html, "http://example.com/docs", {
+					selector: "#missing",
+				}),
+			{ message: "No elements match selector: #missing" },
+		);
+	});
+
+	it("should return the cleaned document when Readability is disabled", () => {
+		const result = extractMainContent(html, "http://example.com/docs", {
+			excludeSelectors: ["nav"],
+			readability: false,
+		});
+
+		assert.strictEqual(result.source, "document");
+		assert.ok(result.html.includes("Sidebar links"));
+		assert.ok(!result.html.includes("Home"));
+	});
+});
+
+describe("extractMainContent links", () => {
+	const linkHtml = `<!DOCTYPE html>
+<html>
+<body>
+<nav><a href="/">Home</a> <a href="https://twitter.com/example">Twitter</a></nav>
+<article>
+<p>See <a href="https://other.org/paper.pdf" rel="noopener nofollow">the paper</a>
+and <a href="/docs/setup#install">the setup guide</a>.</p>
+<p>Also <a href="/docs/setup">setup again</a>, <a href="#top">top</a>
+and <a href="mailto:me@example.com">email</a>.</p>
+</article>
+<footer class="footer"><a href="/about">About</a></footer>
+</body>
+</html>`;
+
+	it("should list main-content links first, with absolute URLs", () => {
+		const { links } = extractMainContent(
+			linkHtml,
+			"http://example.com/posts/1",
+			{ selector: "article", includeLinks: true },
+		);
+
+		assert.deepStrictEqual(links, [
+			{
+				url: "https://other.org/paper.pdf",
+				text: "the paper",
+				rel: ["noopener", "nofollow"],
+				internal: false,
+				inMainContent: true,
+				position: 1,
+			},
+			{
+				url: "http://example.com/docs/setup",
+				text: "the setup guide",
+				rel: [],
+				internal: true,
+				inMainContent: true,
+				position: 2,
+			},
+			{
+				url: "http://example.com/",
+				text: "Home",
+				rel: [],
+				internal: true,
+				inMainContent: false,
+				position: null,
+			},
+			{
+				url: "https://twitter.com/example",
+				text: "Twitter",
+				rel: [],
+				internal: false,
+				inMainContent: false,
+				position: null,
+			},
+			{
+				url: "http://example.com/about",
+				text: "About",
+				rel: [],
+				internal: true,
+				inMainContent: false,
+				position: null,
+			},
+		]);
+	});
+
+	it("should only list links when asked to", () => {
+		const result = extractMainContent(linkHtml, "http://example.com/posts/1", {
+			selector: "article",
+		});
+
+		assert.strictEqual(result.links, undefined);
+	});
+
+	it("should leave out links in excluded elements", () => {
+		const { links } = extractMainContent(
+			linkHtml,
+			"http://example.com/posts/1",
+			{
+				selector: "article",
+				excludeSelectors: ["nav", ".footer"],
+				includeLinks: true,
+			},
+		);
+
+		assert.deepStrictEqual(
+			links.map((link) => link.url),
+			["https://other.org/paper.pdf", "http://example.com/docs/setup"],
+		);
+	});
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { extractTables, tableToCsv } from "../src/page-tables.js";
+
+const salesHtml = `<html><body>
+<table>
+	<caption>Quarterly sales</caption>
+	<thead>
+		<tr><th rowspan="2">Region</th><th colspan="2">2024</th></tr>
+		<tr><th>Q1</th><th>Q2</th></tr>
+	</thead>
+	<tbody>
+		<tr><td rowspan="2">North</td><td>10</td><td>12</td></tr>
+		<tr><td>8</td><td>1,200</td></tr>
+		<tr><td>South</td><td colspan="2">n/a</td></tr>
+	</tbody>
+</table>
+<div class="sidebar">
+	<table><tr><td>Ad</td></tr></table>
+</div>
+</body></html>`;
+
+describe("extractTables", () => {
+	it("should expand spans and combine stacked header rows", () => {
+		const [table] = extractTables(salesHtml, "http://example.com/");
+
+		assert.deepStrictEqual(table, {
+			index: 0,
+			caption: "Quarterly sales",
+			headers: ["Region", "2024 / Q1", "2024 / Q2"],
+			rows: [
+				["North", "10", "12"],
+				["North", "8", "1,200"],
+				["South", "n/a", "n/a"],
+			],
+			rowCount: 3,
+			columnCount: 3,
+		});
+	});
+
+	it("should treat leading rows of th cells as headers", () => {
+		const [table] = extractTables(
+			"<table><tr><th>Name</th><th>Age</th></tr><tr><th>Ann</th><td>31</td></tr></table>",
+			"http://example.com/",
+		);
+
+		assert.deepStrictEqual(table.headers, ["Name", "Age"]);
+		assert.deepStrictEqual(table.rows, [["Ann", "31"]]);
+	});
+
+	it("should return null headers for tables without header rows", () => {
+		const tables = extractTables(salesHtml, "http://example.com/");
+
+		assert.strictEqual(tables.length, 2);
+		assert.strictEqual(tables[1].index, 1);
+		assert.strictEqual(tables[1].headers, null);
+		assert.strictEqual(tables[1].caption, null);
+	});
+
+	it("should list nested tables on their own, not in the outer cells", () => {
+		const tables = extractTables(
+			`<table><tr><td>Layout</td><td>
+				<table><tr><th>Name</th></tr><tr><td>Ann</td></tr></table>
+			</td></tr></table>`,
+			"http://example.com/",
+		);
+
+		assert.deepStrictEqual(
+			tables.map((table) => table.rows),
+			[[["Layout", ""]], [["Ann"]]],
+		);
+	});
+
+	it("should respect selector and excludeSelectors", () => {
+		assert.strictEqual(
+			extractTables(salesHtml, "http://example.com/", {
+				excludeSelectors: [".sidebar"],
+			}).length,
+			1,
+		);
+		assert.deepStrictEqual(
+			extractTables(salesHtml, "http://example.com/", {
+				selector: ".sidebar",
+			})[0].rows,
+			[["Ad"]],
+		);
+	});
+});
+
+describe("tableToCsv", () => {
+	it("should quote fields that need it", () => {
+		const [table] = extractTables(salesHtml, "http://example.com/");
+
+		assert.strictEqual(
+			tableToCsv(table),
+			[
+				"Region,2024 / Q1,2024 / Q2",
+				"North,10,12",
+				'North,8,"1,200"',
+				"South,n/a,n/a",
+			].join("\r\n"),
+		);
+	});
+});
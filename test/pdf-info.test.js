@@ -0,0 +1,152 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { findSection, readPdfDetails } from "../src/pdf-info.js";
+
+const pageRefs = [{ num: 10 }, { num: 20 }, { num: 30 }, { num: 40 }];
+
+// Parser whose document resolves named destinations and page references
+const mockParser = {
+	loads: 0,
+	async load() {
+		this.loads++;
+		return {
+			getDestination: async (name) =>
+				name === "methods" ? [pageRefs[2], { name: "XYZ" }] : null,
+			getPageIndex: async (ref) => {
+				const index = pageRefs.indexOf(ref);
+				if (index === -1) throw new Error("Invalid page reference");
+				return index;
+			},
+		};
+	},
+};
+
+describe("readPdfDetails", () => {
+	it("should flatten the outline with levels and pages", async () => {
+		const { outline } = await readPdfDetails(mockParser, {
+			outline: [
+				{
+					title: "Introduction\n to  budgets",
+					dest: [pageRefs[0], { name: "Fit" }],
+					items: [
+						{ title: "Background", dest: [1], items: [] },
+						{ title: "Methods", dest: "methods", items: [] },
+					],
+				},
+				{ title: "Missing", dest: "nowhere", items: [] },
+				{ title: "Broken", dest: [{ num: 99 }], items: [] },
+				{ title: "Website", dest: null, url: "https://example.com/" },
+			],
+		});
+
+		assert.deepStrictEqual(outline, [
+			{ title: "Introduction to budgets", level: 1, page: 1, url: undefined },
+			{ title: "Background", level: 2, page: 2, url: undefined },
+			{ title: "Methods", level: 2, page: 3, url: undefined },
+			{ title: "Missing", level: 1, page: null, url: undefined },
+			{ title: "Broken", level: 1, page: null, url: undefined },
+			{ title: "Website", level: 1, page: null, url: "https://example.com/" },
+		]);
+	});
+
+	it("should return metadata and resolved links", async () => {
+		const details = await readPdfDetails(
+			mockParser,
+			{
+				info: { Title: "Budget" },
+				metadata: { getAll: () => ({ "dc:creator": "Treasury" }) },
+				outline: null,
+				pages: [
+					{
+						pageNumber: 4,
+						links: [
+							{ url: "appendix.html", text: "the\nappendix " },
+							{ url: "http://[invalid", text: "broken" },
+						],
+					},
+				],
+			},
+			"https://example.com/reports/budget.pdf",
+		);
+
+		assert.deepStrictEqual(details, {
+			outline: [],
+			info: { Title: "Budget" },
+			xmp: { "dc:creator": "Treasury" },
+			links: [
+				{
+					url: "https://example.com/reports/appendix.html",
+					text: "the appendix",
+					page: 4,
+				},
+			],
+		});
+	});
+
+	it("should leave pages unknown if the parser can't load its document", async () => {
+		const { outline } = await readPdfDetails(
+			{},
+			{
+				outline: [{ title: "Introduction", dest: [pageRefs[0]], items: [] }],
+			},
+		);
+
+		assert.deepStrictEqual(outline, [
+			{ title: "Introduction", level: 1, page: null, url: undefined },
+		]);
+	});
+
+	it("should not load the document without an outline", async () => {
+		mockParser.loads = 0;
+		const details = await readPdfDetails(mockParser, {});
+
+		assert.strictEqual(mockParser.loads, 0);
+		assert.deepStrictEqual(details, {
+			outline: [],
+			info: {},
+			xmp: null,
+			links: [],
+		});
+	});
+});
+
+describe("findSection", () => {
+	const outline = [
+		{ title: "Introduction", level: 1, page: 1 },
+		{ title: "Methods", level: 1, page: 3 },
+		{ title: "Sampling methods", level: 2, page: 4 },
+		{ title: "Undated", level: 2, page: null },
+		{ title: "Analysis", level: 2, page: 6 },
+		{ title: "Results", level: 1, page: 8 },
+	];
+
+	it("should span pages up to the next entry at the same level", () => {
+		assert.deepStrictEqual(findSection(outline, "methods", 10), {
+			title: "Methods",
+			level: 1,
+			page: 3,
+			endPage: 8,
+		});
+		assert.deepStrictEqual(findSection(outline, "Sampling", 10), {
+			title: "Sampling methods",
+			level: 2,
+			page: 4,
+			endPage: 6,
+		});
+	});
+
+	it("should run the last section to the end of the document", () => {
+		assert.strictEqual(findSection(outline, "Results", 10).endPage, 10);
+	});
+
+	it("should explain when nothing matches", () => {
+		assert.throws(
+			() => findSection(outline, "Appendix", 10),
+			/No outline entry matches "Appendix"\. Entries include: Introduction; Methods/,
+		);
+		assert.throws(
+			() => findSection([], "Appendix", 10),
+			/This PDF has no outline to find sections in/,
+		);
+	});
+});
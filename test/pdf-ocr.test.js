@@ -0,0 +1,116 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import {
+	ocrScannedPages,
+	pagesNeedingOcr,
+	recognizePages,
+} from "../src/pdf-ocr.js";
+
+const pages = [
+	{ num: 1, text: "A page with a proper text layer on it" },
+	{ num: 2, text: " \n 12 \n" },
+	{ num: 3, text: "" },
+];
+
+// Parser whose screenshots are just the page number
+const mockParser = {
+	screenshots: [],
+	async getScreenshot({ partial }) {
+		this.screenshots.push(...partial);
+		return { pages: [{ data: new Uint8Array([partial[0]]) }] };
+	},
+};
+
+function mockCreateWorker(calls) {
+	return async () => ({
+		recognize: async (image) => ({
+			data: { text: image[0] === 3 ? "  " : `Text of page ${image[0]}\n` },
+		}),
+		terminate: async () => {
+			calls.terminated = true;
+		},
+	});
+}
+
+describe("pagesNeedingOcr", () => {
+	it("should pick the pages without text of mostly scanned PDFs", () => {
+		assert.deepStrictEqual(pagesNeedingOcr(pages), [3]);
+		assert.deepStrictEqual(
+			pagesNeedingOcr([
+				{ num: 1, text: "Cover page with enough text" },
+				{ num: 2, text: "" },
+			]),
+			[2],
+		);
+	});
+
+	it("should leave text PDFs with blank or title pages alone", () => {
+		const body = "A page with a proper text layer on it. ".repeat(5);
+		assert.deepStrictEqual(
+			pagesNeedingOcr([
+				{ num: 1, text: "Title" },
+				{ num: 2, text: body },
+				{ num: 3, text: "" },
+				{ num: 4, text: body },
+			]),
+			[],
+		);
+	});
+});
+
+describe("recognizePages", () => {
+	it("should OCR each page and skip pages with no text found", async () => {
+		const calls = {};
+		mockParser.screenshots = [];
+		const texts = await recognizePages(mockParser, [2, 3], {
+			_createWorker: mockCreateWorker(calls),
+			_config: { enabled: true, maxPages: 50 },
+		});
+
+		assert.deepStrictEqual([...texts], [[2, "Text of page 2"]]);
+		assert.deepStrictEqual(mockParser.screenshots, [2, 3]);
+		assert.strictEqual(calls.terminated, true);
+	});
+
+	it("should stop at maxPages", async () => {
+		mockParser.screenshots = [];
+		await recognizePages(mockParser, [1, 2, 3], {
+			_createWorker: mockCreateWorker({}),
+			_config: { enabled: true, maxPages: 1 },
+		});
+
+		assert.deepStrictEqual(mockParser.screenshots, [1]);
+	});
+
+	it("should do nothing when OCR is disabled", async () => {
+		const texts = await recognizePages(mockParser, [2], {
+			_createWorker: () => assert.fail("worker created"),
+			_config: { enabled: false, maxPages: 50 },
+		});
+
+		assert.strictEqual(texts.size, 0);
+	});
+});
+
+describe("ocrScannedPages", () => {
+	it("should replace the text of recognized pages", async () => {
+		const result = await ocrScannedPages(mockParser, pages, {
+			_recognizePages: async (_parser, pageNumbers) =>
+				new Map(pageNumbers.slice(0, 1).map((num) => [num, "Scanned"])),
+		});
+
+		assert.deepStrictEqual(
+			result.pages.map((page) => page.text),
+			[pages[0].text, pages[1].text, "Scanned"],
+		);
+		assert.deepStrictEqual(result.ocrPages, [3]);
+	});
+
+	it("should leave PDFs with a text layer alone", async () => {
+		const result = await ocrScannedPages(mockParser, pages.slice(0, 1), {
+			_recognizePages: () => assert.fail("OCR run"),
+		});
+
+		assert.deepStrictEqual(result, { pages: pages.slice(0, 1), ocrPages: [] });
+	});
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import {
+	isInPageMarker,
+	joinPages,
+	pageAt,
+	parsePageRanges,
+	selectPages,
+} from "../src/pdf-pages.js";
+
+const pages = [
+	{ num: 1, text: "Introduction\n" },
+	{ num: 2, text: "Methods" },
+	{ num: 3, text: "Results" },
+];
+
+describe("joinPages", () => {
+	it("should start each page with a marker and record its offset", () => {
+		const { text, pageOffsets } = joinPages(pages);
+
+		assert.strictEqual(
+			text,
+			"[Page 1]\nIntroduction\n\n[Page 2]\nMethods\n\n[Page 3]\nResults",
+		);
+		assert.deepStrictEqual(pageOffsets, [
+			{ page: 1, start: 0 },
+			{ page: 2, start: text.indexOf("[Page 2]") },
+			{ page: 3, start: text.indexOf("[Page 3]") },
+		]);
+	});
+});
+
+describe("parsePageRanges", () => {
+	it("should expand ranges and single pages in order", () => {
+		assert.deepStrictEqual(parsePageRanges("12, 3-5,4", 20), [3, 4, 5, 12]);
+	});
+
+	it("should read open ranges to the last page and clamp overlong ones", () => {
+		assert.deepStrictEqual(parsePageRanges("18-", 20), [18, 19, 20]);
+		assert.deepStrictEqual(parsePageRanges("19-30", 20), [19, 20]);
+	});
+
+	it("should reject invalid or out of range pages", () => {
+		assert.throws(() => parsePageRanges("first", 20), /Invalid pages "first"/);
+		assert.throws(() => parsePageRanges("7-3", 20), /Invalid page range "7-3"/);
+		assert.throws(() => parsePageRanges("0", 20), /Invalid page range "0"/);
+		assert.throws(
+			() => parsePageRanges("21", 20),
+			/Page 21 is out of range \(the document has 20 pages\)/,
+		);
+	});
+});
+
+describe("selectPages", () => {
+	it("should cut out the given pages with new offsets", () => {
+		const joined = joinPages(pages);
+		const { text, pageOffsets } = selectPages(
+			joined.text,
+			joined.pageOffsets,
+			[1, 3],
+		);
+
+		assert.strictEqual(text, "[Page 1]\nIntroduction\n\n[Page 3]\nResults");
+		assert.deepStrictEqual(pageOffsets, [
+			{ page: 1, start: 0 },
+			{ page: 3, start: text.indexOf("[Page 3]") },
+		]);
+	});
+});
+
+describe("pageAt and isInPageMarker", () => {
+	it("should map positions to pages and markers", () => {
+		const { text, pageOffsets } = joinPages(pages);
+		const methods = text.indexOf("Methods");
+
+		assert.strictEqual(pageAt(pageOffsets, 0), 1);
+		assert.strictEqual(pageAt(pageOffsets, methods), 2);
+		assert.strictEqual(pageAt(pageOffsets, text.length - 1), 3);
+		assert.strictEqual(isInPageMarker(pageOffsets, 1), true);
+		assert.strictEqual(isInPageMarker(pageOffsets, methods), false);
+	});
+});
@@ -0,0 +1,242 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { NetworkPolicy } from "../src/network-policy.js";
+import {
+	isAllowedByRobots,
+	Politeness,
+	parseRobotsTxt,
+} from "../src/politeness.js";
+
+const robotsTxt = `
+# Example robots.txt
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: ResearchFriend
+User-agent: OtherBot
+Disallow: /no-friends/
+`;
+
+// Network policy whose fetch serves a table of url -> body (404 otherwise)
+function mockNetwork(
+	responses,
+	policyOptions = { allowPrivateNetworks: true },
+) {
+	const calls = [];
+	const _fetch = async (url) => {
+		calls.push(url);
+		const response = responses[url];
+		if (response === undefined) {
+			return { ok: false, status: 404, headers: new Map() };
+		}
+		if (response.location) {
+			return {
+				ok: false,
+				status: 302,
+				headers: new Map([["location", response.location]]),
+			};
+		}
+		return {
+			ok: true,
+			status: 200,
+			headers: new Map(),
+			arrayBuffer: async () => Buffer.from(response),
+		};
+	};
+	return {
+		networkPolicy: new NetworkPolicy({ ...policyOptions, _fetch }),
+		calls,
+	};
+}
+
+describe("parseRobotsTxt", () => {
+	it("should group consecutive user-agent lines", () => {
+		const groups = parseRobotsTxt(robotsTxt);
+
+		assert.strictEqual(groups.length, 2);
+		assert.deepStrictEqual(groups[1].agents, ["researchfriend", "otherbot"]);
+		assert.strictEqual(groups[0].crawlDelay, 2);
+	});
+});
+
+describe("isAllowedByRobots", () => {
+	const groups = parseRobotsTxt(robotsTxt);
+
+	it("should apply the longest matching rule", () => {
+		assert.strictEqual(isAllowedByRobots(groups, "Bot", "/private/x"), false);
+		assert.strictEqual(
+			isAllowedByRobots(groups, "Bot", "/private/public-page"),
+			true,
+		);
+		assert.strictEqual(isAllowedByRobots(groups, "Bot", "/public"), true);
+	});
+
+	it("should support wildcards and end anchors", () => {
+		assert.strictEqual(isAllowedByRobots(groups, "Bot", "/a/b.pdf"), false);
+		assert.strictEqual(
+			isAllowedByRobots(groups, "Bot", "/a/b.pdf?download=1"),
+			true,
+		);
+	});
+
+	it("should use the most specific user-agent group", () => {
+		assert.strictEqual(
+			isAllowedByRobots(groups, "ResearchFriend", "/no-friends/page"),
+			false,
+		);
+		// Only the specific group applies, not "*"
+		assert.strictEqual(
+			isAllowedByRobots(groups, "ResearchFriend", "/private/x"),
+			true,
+		);
+	});
+
+	it("should allow everything without rules", () => {
+		assert.strictEqual(isAllowedByRobots([], "Bot", "/anything"), true);
+	});
+});
+
+describe("Politeness", () => {
+	it("should space requests to the same host", async () => {
+		const politeness = new Politeness({ minDelayMs: 30 });
+		const starts = [];
+		const request = () =>
+			politeness.schedule("http://example.com/page", async () => {
+				starts.push(Date.now());
+			});
+
+		await Promise.all([request(), request(), request()]);
+
+		assert.ok(starts[1] - starts[0] >= 25);
+		assert.ok(starts[2] - starts[1] >= 25);
+	});
+
+	it("should not space follow-up requests", async () => {
+		const politeness = new Politeness({ minDelayMs: 1000 });
+		const started = Date.now();
+
+		await politeness.schedule("http://example.com/a.pdf", async () => {});
+		await politeness.schedule("http://example.com/a.pdf", async () => {}, {
+			followUp: true,
+		});
+
+		assert.ok(Date.now() - started < 500);
+	});
+
+	it("should forget idle hosts once their spacing has passed", async () => {
+		const politeness = new Politeness({ minDelayMs: 20 });
+
+		await politeness.schedule("http://a.example/", async () => {});
+		await politeness.schedule("http://b.example/", async () => {});
+		assert.strictEqual(politeness.getStats().hosts, 2);
+
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		await politeness.schedule("http://c.example/", async () => {});
+		assert.strictEqual(politeness.getStats().hosts, 1);
+	});
+
+	it("should not delay requests to different hosts", async () => {
+		const politeness = new Politeness({ minDelayMs: 1000 });
+		const started = Date.now();
+
+		await politeness.schedule("http://a.example/", async () => {});
+		await politeness.schedule("http://b.example/", async () => {});
+
+		assert.ok(Date.now() - started < 500);
+	});
+
+	it("should cap concurrent requests per host", async () => {
+		const politeness = new Politeness({ maxConcurrentPerHost: 2 });
+		let running = 0;
+		let peak = 0;
+		const request = () =>
+			politeness.schedule("http://example.com/", async () => {
+				running++;
+				peak = Math.max(peak, running);
+				await new Promise((resolve) => setTimeout(resolve, 10));
+				running--;
+			});
+
+		await Promise.all([request(), request(), request(), request()]);
+
+		assert.strictEqual(peak, 2);
+		assert.deepStrictEqual(politeness.getStats(), {
+			hosts: 0,
+			active: 0,
+			queued: 0,
+		});
+	});
+
+	it("should refuse URLs disallowed by robots.txt", async () => {
+		const { networkPolicy, calls } = mockNetwork({
+			"http://example.com/robots.txt": "User-agent: *\nDisallow: /private/",
+		});
+		const politeness = new Politeness({
+			respectRobotsTxt: true,
+			_networkPolicy: networkPolicy,
+		});
+		let ran = false;
+
+		await assert.rejects(
+			politeness.schedule("http://example.com/private/doc", async () => {
+				ran = true;
+			}),
+			{ message: "Blocked by robots.txt: http://example.com/private/doc" },
+		);
+		await politeness.schedule("http://example.com/public", async () => {});
+
+		assert.strictEqual(ran, false);
+		// Parsed rules are cached per origin
+		assert.deepStrictEqual(calls, ["http://example.com/robots.txt"]);
+	});
+
+	it("should fetch robots.txt through the network policy", async () => {
+		const { networkPolicy, calls } = mockNetwork(
+			{
+				"http://example.com/robots.txt": {
+					location: "http://169.254.169.254/robots.txt",
+				},
+				"http://169.254.169.254/robots.txt": "User-agent: *\nDisallow: /",
+			},
+			{ _lookup: async () => [{ address: "93.184.215.14" }] },
+		);
+		const politeness = new Politeness({
+			respectRobotsTxt: true,
+			_networkPolicy: networkPolicy,
+		});
+
+		await politeness.schedule("http://example.com/page", async () => {});
+
+		// The redirect to a private address was refused, not followed
+		assert.deepStrictEqual(calls, ["http://example.com/robots.txt"]);
+	});
+
+	it("should allow everything when robots.txt is missing", async () => {
+		const { networkPolicy } = mockNetwork({});
+		const politeness = new Politeness({
+			respectRobotsTxt: true,
+			_networkPolicy: networkPolicy,
+		});
+
+		const result = await politeness.schedule(
+			"http://example.com/private/doc",
+			async () => "fetched",
+		);
+
+		assert.strictEqual(result, "fetched");
+	});
+
+	it("should ignore robots.txt unless enabled", async () => {
+		const { networkPolicy, calls } = mockNetwork({
+			"http://example.com/robots.txt": "User-agent: *\nDisallow: /",
+		});
+		const politeness = new Politeness({ _networkPolicy: networkPolicy });
+
+		await politeness.schedule("http://example.com/", async () => {});
+
+		assert.deepStrictEqual(calls, []);
+	});
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { loadPage } from "../src/page-actions.js";
+import {
+	blockPageResources,
+	isTrackerHost,
+	resolveBlockedResources,
+} from "../src/resource-blocking.js";
+
+describe("isTrackerHost", () => {
+	it("should match tracker domains and their subdomains", () => {
+		assert.strictEqual(isTrackerHost("doubleclick.net"), true);
+		assert.strictEqual(isTrackerHost("stats.g.doubleclick.net"), true);
+		assert.strictEqual(isTrackerHost("www.Google-Analytics.com"), true);
+	});
+
+	it("should not match other hosts", () => {
+		assert.strictEqual(isTrackerHost("example.com"), false);
+		assert.strictEqual(isTrackerHost("notdoubleclick.net"), false);
+	});
+});
+
+describe("resolveBlockedResources", () => {
+	it("should block images, media, fonts and trackers for true", () => {
+		assert.deepStrictEqual(resolveBlockedResources(true), [
+			"image",
+			"media",
+			"font",
+			"trackers",
+		]);
+	});
+
+	it("should block nothing for false or undefined", () => {
+		assert.deepStrictEqual(resolveBlockedResources(false), []);
+		assert.deepStrictEqual(resolveBlockedResources(undefined), []);
+	});
+
+	it("should pass a list of resource types through", () => {
+		assert.deepStrictEqual(resolveBlockedResources(["stylesheet"]), [
+			"stylesheet",
+		]);
+	});
+});
+
+describe("blockPageResources", () => {
+	// Mock page that records the route handler and replays requests through it
+	function createRoutedPage() {
+		const page = {
+			handler: null,
+			route: async (_pattern, handler) => {
+				page.handler = handler;
+			},
+			request: async (
+				url,
+				{ type = "document", navigation = false, subframe = false } = {},
+			) => {
+				const outcome = {};
+				await page.handler({
+					request: () => ({
+						url: () => url,
+						resourceType: () => type,
+						isNavigationRequest: () => navigation,
+						frame: () => ({ parentFrame: () => (subframe ? {} : null) }),
+					}),
+					abort: async (reason) => {
+						outcome.aborted = reason;
+					},
+					fallback: async () => {
+						outcome.fellBack = true;
+					},
+				});
+				return outcome;
+			},
+		};
+		return page;
+	}
+
+	it("should not intercept requests when nothing is blocked", async () => {
+		const page = createRoutedPage();
+
+		await blockPageResources(page, []);
+
+		assert.strictEqual(page.handler, null);
+	});
+
+	it("should abort blocked resource types and count them", async () => {
+		const page = createRoutedPage();
+		const stats = await blockPageResources(page, ["image", "font"]);
+
+		assert.deepStrictEqual(
+			await page.request("https://example.com/a.png", { type: "image" }),
+			{ aborted: "blockedbyclient" },
+		);
+		assert.deepStrictEqual(
+			await page.request("https://example.com/a.woff2", { type: "font" }),
+			{ aborted: "blockedbyclient" },
+		);
+		assert.deepStrictEqual(
+			await page.request("https://example.com/app.js", { type: "script" }),
+			{ fellBack: true },
+		);
+		assert.strictEqual(stats.blocked, 2);
+	});
+
+	it("should abort requests to tracker hosts of any type", async () => {
+		const page = createRoutedPage();
+		await blockPageResources(page, ["trackers"]);
+
+		assert.deepStrictEqual(
+			await page.request("https://www.googletagmanager.com/gtm.js", {
+				type: "script",
+			}),
+			{ aborted: "blockedbyclient" },
+		);
+		assert.deepStrictEqual(
+			await page.request("https://example.com/app.js", { type: "script" }),
+			{ fellBack: true },
+		);
+	});
+
+	it("should never block the main page navigation", async () => {
+		const page = createRoutedPage();
+		await blockPageResources(page, ["document", "trackers"]);
+
+		assert.deepStrictEqual(
+			await page.request("https://doubleclick.net/", { navigation: true }),
+			{ fellBack: true },
+		);
+		assert.deepStrictEqual(
+			await page.request("https://doubleclick.net/frame", {
+				navigation: true,
+				subframe: true,
+			}),
+			{ aborted: "blockedbyclient" },
+		);
+	});
+
+	it("should be installed by loadPage when blockResources is set", async () => {
+		const page = {
+			...createRoutedPage(),
+			goto: async () => ({}),
+			url: () => "https://example.com/",
+		};
+		page.route = async (_pattern, handler) => {
+			page.handler = handler;
+		};
+
+		await loadPage(page, "https://example.com/");
+		assert.strictEqual(page.handler, null);
+
+		await loadPage(page, "https://example.com/", { blockResources: true });
+		assert.ok(page.handler);
+	});
+});
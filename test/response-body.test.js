@@ -0,0 +1,34 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { readBody } from "../src/response-body.js";
+
+describe("readBody", () => {
+	it("should return the body within the limit", async () => {
+		const data = await readBody(new Response("hello"), 1024, "Page");
+
+		assert.strictEqual(Buffer.from(data).toString(), "hello");
+	});
+
+	it("should refuse bodies that declare or grow past the limit", async () => {
+		await assert.rejects(
+			readBody(
+				new Response("x", { headers: { "content-length": "3145728" } }),
+				1024 * 1024,
+				"Feed",
+			),
+			{ message: "Feed is larger than 1 MB" },
+		);
+
+		let pulls = 0;
+		const endless = new ReadableStream({
+			pull: (controller) => {
+				pulls++;
+				controller.enqueue(new Uint8Array(512 * 1024));
+			},
+		});
+		await assert.rejects(readBody(new Response(endless), 1024 * 1024, "PDF"), {
+			message: "PDF is larger than 1 MB",
+		});
+		assert.ok(pulls < 10);
+	});
+});
@@ -0,0 +1,304 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import zlib from "node:zlib";
+import { NetworkPolicy } from "../src/network-policy.js";
+import { Politeness } from "../src/politeness.js";
+import {
+	discoverSite,
+	findFeedLinks,
+	parseRobotsSitemaps,
+	parseSitemap,
+} from "../src/site-discovery.js";
+
+// Network policy whose fetch serves a table of url -> body (404 otherwise)
+function mockNetwork(responses) {
+	const requested = [];
+	const _fetch = async (url) => {
+		requested.push(url);
+		const body = responses[url];
+		if (body === undefined) {
+			return { status: 404, ok: false, headers: new Map() };
+		}
+		return {
+			status: 200,
+			ok: true,
+			headers: new Map(),
+			arrayBuffer: async () => Buffer.from(body),
+		};
+	};
+	return {
+		requested,
+		_networkPolicy: new NetworkPolicy({ allowPrivateNetworks: true, _fetch }),
+		_politeness: new Politeness(),
+	};
+}
+
+const urlset = (urls) =>
+	`<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls
+		.map(
+			([loc, lastmod]) =>
+				`<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}</url>`,
+		)
+		.join("")}</urlset>`;
+
+describe("parseRobotsSitemaps", () => {
+	it("should collect Sitemap lines from any group", () => {
+		const robots = [
+			"User-agent: *",
+			"Disallow: /private",
+			"Sitemap: https://example.com/sitemap-a.xml",
+			"",
+			"sitemap:https://example.com/sitemap-b.xml",
+		].join("\n");
+
+		assert.deepStrictEqual(parseRobotsSitemaps(robots), [
+			"https://example.com/sitemap-a.xml",
+			"https://example.com/sitemap-b.xml",
+		]);
+	});
+});
+
+describe("parseSitemap", () => {
+	it("should parse a urlset with lastmod dates", () => {
+		const sitemap = parseSitemap(
+			urlset([
+				["https://example.com/a", "2025-01-02"],
+				["https://example.com/b", null],
+			]),
+		);
+
+		assert.strictEqual(sitemap.type, "urlset");
+		assert.deepStrictEqual(sitemap.entries, [
+			{
+				url: "https://example.com/a",
+				lastmod: "2025-01-02T00:00:00.000Z",
+				title: null,
+			},
+			{ url: "https://example.com/b", lastmod: null, title: null },
+		]);
+	});
+
+	it("should read Google News titles and publication dates", () => {
+		const sitemap = parseSitemap(`<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+	<url>
+		<loc>https://example.com/story</loc>
+		<news:news>
+			<news:publication_date>2025-03-01T09:00:00Z</news:publication_date>
+			<news:title>Big story</news:title>
+		</news:news>
+	</url>
+</urlset>`);
+
+		assert.deepStrictEqual(sitemap.entries, [
+			{
+				url: "https://example.com/story",
+				lastmod: "2025-03-01T09:00:00.000Z",
+				title: "Big story",
+			},
+		]);
+	});
+
+	it("should parse sitemap indexes", () => {
+		const sitemap = parseSitemap(`<sitemapindex>
+	<sitemap><loc>https://example.com/posts.xml</loc><lastmod>2025-01-01</lastmod></sitemap>
+</sitemapindex>`);
+
+		assert.strictEqual(sitemap.type, "index");
+		assert.deepStrictEqual(sitemap.entries, [
+			{
+				url: "https://example.com/posts.xml",
+				lastmod: "2025-01-01T00:00:00.000Z",
+			},
+		]);
+	});
+
+	it("should parse plain text sitemaps", () => {
+		const sitemap = parseSitemap(
+			"https://example.com/a\nhttps://example.com/b\n",
+		);
+
+		assert.deepStrictEqual(
+			sitemap.entries.map((entry) => entry.url),
+			["https://example.com/a", "https://example.com/b"],
+		);
+	});
+
+	it("should reject other XML documents", () => {
+		assert.throws(() => parseSitemap("<rss></rss>"), /Not a sitemap/);
+	});
+});
+
+describe("findFeedLinks", () => {
+	it("should find RSS and Atom alternate links", () => {
+		const feeds = findFeedLinks(
+			`<html><head>
+				<link rel="alternate" type="application/rss+xml" title="News" href="/feed.xml">
+				<link rel="alternate" type="application/atom+xml" href="https://example.com/atom.xml">
+				<link rel="alternate" hreflang="de" href="/de/">
+				<link rel="stylesheet" href="/style.css">
+			</head></html>`,
+			"https://example.com/",
+		);
+
+		assert.deepStrictEqual(feeds, [
+			{ url: "https://example.com/feed.xml", title: "News" },
+			{ url: "https://example.com/atom.xml", title: null },
+		]);
+	});
+});
+
+describe("discoverSite", () => {
+	const homepage = `<html><head>
+		<link rel="alternate" type="application/rss+xml" href="/feed.xml">
+	</head></html>`;
+	const feed = `<rss><channel><title>Example News</title>
+		<item><title>Launch</title><link>https://example.com/launch</link><pubDate>Mon, 03 Mar 2025 00:00:00 GMT</pubDate></item>
+		<item><title>About us</title><link>https://example.com/about</link></item>
+	</channel></rss>`;
+
+	it("should combine sitemaps from robots.txt and linked feeds, newest first", async () => {
+		const network = mockNetwork({
+			"https://example.com/robots.txt":
+				"User-agent: *\nSitemap: https://example.com/sitemap_index.xml",
+			"https://example.com/sitemap_index.xml": `<sitemapindex>
+				<sitemap><loc>https://example.com/old.xml.gz</loc><lastmod>2020-01-01</lastmod></sitemap>
+				<sitemap><loc>https://example.com/new.xml</loc><lastmod>2025-01-01</lastmod></sitemap>
+			</sitemapindex>`,
+			"https://example.com/new.xml": urlset([
+				["https://example.com/about", "2025-01-01"],
+				["https://example.com/launch", null],
+			]),
+			"https://example.com/old.xml.gz": zlib.gzipSync(
+				urlset([["https://example.com/archive", "2020-01-01"]]),
+			),
+			"https://example.com/": homepage,
+			"https://example.com/feed.xml": feed,
+		});
+
+		const result = await discoverSite({
+			url: "https://example.com/",
+			...network,
+		});
+
+		assert.deepStrictEqual(result.sitemaps, [
+			{
+				url: "https://example.com/sitemap_index.xml",
+				type: "index",
+				sitemapCount: 2,
+			},
+			{ url: "https://example.com/new.xml", type: "urlset", urlCount: 2 },
+			{ url: "https://example.com/old.xml.gz", type: "urlset", urlCount: 1 },
+		]);
+		assert.deepStrictEqual(result.feeds, [
+			{
+				url: "https://example.com/feed.xml",
+				title: "Example News",
+				format: "rss",
+				entryCount: 2,
+			},
+		]);
+		assert.deepStrictEqual(result.urls, [
+			{
+				url: "https://example.com/launch",
+				title: "Launch",
+				date: "2025-03-03T00:00:00.000Z",
+				source: "sitemap",
+			},
+			{
+				url: "https://example.com/about",
+				title: "About us",
+				date: "2025-01-01T00:00:00.000Z",
+				source: "sitemap",
+			},
+			{
+				url: "https://example.com/archive",
+				title: null,
+				date: "2020-01-01T00:00:00.000Z",
+				source: "sitemap",
+			},
+		]);
+		assert.deepStrictEqual(result.errors, []);
+	});
+
+	it("should fall back to /sitemap.xml and report failures", async () => {
+		const network = mockNetwork({
+			"https://example.com/sitemap.xml": urlset([
+				["https://example.com/a", null],
+			]),
+			"https://example.com/": homepage,
+		});
+
+		const result = await discoverSite({
+			url: "https://example.com/",
+			...network,
+		});
+
+		assert.deepStrictEqual(
+			result.urls.map((entry) => entry.url),
+			["https://example.com/a"],
+		);
+		assert.deepStrictEqual(result.errors, [
+			{ url: "https://example.com/feed.xml", error: "HTTP 404" },
+		]);
+	});
+
+	it("should filter by date and text, and cap the number of URLs", async () => {
+		const network = mockNetwork({
+			"https://example.com/sitemap.xml": urlset([
+				["https://example.com/reports/2024", "2024-06-01"],
+				["https://example.com/reports/2025", "2025-06-01"],
+				["https://example.com/reports/2025-q2", "2025-07-01"],
+				["https://example.com/news/2025", "2025-06-01"],
+				["https://example.com/reports/undated", null],
+			]),
+		});
+
+		const result = await discoverSite({
+			url: "https://example.com/",
+			since: "2025-01-01",
+			match: "REPORTS",
+			maxUrls: 1,
+			...network,
+		});
+
+		assert.strictEqual(result.totalUrls, 2);
+		assert.strictEqual(result.truncated, true);
+		assert.deepStrictEqual(
+			result.urls.map((entry) => entry.url),
+			["https://example.com/reports/2025-q2"],
+		);
+	});
+
+	it("should stop following sitemap indexes at maxSitemaps", async () => {
+		const network = mockNetwork({
+			"https://example.com/sitemap.xml": `<sitemapindex>
+				<sitemap><loc>https://example.com/1.xml</loc></sitemap>
+				<sitemap><loc>https://example.com/2.xml</loc></sitemap>
+				<sitemap><loc>https://example.com/3.xml</loc></sitemap>
+			</sitemapindex>`,
+			"https://example.com/1.xml": urlset([["https://example.com/a", null]]),
+		});
+
+		const result = await discoverSite({
+			url: "https://example.com/",
+			maxSitemaps: 2,
+			...network,
+		});
+
+		assert.strictEqual(result.sitemaps.length, 2);
+		assert.strictEqual(result.pendingSitemaps, 2);
+		assert.ok(!network.requested.includes("https://example.com/2.xml"));
+	});
+
+	it("should reject invalid since dates", async () => {
+		await assert.rejects(
+			discoverSite({
+				url: "https://example.com/",
+				since: "last week",
+				...mockNetwork({}),
+			}),
+			/Invalid since date: last week/,
+		);
+	});
+});
@@ -280,9 +280,37 @@ describe("StashDatabase", () => {
 		});
 	});
 
+	describe("ocr flag", () => {
+		it("should store whether a document was OCR'd", () => {
+			const docId = db.insertDocument({
+				filename: "scan.pdf",
+				fileType: "pdf",
+				summary: "A scan",
+				storePath: "store/archive/scan.pdf",
+				charCount: 100,
+				ocr: true,
+				primaryTopic: "archive",
+			});
+			assert.strictEqual(db.getDocument(docId).ocr, true);
+
+			const update = {
+				id: docId,
+				summary: "A scan",
+				storePath: "store/archive/scan.pdf",
+				charCount: 100,
+				primaryTopic: "archive",
+			};
+			db.updateDocument(update);
+			assert.strictEqual(db.getDocument(docId).ocr, true);
+
+			db.updateDocument({ ...update, ocr: false });
+			assert.strictEqual(db.getDocument(docId).ocr, false);
+		});
+	});
+
 	describe("migrations", () => {
 		it("should set schema version on new database", () => {
-			assert.strictEqual(db.getSchemaVersion(), 1);
+			assert.strictEqual(db.getSchemaVersion(), 2);
 		});
 
 		it("should not re-run migrations on reopened database", () => {
@@ -300,7 +328,7 @@ describe("StashDatabase", () => {
 
 			// Reopen - migrations should not fail or duplicate data
 			const db2 = new StashDatabase(tempDir);
-			assert.strictEqual(db2.getSchemaVersion(), 1);
+			assert.strictEqual(db2.getSchemaVersion(), 2);
 
 			const topics = db2.getTopics();
 			assert.strictEqual(topics.length, 1);
@@ -48,7 +48,7 @@ describe("extractors", () => {
 			const mdPath = path.join(tempDir, "test.md");
 			await fs.writeFile(mdPath, "# Hello World\n\nThis is a test document.");
 
-			const text = await extractText(mdPath, "md");
+			const { text } = await extractText(mdPath, "md");
 			assert.ok(text.includes("# Hello World"));
 			assert.ok(text.includes("This is a test document."));
 		});
@@ -57,7 +57,7 @@ describe("extractors", () => {
 			const txtPath = path.join(tempDir, "test.txt");
 			await fs.writeFile(txtPath, "Plain text content here.");
 
-			const text = await extractText(txtPath, "txt");
+			const { text } = await extractText(txtPath, "txt");
 			assert.strictEqual(text, "Plain text content here.");
 		});
 
@@ -77,7 +77,7 @@ describe("extractors", () => {
 </html>`,
 			);
 
-			const text = await extractText(htmlPath, "html");
+			const { text } = await extractText(htmlPath, "html");
 			assert.ok(text.includes("Test Article"));
 			assert.ok(text.includes("main content"));
 		});
@@ -93,12 +93,71 @@ describe("extractors", () => {
 			});
 			MockPDFParse.prototype.destroy = async () => {};
 
-			const text = await extractText(pdfPath, "pdf", {
+			const { text } = await extractText(pdfPath, "pdf", {
 				_PDFParse: MockPDFParse,
 			});
 			assert.strictEqual(text, "Extracted PDF text content");
 		});
 
+		it("should keep the text of PDFs that need no OCR as extracted", async () => {
+			const pdfPath = path.join(tempDir, "typed.pdf");
+			await fs.writeFile(pdfPath, "fake pdf content");
+			const body = "A page with a proper text layer on it. ".repeat(5);
+
+			class TypedPDFParse {
+				async getText() {
+					return {
+						text: `${body}\n-- 1 of 2 --\n\n\n-- 2 of 2 --\n\n`,
+						total: 2,
+						pages: [
+							{ num: 1, text: body },
+							{ num: 2, text: "" },
+						],
+					};
+				}
+
+				async destroy() {}
+			}
+
+			const result = await extractText(pdfPath, "pdf", {
+				_PDFParse: TypedPDFParse,
+				_recognizePages: () => assert.fail("OCR run"),
+			});
+			assert.deepStrictEqual(result, {
+				text: `${body}\n-- 1 of 2 --\n\n\n-- 2 of 2 --\n\n`,
+				ocrPages: [],
+			});
+		});
+
+		it("should OCR PDF pages without a text layer", async () => {
+			const pdfPath = path.join(tempDir, "scan.pdf");
+			await fs.writeFile(pdfPath, "fake pdf content");
+
+			class ScannedPDFParse {
+				async getText() {
+					return {
+						text: "Typed cover page with enough text\n-- 1 of 2 --\n\n\n-- 2 of 2 --\n\n",
+						total: 2,
+						pages: [
+							{ num: 1, text: "Typed cover page with enough text" },
+							{ num: 2, text: "" },
+						],
+					};
+				}
+
+				async destroy() {}
+			}
+
+			const result = await extractText(pdfPath, "pdf", {
+				_PDFParse: ScannedPDFParse,
+				_recognizePages: async () => new Map([[2, "Scanned page"]]),
+			});
+			assert.deepStrictEqual(result, {
+				text: "[Page 1]\nTyped cover page with enough text\n\n[Page 2]\nScanned page",
+				ocrPages: [2],
+			});
+		});
+
 		it("should throw for unsupported file types", async () => {
 			await assert.rejects(async () => extractText("/fake/path.xyz", "xyz"), {
 				message: "Unsupported file type: xyz",
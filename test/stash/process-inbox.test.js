@@ -35,7 +35,10 @@ describe("processInbox", () => {
 	}
 
 	function mockExtractText(_filePath, _fileType) {
-		return "This is the extracted text content for testing purposes.";
+		return {
+			text: "This is the extracted text content for testing purposes.",
+			ocrPages: [],
+		};
 	}
 
 	it("should process files in the inbox", async () => {
@@ -0,0 +1,133 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { extractStructuredData } from "../src/structured-data.js";
+
+const paperHtml = `<!DOCTYPE html>
+<html>
+<head>
+<meta property="og:title" content="A Paper - Journal">
+<meta property="og:image" content="/cover.png">
+<meta property="og:image:width" content="1200">
+<meta name="twitter:card" content="summary">
+<meta property="article:published_time" content="2024-03-01T00:00:00Z">
+<meta name="citation_title" content="A Paper">
+<meta name="citation_author" content="Doe, Jane">
+<meta name="citation_author" content="Roe, Richard">
+<meta name="citation_doi" content="10.1234/paper.5">
+<meta name="citation_publication_date" content="2024/03/01">
+<script type="application/ld+json">
+{"@context": "https://schema.org", "@graph": [
+	{"@type": "WebSite", "name": "Journal"},
+	{"@type": "ScholarlyArticle", "headline": "A Paper", "author": [{"@type": "Person", "name": "Jane Doe"}], "dateModified": "2024-04-01"}
+]}
+</script>
+<script type="application/ld+json">{ not valid json</script>
+</head>
+<body><p>Abstract</p></body>
+</html>`;
+
+describe("extractStructuredData", () => {
+	it("should collect meta tags by prefix", () => {
+		const data = extractStructuredData(
+			paperHtml,
+			"https://journal.example/p/1",
+		);
+
+		assert.deepStrictEqual(data.openGraph, {
+			title: "A Paper - Journal",
+			image: "/cover.png",
+			"image:width": "1200",
+		});
+		assert.deepStrictEqual(data.twitter, { card: "summary" });
+		assert.deepStrictEqual(data.article, {
+			published_time: "2024-03-01T00:00:00Z",
+		});
+		assert.deepStrictEqual(data.citation.author, ["Doe, Jane", "Roe, Richard"]);
+	});
+
+	it("should flatten JSON-LD graphs and skip invalid scripts", () => {
+		const data = extractStructuredData(
+			paperHtml,
+			"https://journal.example/p/1",
+		);
+
+		assert.deepStrictEqual(
+			data.jsonLd.map((item) => item["@type"]),
+			["WebSite", "ScholarlyArticle"],
+		);
+	});
+
+	it("should summarize the most useful fields", () => {
+		const data = extractStructuredData(
+			paperHtml,
+			"https://journal.example/p/1",
+		);
+
+		assert.deepStrictEqual(data.summary, {
+			type: "ScholarlyArticle",
+			title: "A Paper",
+			authors: ["Doe, Jane", "Roe, Richard"],
+			datePublished: "2024/03/01",
+			dateModified: "2024-04-01",
+			doi: "10.1234/paper.5",
+			image: "https://journal.example/cover.png",
+		});
+	});
+
+	it("should read microdata items, including nested and referenced properties", () => {
+		const html = `<html><body>
+<div itemscope itemtype="https://schema.org/Product" itemref="colour">
+	<span itemprop="name">Widget</span>
+	<div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+		<meta itemprop="price" content="9.99">
+		<a itemprop="url" href="/buy">Buy</a>
+	</div>
+</div>
+<p id="colour" itemprop="color">Red</p>
+</body></html>`;
+
+		const { microdata } = extractStructuredData(html, "https://shop.example/w");
+
+		assert.deepStrictEqual(microdata, [
+			{
+				type: ["https://schema.org/Product"],
+				properties: {
+					name: ["Widget"],
+					offers: [
+						{
+							type: ["https://schema.org/Offer"],
+							properties: {
+								price: ["9.99"],
+								url: ["https://shop.example/buy"],
+							},
+						},
+					],
+					color: ["Red"],
+				},
+			},
+		]);
+	});
+
+	it("should read RDFa items", () => {
+		const html = `<html><body>
+<div vocab="https://schema.org/" typeof="Person" resource="#me">
+	<span property="name">Ann Lee</span>
+	<time property="birthDate" datetime="1990-01-01">New Year's Day</time>
+</div>
+</body></html>`;
+
+		const { rdfa, summary } = extractStructuredData(
+			html,
+			"https://ann.example/",
+		);
+
+		assert.deepStrictEqual(rdfa, [
+			{
+				type: ["Person"],
+				id: "https://ann.example/#me",
+				properties: { name: ["Ann Lee"], birthDate: ["1990-01-01"] },
+			},
+		]);
+		assert.deepStrictEqual(summary, { authors: [] });
+	});
+});
@@ -0,0 +1,191 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { parseQuery, searchText } from "../src/text-search.js";
+
+const text = [
+	"Solar capacity grew fastest in Asia.",
+	"Wind capacity in Europe stalled after subsidies ended.",
+	"Solar subsidies in Europe were cut in 2024.",
+	"The report on coal is in the appendix.",
+].join(" ");
+
+const positions = (matches) => matches.map((match) => match.position);
+
+describe("parseQuery", () => {
+	it("should AND adjacent terms and keep quoted phrases together", () => {
+		assert.deepStrictEqual(parseQuery('solar "wind power" AND f(x)'), {
+			type: "and",
+			children: [
+				{ type: "term", value: "solar", phrase: false },
+				{ type: "term", value: "wind power", phrase: true },
+				{ type: "term", value: "f(x)", phrase: false },
+			],
+		});
+	});
+
+	it("should bind NOT tighter than AND, and AND tighter than OR", () => {
+		assert.deepStrictEqual(parseQuery("a OR b AND NOT c"), {
+			type: "or",
+			children: [
+				{ type: "term", value: "a", phrase: false },
+				{
+					type: "and",
+					children: [
+						{ type: "term", value: "b", phrase: false },
+						{
+							type: "not",
+							child: { type: "term", value: "c", phrase: false },
+						},
+					],
+				},
+			],
+		});
+	});
+
+	it("should only group with parentheses at the edges of words", () => {
+		assert.deepStrictEqual(parseQuery("(f(x)) OR y"), {
+			type: "or",
+			children: [
+				{ type: "term", value: "f(x)", phrase: false },
+				{ type: "term", value: "y", phrase: false },
+			],
+		});
+	});
+
+	it("should take queries without operators as written", () => {
+		for (const query of [
+			"rock and roll",
+			"f(x)",
+			"AND",
+			"-flag",
+			"Section 3.2 (draft)",
+		]) {
+			assert.deepStrictEqual(
+				parseQuery(query),
+				{ type: "term", value: query, phrase: true },
+				query,
+			);
+		}
+		assert.deepStrictEqual(parseQuery('"wind power"'), {
+			type: "term",
+			value: "wind power",
+			phrase: true,
+		});
+	});
+
+	it("should take queries that don't parse as written", () => {
+		for (const query of ["(solar OR wind", "solar AND", "OR wind"]) {
+			assert.deepStrictEqual(
+				parseQuery(query),
+				{ type: "term", value: query, phrase: true },
+				query,
+			);
+		}
+		assert.throws(() => parseQuery("  "), /no search terms/);
+	});
+});
+
+describe("searchText", () => {
+	it("should find a single term case-insensitively", () => {
+		const matches = searchText(text, "SOLAR", { contextChars: 5 });
+
+		assert.strictEqual(matches.length, 2);
+		assert.strictEqual(matches[0].position, 0);
+		assert.strictEqual(matches[0].match, "Solar");
+		assert.strictEqual(matches[0].context, "Solar capa");
+		assert.strictEqual(matches[0].prefix, "");
+		assert.strictEqual(matches[0].suffix, "...");
+	});
+
+	it("should respect case sensitivity", () => {
+		assert.strictEqual(
+			searchText(text, "solar", { caseSensitive: true }).length,
+			0,
+		);
+	});
+
+	it("should only return passages where all ANDed terms are near each other", () => {
+		const matches = searchText(text, "solar AND europe", { contextChars: 30 });
+
+		assert.deepStrictEqual(positions(matches), [
+			text.indexOf("Solar subsidies"),
+		]);
+	});
+
+	it("should exclude passages containing NOT terms", () => {
+		const matches = searchText(text, "subsidies NOT solar", {
+			contextChars: 10,
+		});
+
+		assert.deepStrictEqual(positions(matches), [
+			text.indexOf("subsidies ended"),
+		]);
+	});
+
+	it("should match any of ORed terms", () => {
+		const matches = searchText(text, "(wind OR coal) capacity", {
+			contextChars: 20,
+		});
+
+		assert.deepStrictEqual(positions(matches), [text.indexOf("Wind")]);
+	});
+
+	it("should match phrases across line breaks", () => {
+		const matches = searchText("grew\n  fastest in Asia", '"grew fastest"');
+
+		assert.strictEqual(matches[0].match, "grew\n  fastest");
+	});
+
+	it("should fold nearby occurrences into one passage", () => {
+		assert.strictEqual(
+			searchText(text, "capacity", { contextChars: 100 }).length,
+			1,
+		);
+		assert.strictEqual(
+			searchText(text, "capacity", { contextChars: 5 }).length,
+			2,
+		);
+	});
+
+	it("should find literal text that looks like query syntax", () => {
+		const literal =
+			"Let f(x) be rock and roll, AND more: use -flag, see Section 3.2 (draft).";
+
+		for (const query of [
+			"f(x)",
+			"AND",
+			"rock and roll",
+			"-flag",
+			"Section 3.2 (draft)",
+		]) {
+			const matches = searchText(literal, query, {
+				contextChars: 5,
+				caseSensitive: true,
+			});
+			assert.deepStrictEqual(
+				positions(matches),
+				[literal.indexOf(query)],
+				query,
+			);
+		}
+	});
+
+	it("should search with a regular expression", () => {
+		const matches = searchText(text, "\\b20\\d\\d\\b", { regex: true });
+
+		assert.strictEqual(matches.length, 1);
+		assert.strictEqual(matches[0].match, "2024");
+		assert.throws(
+			() => searchText(text, "(", { regex: true }),
+			/Invalid search pattern/,
+		);
+	});
+
+	it("should ignore empty regex matches", () => {
+		assert.strictEqual(searchText("abc", "x*", { regex: true }).length, 0);
+	});
+
+	it("should reject queries with only negated terms", () => {
+		assert.throws(() => searchText(text, "NOT solar"), /isn't negated/);
+	});
+});
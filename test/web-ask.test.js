@@ -1,7 +1,10 @@
 import assert from "node:assert";
 import { beforeEach, describe, it } from "node:test";
+import { configureNetworkPolicy } from "../src/network-policy.js";
+import { configurePoliteness } from "../src/politeness.js";
 import { askWeb } from "../src/web-ask.js";
-import { clearCache } from "../src/web-extract.js";
+import { configureWebCache } from "../src/web-cache.js";
+import { clearCache, extractFromUrl } from "../src/web-extract.js";
 
 // Mock PDFParse class
 function createMockPDFParse() {
@@ -30,12 +33,16 @@ function createMockChromium(
 ) {
 	return {
 		launch: async () => ({
-			newPage: async () => ({
-				goto: async () => ({ ok: true }),
-				title: async () => "Test Web Page",
-				content: async () => pageContent,
-				url: () => "http://example.com/page",
-				waitForTimeout: async () => {},
+			newContext: async () => ({
+				newPage: async () => ({
+					goto: async () => ({ ok: true }),
+					title: async () => "Test Web Page",
+					content: async () => pageContent,
+					url: () => "http://example.com/page",
+					waitForTimeout: async () => {},
+					route: async () => {},
+					close: async () => {},
+				}),
 				close: async () => {},
 			}),
 			close: async () => {},
@@ -45,11 +52,26 @@ function createMockChromium(
 
 describe("Web Ask", () => {
 	beforeEach(() => {
+		// Keep cached content in memory rather than in the stash
+		configureWebCache({});
 		clearCache();
+		// No request spacing, so tests don't wait on each other
+		configurePoliteness({});
+		// Skip DNS lookups and request interception, which the mocks don't
+		// support, and serve every download as a (mock-parsed) PDF
+		configureNetworkPolicy({
+			allowPrivateNetworks: true,
+			_fetch: async () => ({
+				status: 200,
+				ok: true,
+				headers: new Map([["content-type", "application/pdf"]]),
+				arrayBuffer: async () => new TextEncoder().encode("%PDF-1.4\n").buffer,
+			}),
+		});
 	});
 
 	describe("PDF asking", () => {
-		const pdfContentType = async () => "application/pdf";
+		const pdfContentType = async () => ({ type: "application/pdf" });
 
 		it("should ask questions about a PDF", async () => {
 			const mockServer = {
@@ -144,10 +166,45 @@ describe("Web Ask", () => {
 
 			assert.strictEqual(capturedOptions.timeout, 60000);
 		});
+
+		it("should share cached content with extractFromUrl", async () => {
+			const MockPDFParse = createMockPDFParse();
+			let parses = 0;
+			class CountingPDFParse extends MockPDFParse {
+				constructor(...args) {
+					super(...args);
+					parses++;
+				}
+			}
+			const mockServer = {
+				server: {
+					createMessage: async () => ({
+						content: { type: "text", text: "Response" },
+						model: "test-model",
+					}),
+				},
+			};
+
+			await extractFromUrl({
+				url: "http://example.com/shared.pdf",
+				_PDFParse: CountingPDFParse,
+				_detectContentType: pdfContentType,
+			});
+			const result = await askWeb({
+				url: "http://example.com/shared.pdf",
+				ask: "Summarize",
+				_PDFParse: CountingPDFParse,
+				_detectContentType: pdfContentType,
+				_server: mockServer,
+			});
+
+			assert.strictEqual(parses, 1);
+			assert.strictEqual(result.title, "Test PDF");
+		});
 	});
 
 	describe("Web page asking", () => {
-		const htmlContentType = async () => "text/html";
+		const htmlContentType = async () => ({ type: "text/html" });
 
 		it("should ask questions about a web page", async () => {
 			const mockServer = {
@@ -200,7 +257,7 @@ describe("Web Ask", () => {
 						url: "file:///etc/passwd",
 						ask: "Summarize",
 						_PDFParse: createMockPDFParse(),
-						_detectContentType: async () => "application/pdf",
+						_detectContentType: async () => ({ type: "application/pdf" }),
 						_server: mockServer,
 					});
 				},
@@ -215,7 +272,7 @@ describe("Web Ask", () => {
 						url: "http://example.com/test.pdf",
 						ask: "Summarize",
 						_PDFParse: createMockPDFParse(),
-						_detectContentType: async () => "application/pdf",
+						_detectContentType: async () => ({ type: "application/pdf" }),
 					});
 				},
 				{ message: "Server instance required for ask mode" },
@@ -247,7 +304,7 @@ describe("Web Ask", () => {
 						ask: "Summarize",
 						askMaxInputTokens: 10000,
 						_PDFParse: LargePDFParse,
-						_detectContentType: async () => "application/pdf",
+						_detectContentType: async () => ({ type: "application/pdf" }),
 						_server: mockServer,
 					});
 				},
@@ -301,7 +358,7 @@ describe("Web Ask", () => {
 				askMaxInputTokens: 20000,
 				askSplitAndSynthesize: true,
 				_PDFParse: LargePDFParse,
-				_detectContentType: async () => "application/pdf",
+				_detectContentType: async () => ({ type: "application/pdf" }),
 				_server: mockServer,
 			});
 
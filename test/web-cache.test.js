@@ -0,0 +1,168 @@
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { WebCache } from "../src/web-cache.js";
+
+const entry = (text, extra = {}) => ({
+	url: "https://example.com/",
+	contentType: "html",
+	text,
+	metadata: { title: "Example" },
+	...extra,
+});
+
+describe("WebCache", () => {
+	let tempDir;
+	let cache;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "web-cache-test-"));
+	});
+
+	afterEach(() => {
+		cache?.close();
+		fs.rmSync(tempDir, { recursive: true });
+	});
+
+	it("should store and return entries with their validators", () => {
+		cache = new WebCache();
+		cache.set("key", entry("Hello", { etag: '"abc"' }));
+
+		const cached = cache.get("key");
+		assert.strictEqual(cached.text, "Hello");
+		assert.deepStrictEqual(cached.metadata, { title: "Example" });
+		assert.strictEqual(cached.contentType, "html");
+		assert.strictEqual(cached.etag, '"abc"');
+		assert.strictEqual(cached.lastModified, null);
+		assert.strictEqual(cached.stale, false);
+		assert.strictEqual(cache.get("missing"), null);
+	});
+
+	it("should persist entries across instances", () => {
+		const dbPath = path.join(tempDir, "nested", "web-cache.db");
+		const first = new WebCache({ dbPath });
+		first.set("key", entry("Persisted"));
+		first.close();
+
+		cache = new WebCache({ dbPath });
+		assert.strictEqual(cache.get("key").text, "Persisted");
+	});
+
+	it("should mark expired entries stale until refreshed", () => {
+		cache = new WebCache({ ttlMs: 0 });
+		cache.set("key", entry("Old"));
+		assert.strictEqual(cache.get("key").stale, true);
+
+		cache.ttlMs = 60000;
+		cache.refresh("key");
+		assert.strictEqual(cache.get("key").stale, false);
+	});
+
+	it("should evict the least recently used entries when full", () => {
+		const size = Buffer.byteLength(JSON.stringify({ title: "Example" })) + 10;
+		let time = 0;
+		cache = new WebCache({ maxBytes: size * 2, _now: () => ++time });
+		cache.set("a", entry("a".repeat(10)));
+		cache.set("b", entry("b".repeat(10)));
+		cache.get("a");
+		cache.set("c", entry("c".repeat(10)));
+
+		assert.ok(cache.get("a"));
+		assert.strictEqual(cache.get("b"), null);
+		assert.ok(cache.get("c"));
+		const stats = cache.getStats();
+		assert.strictEqual(stats.size, 2);
+		assert.strictEqual(stats.bytes, size * 2);
+		assert.strictEqual(stats.evictions, 1);
+	});
+
+	it("should not store entries larger than the cache", () => {
+		cache = new WebCache({ maxBytes: 10 });
+		cache.set("key", entry("x".repeat(100)));
+
+		assert.strictEqual(cache.get("key"), null);
+	});
+
+	it("should clear all entries", () => {
+		cache = new WebCache();
+		cache.set("a", entry("a"));
+		cache.set("b", entry("b"));
+
+		assert.strictEqual(cache.clear(), 2);
+		assert.strictEqual(cache.getStats().size, 0);
+	});
+
+	it("should count hits, misses and revalidations", () => {
+		cache = new WebCache({ ttlMs: 0 });
+		cache.set("key", entry("Hello"));
+		cache.get("key");
+		cache.refresh("key");
+		cache.get("missing");
+
+		const stats = cache.getStats();
+		assert.strictEqual(stats.stale, 1);
+		assert.strictEqual(stats.revalidated, 1);
+		assert.strictEqual(stats.misses, 1);
+		assert.strictEqual(stats.hits, 0);
+	});
+
+	it("should list entries, most recently used first", () => {
+		let time = 0;
+		cache = new WebCache({ _now: () => ++time });
+		cache.set(
+			"https://example.com/a",
+			entry("a", { url: "https://example.com/a" }),
+		);
+		cache.set(
+			'https://example.com/b {"selector":"main"}',
+			entry("b", { url: "https://example.com/b" }),
+		);
+		cache.set(
+			'https://example.com/c {"headers":{"Cookie":"sha256:5e3a"}}',
+			entry("c", { url: "https://example.com/c" }),
+		);
+		cache.set("https://other.org/", entry("d", { url: "https://other.org/" }));
+		cache.get("https://example.com/a");
+
+		const { total, entries } = cache.list({ pattern: /example\.com/ });
+		assert.strictEqual(total, 3);
+		assert.deepStrictEqual(
+			entries.map((e) => [e.url, e.options]),
+			[
+				["https://example.com/a", undefined],
+				["https://example.com/c", { headers: ["Cookie"] }],
+				["https://example.com/b", { selector: "main" }],
+			],
+		);
+		assert.strictEqual(entries[0].contentType, "html");
+		assert.strictEqual(entries[0].stale, false);
+
+		const page = cache.list({ limit: 1, offset: 1 });
+		assert.strictEqual(page.total, 4);
+		assert.deepStrictEqual(
+			page.entries.map((e) => e.url),
+			["https://other.org/"],
+		);
+	});
+
+	it("should evict entries by URL or pattern", () => {
+		cache = new WebCache();
+		const url = "https://example.com/a";
+		cache.set(url, entry("a", { url }));
+		cache.set(`${url} {"selector":"main"}`, entry("a", { url }));
+		cache.set(
+			"https://example.com/b",
+			entry("b", { url: "https://example.com/b" }),
+		);
+		cache.set("https://other.org/", entry("c", { url: "https://other.org/" }));
+
+		assert.strictEqual(cache.evict({ url }), 2);
+		assert.strictEqual(cache.evict({ pattern: /example\.com/ }), 1);
+		assert.deepStrictEqual(
+			cache.list().entries.map((e) => e.url),
+			["https://other.org/"],
+		);
+	});
+});
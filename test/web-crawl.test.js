@@ -0,0 +1,263 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { crawlSite } from "../src/web-crawl.js";
+
+// Mock extractFromUrl serving a site of url -> { content, links }
+function mockSite(site) {
+	const calls = [];
+	const extract = async (options) => {
+		calls.push(options);
+		const page = site[options.url];
+		if (!page) throw new Error(`HTTP 404: ${options.url}`);
+		const content = page.content ?? `Content of ${options.url}`;
+		return {
+			url: options.url,
+			finalUrl: page.finalUrl ?? options.url,
+			contentType: "html",
+			title: page.title ?? null,
+			totalChars: content.length,
+			content: content.slice(0, options.maxChars),
+			truncated: content.length > options.maxChars,
+			links: (page.links || []).map((url) => ({ url })),
+		};
+	};
+	return { extract, calls };
+}
+
+const site = {
+	"https://example.com/docs/": {
+		title: "Docs",
+		links: [
+			"https://example.com/docs/intro",
+			"https://example.com/docs/guide",
+			"https://example.com/blog/",
+			"https://other.example/",
+			"https://example.com/docs/logo.png",
+		],
+	},
+	"https://example.com/docs/intro": {
+		links: ["https://example.com/docs/", "https://example.com/docs/advanced"],
+	},
+	"https://example.com/docs/guide": {
+		links: ["https://example.com/docs/intro"],
+	},
+	"https://example.com/docs/advanced": {
+		links: ["https://example.com/docs/deep"],
+	},
+	"https://example.com/docs/deep": {},
+	"https://example.com/blog/": {},
+};
+
+const visited = (result) => result.pages.map((page) => page.url);
+
+describe("crawlSite", () => {
+	it("should crawl the same host breadth-first by default", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/",
+			_extractFromUrl: extract,
+		});
+
+		assert.deepStrictEqual(visited(result), [
+			"https://example.com/docs/",
+			"https://example.com/docs/intro",
+			"https://example.com/docs/guide",
+			"https://example.com/blog/",
+			"https://example.com/docs/advanced",
+		]);
+		assert.deepStrictEqual(
+			result.pages.map((page) => page.depth),
+			[0, 1, 1, 1, 2],
+		);
+		assert.strictEqual(result.pages[0].title, "Docs");
+		assert.strictEqual(result.stoppedBecause, "complete");
+		assert.strictEqual(result.pending, 0);
+	});
+
+	it("should follow links deeper with a higher maxDepth", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/",
+			maxDepth: 3,
+			_extractFromUrl: extract,
+		});
+
+		assert.ok(visited(result).includes("https://example.com/docs/deep"));
+	});
+
+	it("should stay under a path prefix", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/intro",
+			scope: "prefix",
+			_extractFromUrl: extract,
+		});
+
+		assert.strictEqual(result.prefix, "/docs/");
+		assert.ok(!visited(result).includes("https://example.com/blog/"));
+		assert.ok(visited(result).includes("https://example.com/docs/guide"));
+	});
+
+	it("should scope the crawl to where the start page redirected", async () => {
+		const { extract } = mockSite({
+			"http://example.com/": {
+				finalUrl: "https://www.example.com/",
+				links: [
+					"https://www.example.com/about",
+					"https://www.example.com/",
+					"https://example.com/old",
+				],
+			},
+			"https://www.example.com/about": {},
+		});
+
+		const result = await crawlSite({
+			url: "http://example.com/",
+			_extractFromUrl: extract,
+		});
+
+		assert.deepStrictEqual(visited(result), [
+			"http://example.com/",
+			"https://www.example.com/about",
+		]);
+		assert.deepStrictEqual(result.errors, []);
+	});
+
+	it("should only follow URLs matching a regex scope", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/",
+			scope: "regex",
+			pattern: "/docs/(intro|advanced)$",
+			_extractFromUrl: extract,
+		});
+
+		assert.deepStrictEqual(visited(result), [
+			"https://example.com/docs/",
+			"https://example.com/docs/intro",
+			"https://example.com/docs/advanced",
+		]);
+	});
+
+	it("should skip URLs matching excludePattern", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/",
+			excludePattern: "/blog/|/guide",
+			_extractFromUrl: extract,
+		});
+
+		assert.ok(!visited(result).includes("https://example.com/blog/"));
+		assert.ok(!visited(result).includes("https://example.com/docs/guide"));
+	});
+
+	it("should stop at maxPages and report pending URLs", async () => {
+		const { extract } = mockSite(site);
+
+		const result = await crawlSite({
+			url: "https://example.com/docs/",
+			maxPages: 2,
+			_extractFromUrl: extract,
+		});
+
+		assert.strictEqual(result.pageCount, 2);
+		assert.strictEqual(result.stoppedBecause, "maxPages");
+		assert.strictEqual(result.pending, 3);
+	});
+
+	it("should cap content per page and in total", async () => {
+		const { extract, calls } = mockSite({
+			"https://example.com/": {
+				content: "a".repeat(100),
+				links: ["https://example.com/a", "https://example.com/b"],
+			},
+			"https://example.com/a": { content: "b".repeat(100) },
+			"https://example.com/b": { content: "c".repeat(100) },
+		});
+
+		const result = await crawlSite({
+			url: "https://example.com/",
+			maxCharsPerPage: 60,
+			maxChars: 100,
+			_extractFromUrl: extract,
+		});
+
+		assert.deepStrictEqual(
+			calls.map((call) => call.maxChars),
+			[60, 40],
+		);
+		assert.strictEqual(result.totalChars, 100);
+		assert.strictEqual(result.pages[0].truncated, true);
+		assert.strictEqual(result.stoppedBecause, "maxChars");
+	});
+
+	it("should record failing pages and carry on", async () => {
+		const { extract } = mockSite({
+			"https://example.com/": {
+				links: ["https://example.com/missing", "https://example.com/ok"],
+			},
+			"https://example.com/ok": {},
+		});
+
+		const result = await crawlSite({
+			url: "https://example.com/",
+			_extractFromUrl: extract,
+		});
+
+		assert.deepStrictEqual(visited(result), [
+			"https://example.com/",
+			"https://example.com/ok",
+		]);
+		assert.deepStrictEqual(result.errors, [
+			{
+				url: "https://example.com/missing",
+				depth: 1,
+				error: "HTTP 404: https://example.com/missing",
+			},
+		]);
+	});
+
+	it("should throw when the start page fails", async () => {
+		const { extract } = mockSite({});
+
+		await assert.rejects(
+			crawlSite({ url: "https://example.com/", _extractFromUrl: extract }),
+			/HTTP 404/,
+		);
+	});
+
+	it("should pass page options through and always request links", async () => {
+		const { extract, calls } = mockSite({ "https://example.com/": {} });
+
+		await crawlSite({
+			url: "https://example.com/",
+			selector: "main",
+			waitUntil: "networkidle",
+			_extractFromUrl: extract,
+		});
+
+		assert.strictEqual(calls[0].selector, "main");
+		assert.strictEqual(calls[0].waitUntil, "networkidle");
+		assert.strictEqual(calls[0].includeLinks, true);
+	});
+
+	it("should reject invalid scopes", async () => {
+		await assert.rejects(
+			crawlSite({ url: "https://example.com/", scope: "regex" }),
+			/A pattern is required/,
+		);
+		await assert.rejects(
+			crawlSite({ url: "https://example.com/", scope: "regex", pattern: "(" }),
+			/Invalid scope pattern/,
+		);
+		await assert.rejects(
+			crawlSite({ url: "file:///etc/passwd" }),
+			/Only http\/https URLs are allowed/,
+		);
+	});
+});
@@ -1,9 +1,15 @@
 import assert from "node:assert";
 import { beforeEach, describe, it } from "node:test";
+import { strToU8, zipSync } from "fflate";
+import { configureNetworkPolicy } from "../src/network-policy.js";
+import { configurePoliteness } from "../src/politeness.js";
+import { configureWebCache } from "../src/web-cache.js";
 import {
 	clearCache,
 	extractFromUrl,
 	getCacheStats,
+	loadContent,
+	manageCache,
 } from "../src/web-extract.js";
 
 // Mock PDFParse class
@@ -43,12 +49,16 @@ function createMockChromium(
 ) {
 	return {
 		launch: async () => ({
-			newPage: async () => ({
-				goto: async () => ({ ok: true }),
-				title: async () => "Test Web Page",
-				content: async () => pageContent,
-				url: () => "http://example.com/page",
-				waitForTimeout: async () => {},
+			newContext: async () => ({
+				newPage: async () => ({
+					goto: async () => ({ ok: true }),
+					title: async () => "Test Web Page",
+					content: async () => pageContent,
+					url: () => "http://example.com/page",
+					waitForTimeout: async () => {},
+					route: async () => {},
+					close: async () => {},
+				}),
 				close: async () => {},
 			}),
 			close: async () => {},
@@ -61,13 +71,44 @@ describe("Web Extract", () => {
 	let mockChromium;
 
 	beforeEach(() => {
+		// Keep cached content in memory rather than in the stash
+		configureWebCache({});
 		clearCache();
+		// No request spacing, so tests don't wait on each other
+		configurePoliteness({});
+		// Skip DNS lookups and request interception, which the mocks don't
+		// support, and serve every download as a (mock-parsed) PDF
+		configureNetworkPolicy({
+			allowPrivateNetworks: true,
+			_fetch: async () => ({
+				status: 200,
+				ok: true,
+				headers: new Map([["content-type", "application/pdf"]]),
+				arrayBuffer: async () => strToU8("%PDF-1.4\n").buffer,
+			}),
+		});
 		MockPDFParse = createMockPDFParse();
 		mockChromium = createMockChromium();
 	});
 
 	describe("PDF extraction", () => {
-		const pdfContentType = async () => "application/pdf";
+		const pdfContentType = async () => ({ type: "application/pdf" });
+
+		it("should not space the download from the content-type check", async () => {
+			const politeness = configurePoliteness({ minDelayMs: 1000 });
+			const started = Date.now();
+
+			await extractFromUrl({
+				url: "http://example.com/test.pdf",
+				_PDFParse: MockPDFParse,
+				_detectContentType: async (url) => {
+					await politeness.schedule(url, async () => {});
+					return { type: "application/pdf" };
+				},
+			});
+
+			assert.ok(Date.now() - started < 500);
+		});
 
 		it("should fetch and return PDF content", async () => {
 			const result = await extractFromUrl({
@@ -86,6 +127,28 @@ describe("Web Extract", () => {
 			assert.strictEqual(MockPDFParse.getCallCount(), 1);
 		});
 
+		it("should download PDFs within the size limit", async () => {
+			configureNetworkPolicy({
+				allowPrivateNetworks: true,
+				_fetch: async () => ({
+					status: 200,
+					ok: true,
+					headers: new Map([["content-length", "999999999"]]),
+					arrayBuffer: async () => assert.fail("Read the body"),
+				}),
+			});
+
+			await assert.rejects(
+				extractFromUrl({
+					url: "http://example.com/huge.pdf",
+					_PDFParse: MockPDFParse,
+					_detectContentType: pdfContentType,
+				}),
+				{ message: "PDF is larger than 100 MB" },
+			);
+			assert.strictEqual(MockPDFParse.getCallCount(), 0);
+		});
+
 		it("should truncate content when maxChars is exceeded", async () => {
 			const result = await extractFromUrl({
 				url: "http://example.com/test.pdf",
@@ -138,10 +201,297 @@ describe("Web Extract", () => {
 
 			assert.strictEqual(result.matchCount, 1);
 		});
+
+		it("should search with boolean queries and cap the matches", async () => {
+			const options = {
+				url: "http://example.com/test.pdf",
+				contextChars: 3,
+				_PDFParse: MockPDFParse,
+				_detectContentType: pdfContentType,
+			};
+
+			const either = await extractFromUrl({
+				...options,
+				search: "blockchain OR machine",
+				maxMatches: 1,
+			});
+			assert.strictEqual(either.matchCount, 2);
+			assert.strictEqual(either.matches.length, 1);
+			assert.strictEqual(either.matches[0].match, "blockchain");
+			assert.strictEqual(either.truncated, true);
+
+			const excluded = await extractFromUrl({
+				...options,
+				search: "keywords NOT blockchain",
+				contextChars: 20,
+			});
+			assert.strictEqual(excluded.matchCount, 0);
+		});
+
+		describe("pages", () => {
+			class PagedPDFParse {
+				async getInfo() {
+					return { info: { Title: "Budget" } };
+				}
+
+				async destroy() {}
+
+				async getText() {
+					return {
+						text: "unused",
+						total: 3,
+						pages: [
+							{ num: 1, text: "Budget overview" },
+							{ num: 2, text: "Spending on schools" },
+							{ num: 3, text: "Spending on roads" },
+						],
+					};
+				}
+			}
+			const options = {
+				url: "http://example.com/paged.pdf",
+				_PDFParse: PagedPDFParse,
+				_detectContentType: pdfContentType,
+			};
+
+			// Mostly pictures, with one typed page
+			class ScannedPDFParse extends PagedPDFParse {
+				async getText() {
+					return {
+						text: "unused",
+						total: 3,
+						pages: [
+							{ num: 1, text: "" },
+							{ num: 2, text: "" },
+							{ num: 3, text: "Spending on roads" },
+						],
+					};
+				}
+			}
+			const scannedOptions = { ...options, _PDFParse: ScannedPDFParse };
+
+			it("should mark page boundaries in the content", async () => {
+				const result = await extractFromUrl(options);
+
+				assert.strictEqual(
+					result.content,
+					"[Page 1]\nBudget overview\n\n[Page 2]\nSpending on schools\n\n[Page 3]\nSpending on roads",
+				);
+				assert.strictEqual(result.firstPage, 1);
+				assert.strictEqual(result.lastPage, 3);
+			});
+
+			it("should return only the requested pages", async () => {
+				const result = await extractFromUrl({ ...options, pages: "2-3" });
+
+				assert.ok(result.content.startsWith("[Page 2]\nSpending on schools"));
+				assert.ok(!result.content.includes("Budget"));
+				assert.strictEqual(result.pages, "2-3");
+				assert.strictEqual(result.pageCount, 3);
+				assert.strictEqual(result.totalChars, result.content.length);
+			});
+
+			it("should report the page of each search match", async () => {
+				const result = await extractFromUrl({
+					...options,
+					search: "spending",
+					contextChars: 5,
+				});
+
+				assert.deepStrictEqual(
+					result.matches.map((match) => match.page),
+					[2, 3],
+				);
+
+				const narrowed = await extractFromUrl({
+					...options,
+					pages: "3",
+					search: "spending",
+				});
+				assert.deepStrictEqual(
+					narrowed.matches.map((match) => match.page),
+					[3],
+				);
+			});
+
+			it("should OCR after giving up the host's politeness slot", async () => {
+				const politeness = configurePoliteness({});
+				let activeDuringOcr;
+
+				await extractFromUrl({
+					...scannedOptions,
+					_recognizePages: async () => {
+						activeDuringOcr = politeness.getStats().active;
+						return new Map();
+					},
+				});
+
+				assert.strictEqual(activeDuringOcr, 0);
+			});
+
+			it("should not match the page markers", async () => {
+				const result = await extractFromUrl({ ...options, search: "page" });
+
+				assert.strictEqual(result.matchCount, 0);
+			});
+
+			it("should reject out of range pages", async () => {
+				await assert.rejects(
+					extractFromUrl({ ...options, pages: "4" }),
+					/Page 4 is out of range/,
+				);
+			});
+
+			it("should OCR pages without a text layer", async () => {
+				const recognized = [];
+				const result = await extractFromUrl({
+					...scannedOptions,
+					_recognizePages: async (_parser, pageNumbers) => {
+						recognized.push(...pageNumbers);
+						return new Map([[2, "Scanned page two"]]);
+					},
+				});
+
+				assert.deepStrictEqual(recognized, [1, 2]);
+				assert.ok(result.content.includes("[Page 2]\nScanned page two"));
+				assert.ok(result.content.includes("[Page 3]\nSpending on roads"));
+				assert.strictEqual(result.ocr, true);
+				assert.deepStrictEqual(result.ocrPages, [2]);
+			});
+		});
+
+		describe("outline, metadata and links", () => {
+			class OutlinedPDFParse {
+				async getInfo() {
+					return {
+						info: { Title: "Budget", Subject: "Public spending" },
+						metadata: { getAll: () => ({ "dc:title": "Budget" }) },
+						outline: [
+							{ title: "Overview", dest: [0], items: [] },
+							{
+								title: "Spending",
+								dest: "spending",
+								items: [{ title: "Schools", dest: [1], items: [] }],
+							},
+						],
+						pages: [
+							{ pageNumber: 1, links: [] },
+							{
+								pageNumber: 2,
+								links: [{ url: "/schools.csv", text: "school data" }],
+							},
+							{
+								pageNumber: 3,
+								links: [{ url: "https://roads.example/", text: "roads" }],
+							},
+						],
+					};
+				}
+
+				async load() {
+					return { getDestination: async () => [1, { name: "Fit" }] };
+				}
+
+				async destroy() {}
+
+				async getText() {
+					return {
+						text: "unused",
+						total: 3,
+						pages: [
+							{ num: 1, text: "Budget overview" },
+							{ num: 2, text: "Spending on schools" },
+							{ num: 3, text: "Spending on roads" },
+						],
+					};
+				}
+			}
+			const options = {
+				url: "http://example.com/outlined.pdf",
+				_PDFParse: OutlinedPDFParse,
+				_detectContentType: pdfContentType,
+				_recognizePages: async () => new Map(),
+			};
+
+			it("should only include them when asked", async () => {
+				const result = await extractFromUrl(options);
+
+				assert.strictEqual(result.outline, undefined);
+				assert.strictEqual(result.metadata, undefined);
+				assert.strictEqual(result.links, undefined);
+			});
+
+			it("should return the outline, metadata and links", async () => {
+				const result = await extractFromUrl({
+					...options,
+					includeOutline: true,
+					includeMetadata: true,
+					includeLinks: true,
+				});
+
+				assert.deepStrictEqual(result.outline, [
+					{ title: "Overview", level: 1, page: 1, url: undefined },
+					{ title: "Spending", level: 1, page: 2, url: undefined },
+					{ title: "Schools", level: 2, page: 2, url: undefined },
+				]);
+				assert.strictEqual(result.metadata.info.Subject, "Public spending");
+				assert.deepStrictEqual(result.metadata.xmp, { "dc:title": "Budget" });
+				assert.deepStrictEqual(result.links, [
+					{
+						url: "http://example.com/schools.csv",
+						text: "school data",
+						page: 2,
+					},
+					{ url: "https://roads.example/", text: "roads", page: 3 },
+				]);
+			});
+
+			it("should read only the pages of a section", async () => {
+				const result = await extractFromUrl({
+					...options,
+					section: "spending",
+					includeLinks: true,
+				});
+
+				assert.strictEqual(
+					result.content,
+					"[Page 2]\nSpending on schools\n\n[Page 3]\nSpending on roads",
+				);
+				assert.deepStrictEqual(result.section, {
+					title: "Spending",
+					level: 1,
+					page: 2,
+					endPage: 3,
+				});
+				assert.strictEqual(result.links.length, 2);
+
+				const searched = await extractFromUrl({
+					...options,
+					section: "Overview",
+					search: "spending",
+				});
+				// Overview runs into page 2, where Spending starts, but not page 3
+				assert.deepStrictEqual(
+					searched.matches.map((match) => match.page),
+					[2],
+				);
+			});
+
+			it("should reject unknown sections and mixing pages with section", async () => {
+				await assert.rejects(
+					extractFromUrl({ ...options, section: "Appendix" }),
+					/No outline entry matches "Appendix"\. Entries include: Overview; Spending; Schools/,
+				);
+				await assert.rejects(
+					extractFromUrl({ ...options, section: "Spending", pages: "1" }),
+					/Use either pages or section, not both/,
+				);
+			});
+		});
 	});
 
 	describe("Web page extraction", () => {
-		const htmlContentType = async () => "text/html";
+		const htmlContentType = async () => ({ type: "text/html" });
 
 		it("should fetch and return web page content", async () => {
 			const result = await extractFromUrl({
@@ -182,10 +532,399 @@ describe("Web Extract", () => {
 			assert.strictEqual(result.search, "technology");
 			assert.strictEqual(result.matchCount, 1);
 		});
+
+		it("should extract only the region matching a selector", async () => {
+			const result = await extractFromUrl({
+				url: "http://example.com/page",
+				selector: "#main",
+				excludeSelectors: [".ad"],
+				_chromium: createMockChromium(
+					"<html><body><p>Navigation</p><div id='main'><p>Main text</p><p class='ad'>Advert</p></div></body></html>",
+				),
+				_detectContentType: htmlContentType,
+			});
+
+			assert.strictEqual(result.content, "Main text");
+		});
+
+		it("should cache selector extractions separately", async () => {
+			const pageContent =
+				"<html><body><p>Navigation</p><div id='main'><p>Main text</p></div></body></html>";
+
+			await extractFromUrl({
+				url: "http://example.com/scoped",
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+			const scoped = await extractFromUrl({
+				url: "http://example.com/scoped",
+				selector: "#main",
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+
+			assert.strictEqual(scoped.content, "Main text");
+			assert.strictEqual(getCacheStats().size, 2);
+		});
+
+		it("should keep only hashes of header values in cache keys", async () => {
+			const cache = configureWebCache({});
+			const options = {
+				url: "http://example.com/account",
+				_chromium: mockChromium,
+				_detectContentType: htmlContentType,
+			};
+
+			await extractFromUrl({
+				...options,
+				headers: { Authorization: "Bearer secret" },
+			});
+			await extractFromUrl({
+				...options,
+				headers: { Authorization: "Bearer other" },
+			});
+
+			const keys = cache.db
+				.prepare("SELECT key FROM entries")
+				.all()
+				.map((row) => row.key);
+			assert.strictEqual(keys.length, 2);
+			for (const key of keys) {
+				assert.ok(!key.includes("Bearer"));
+				assert.match(key, /"Authorization":"sha256:[0-9a-f]{64}"/);
+			}
+		});
+
+		it("should not reuse a blocked fetch when blocking is turned off", async () => {
+			// Count the pages that had requests blocked
+			let blockedPages = 0;
+			const chromium = createMockChromium();
+			const launch = chromium.launch;
+			chromium.launch = async () => {
+				const browser = await launch();
+				const context = await browser.newContext();
+				const page = await context.newPage();
+				page.route = async () => {
+					blockedPages++;
+				};
+				context.newPage = async () => page;
+				browser.newContext = async () => context;
+				return browser;
+			};
+			const options = {
+				url: "http://example.com/fragile",
+				_chromium: chromium,
+				_detectContentType: htmlContentType,
+			};
+
+			await extractFromUrl(options);
+			await extractFromUrl({ ...options, blockResources: false });
+
+			// The second call loaded the page again, without blocking
+			assert.strictEqual(blockedPages, 1);
+			assert.strictEqual(getCacheStats().size, 2);
+		});
+
+		it("should report how each page action went", async () => {
+			const chromium = createMockChromium();
+			const launch = chromium.launch;
+			chromium.launch = async () => {
+				const browser = await launch();
+				const context = await browser.newContext();
+				const page = await context.newPage();
+				page.click = async (selector) => {
+					if (selector === "#consent") {
+						throw new Error("Timeout 5000ms exceeded");
+					}
+				};
+				context.newPage = async () => page;
+				browser.newContext = async () => context;
+				return browser;
+			};
+			const options = {
+				url: "http://example.com/banner",
+				actions: [
+					{ type: "click", selector: "#consent", optional: true },
+					{ type: "click", selector: "#more" },
+				],
+				_chromium: chromium,
+				_detectContentType: htmlContentType,
+			};
+			const expected = [
+				{ type: "click", ok: false, error: "Timeout 5000ms exceeded" },
+				{ type: "click", ok: true },
+			];
+
+			const result = await extractFromUrl(options);
+			// Kept with the cached content
+			const searched = await extractFromUrl({ ...options, search: "content" });
+
+			assert.deepStrictEqual(result.actions, expected);
+			assert.deepStrictEqual(searched.actions, expected);
+		});
+
+		it("should return links only when requested", async () => {
+			const pageContent =
+				"<html><body><div id='main'><p>Read <a href='/guide'>the guide</a></p></div></body></html>";
+
+			const withoutLinks = await extractFromUrl({
+				url: "http://example.com/linked",
+				selector: "#main",
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+			// Not served from the cache entry without links
+			const withLinks = await extractFromUrl({
+				url: "http://example.com/linked",
+				selector: "#main",
+				includeLinks: true,
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+
+			assert.strictEqual(withoutLinks.links, undefined);
+			assert.deepStrictEqual(withLinks.links, [
+				{
+					url: "http://example.com/guide",
+					text: "the guide",
+					rel: [],
+					internal: true,
+					inMainContent: true,
+					position: 1,
+				},
+			]);
+			assert.strictEqual(getCacheStats().size, 2);
+		});
+
+		it("should return tables instead of content", async () => {
+			const pageContent =
+				"<html><body><p>Intro</p>" +
+				"<table><caption>First</caption><tr><th>A</th></tr><tr><td>1</td></tr></table>" +
+				"<table><tr><th>B</th></tr><tr><td>2</td></tr><tr><td>3</td></tr></table>" +
+				"</body></html>";
+
+			const result = await extractFromUrl({
+				url: "http://example.com/tables",
+				tables: "csv",
+				tableIndex: 1,
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+
+			assert.strictEqual(result.content, undefined);
+			assert.strictEqual(result.tableCount, 2);
+			assert.deepStrictEqual(result.tables, [
+				{
+					index: 1,
+					caption: null,
+					headers: ["B"],
+					rowCount: 2,
+					columnCount: 1,
+					csv: "B\r\n2\r\n3",
+				},
+			]);
+			assert.strictEqual(result.truncated, false);
+		});
+
+		it("should parse tables only when they are requested", async () => {
+			const options = {
+				url: "http://example.com/tabled",
+				_chromium: createMockChromium(
+					"<html><body><table><tr><td>cell</td></tr></table></body></html>",
+				),
+				_detectContentType: htmlContentType,
+			};
+
+			await extractFromUrl(options);
+			// Not served from the cache entry without tables
+			const result = await extractFromUrl({ ...options, tables: "json" });
+
+			assert.deepStrictEqual(result.tables[0].rows, [["cell"]]);
+			assert.strictEqual(getCacheStats().size, 2);
+		});
+
+		it("should drop table rows beyond maxChars", async () => {
+			const pageContent =
+				"<html><body><table><tr><td>one</td></tr><tr><td>two</td></tr></table></body></html>";
+
+			const result = await extractFromUrl({
+				url: "http://example.com/long-table",
+				tables: "json",
+				maxChars: 10,
+				_chromium: createMockChromium(pageContent),
+				_detectContentType: htmlContentType,
+			});
+
+			assert.deepStrictEqual(result.tables[0].rows, [["one"]]);
+			assert.strictEqual(result.truncated, true);
+		});
+
+		it("should reject a missing table index", async () => {
+			await assert.rejects(
+				extractFromUrl({
+					url: "http://example.com/page",
+					tables: "json",
+					tableIndex: 3,
+					_chromium: mockChromium,
+					_detectContentType: htmlContentType,
+				}),
+				{ message: "No table at index 3 (found 0 tables)" },
+			);
+		});
+	});
+
+	describe("Document extraction", () => {
+		// Serve these bytes, through an allow list so they download via the policy
+		function serve(body, contentType) {
+			const data = typeof body === "string" ? strToU8(body) : body;
+			configureNetworkPolicy({
+				allowPrivateNetworks: true,
+				allowDomains: ["example.com"],
+				_fetch: async () => ({
+					status: 200,
+					ok: true,
+					headers: new Map([["content-type", contentType]]),
+					arrayBuffer: async () => data.buffer,
+				}),
+			});
+		}
+
+		it("should read a DOCX and paginate it like any other content", async () => {
+			serve(
+				zipSync({
+					"word/document.xml": strToU8(
+						'<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+							'<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Minutes</w:t></w:r></w:p>' +
+							"<w:p><w:r><w:t>The budget was approved.</w:t></w:r></w:p>" +
+							"</w:body></w:document>",
+					),
+				}),
+				"application/octet-stream",
+			);
+			const options = {
+				url: "http://example.com/files/minutes.docx",
+				_detectContentType: async () => ({ type: "application/octet-stream" }),
+			};
+
+			const result = await extractFromUrl({ ...options, maxChars: 10 });
+			assert.strictEqual(result.contentType, "docx");
+			assert.strictEqual(result.content, "# Minutes\n");
+			assert.strictEqual(result.totalChars, 35);
+			assert.strictEqual(result.truncated, true);
+
+			const searched = await extractFromUrl({ ...options, search: "budget" });
+			assert.strictEqual(searched.contentType, "docx");
+			assert.strictEqual(searched.matchCount, 1);
+		});
+
+		it("should refuse oversized downloads and give up on stalled ones", async () => {
+			let stall = false;
+			configureNetworkPolicy({
+				allowPrivateNetworks: true,
+				allowDomains: ["example.com"],
+				_fetch: (_url, { signal }) =>
+					stall
+						? new Promise((_resolve, reject) =>
+								signal.addEventListener("abort", () => reject(signal.reason)),
+							)
+						: Promise.resolve({
+								status: 200,
+								ok: true,
+								headers: new Map([["content-length", "999999999"]]),
+								arrayBuffer: async () => assert.fail("Read the body"),
+							}),
+			});
+			const options = {
+				url: "http://example.com/huge.csv",
+				_detectContentType: async () => ({ type: "text/csv" }),
+			};
+
+			await assert.rejects(extractFromUrl(options), {
+				message: "CSV file is larger than 100 MB",
+			});
+			stall = true;
+			// Timeout timers don't keep the process alive on their own
+			const keepAlive = setTimeout(() => {}, 5000);
+			await assert.rejects(extractFromUrl({ ...options, timeoutMs: 50 }), {
+				name: "TimeoutError",
+			});
+			clearTimeout(keepAlive);
+		});
+
+		it("should return CSV columns, row count and the detected type", async () => {
+			serve("year,spend\n2024,10\n2025,12\n", "text/csv");
+
+			const options = {
+				url: "http://example.com/spend.csv",
+				_detectContentType: async () => ({
+					type: "text/csv",
+					source: "header",
+				}),
+			};
+			const result = await extractFromUrl(options);
+
+			assert.strictEqual(result.contentType, "csv");
+			assert.strictEqual(result.content, "year,spend\n2024,10\n2025,12\n");
+			assert.deepStrictEqual(result.columns, ["year", "spend"]);
+			assert.strictEqual(result.rowCount, 2);
+
+			// How the type was detected is kept with the cached content
+			const cached = await extractFromUrl({ ...options, search: "2025" });
+			assert.deepStrictEqual(cached.detectedType, {
+				type: "text/csv",
+				source: "header",
+			});
+		});
+
+		it("should read plain text directly instead of rendering it", async () => {
+			serve("Just some notes.", "text/plain; charset=utf-8");
+
+			const result = await extractFromUrl({
+				url: "http://example.com/notes.txt",
+				_chromium: {
+					launch: () => assert.fail("browser launched"),
+				},
+				_detectContentType: async () => ({ type: "text/plain; charset=utf-8" }),
+			});
+
+			assert.strictEqual(result.contentType, "txt");
+			assert.strictEqual(result.content, "Just some notes.");
+			assert.strictEqual(result.title, null);
+		});
+
+		it("should read a PDF whatever the server called it", async () => {
+			serve("%PDF-1.4 ...", "text/plain");
+
+			const result = await extractFromUrl({
+				url: "http://example.com/report.txt",
+				_PDFParse: MockPDFParse,
+				_detectContentType: async () => ({ type: "text/plain" }),
+			});
+
+			assert.strictEqual(result.contentType, "pdf");
+			assert.strictEqual(result.title, "Test PDF");
+			assert.strictEqual(MockPDFParse.getCallCount(), 1);
+		});
+
+		it("should report failed downloads", async () => {
+			configureNetworkPolicy({
+				allowPrivateNetworks: true,
+				allowDomains: ["example.com"],
+				_fetch: async () => ({ status: 404, ok: false, headers: new Map() }),
+			});
+
+			await assert.rejects(
+				extractFromUrl({
+					url: "http://example.com/gone.epub",
+					_detectContentType: async () => ({ type: "application/epub+zip" }),
+				}),
+				/Failed to fetch EPUB book: HTTP 404/,
+			);
+		});
 	});
 
 	describe("Caching", () => {
-		const pdfContentType = async () => "application/pdf";
+		const pdfContentType = async () => ({ type: "application/pdf" });
 
 		it("should cache PDF content", async () => {
 			// First fetch
@@ -258,6 +997,176 @@ describe("Web Extract", () => {
 			});
 			assert.strictEqual(MockPDFParse.getCallCount(), 2);
 		});
+
+		it("should refetch cached content when asked to refresh", async () => {
+			const options = {
+				url: "http://example.com/refresh.pdf",
+				_PDFParse: MockPDFParse,
+				_detectContentType: pdfContentType,
+			};
+
+			await extractFromUrl(options);
+			await extractFromUrl({ ...options, refresh: true });
+			await extractFromUrl(options);
+
+			assert.strictEqual(MockPDFParse.getCallCount(), 2);
+			assert.strictEqual(getCacheStats().size, 1);
+		});
+
+		describe("manageCache", () => {
+			async function cachePdf(url) {
+				await extractFromUrl({
+					url,
+					_PDFParse: MockPDFParse,
+					_detectContentType: pdfContentType,
+				});
+			}
+
+			it("should report hit and miss counters", async () => {
+				await cachePdf("http://example.com/a.pdf");
+				await cachePdf("http://example.com/a.pdf");
+
+				const stats = await manageCache({ action: "stats" });
+				assert.strictEqual(stats.size, 1);
+				assert.strictEqual(stats.hits, 1);
+				assert.strictEqual(stats.misses, 1);
+				assert.strictEqual(stats.hitRate, 0.5);
+			});
+
+			it("should list and evict entries by pattern", async () => {
+				await cachePdf("http://example.com/a.pdf");
+				await cachePdf("http://example.com/b.pdf");
+				await cachePdf("http://example.org/c.pdf");
+
+				const listed = await manageCache({
+					action: "list",
+					pattern: "example\\.com",
+				});
+				assert.strictEqual(listed.total, 2);
+				assert.strictEqual(listed.entries[0].url, "http://example.com/b.pdf");
+				assert.strictEqual(listed.entries[0].contentType, "pdf");
+
+				const evicted = await manageCache({
+					action: "evict",
+					pattern: "example\\.com",
+				});
+				assert.strictEqual(evicted.evicted, 2);
+
+				const cleared = await manageCache({ action: "clear" });
+				assert.strictEqual(cleared.evicted, 1);
+			});
+
+			it("should refresh a single URL", async () => {
+				const url = "http://example.com/a.pdf";
+				await cachePdf(url);
+
+				const result = await manageCache({
+					action: "refresh",
+					url,
+					_loadContent: (target, options) =>
+						loadContent(target, {
+							...options,
+							_PDFParse: MockPDFParse,
+							_detectContentType: pdfContentType,
+						}),
+				});
+
+				assert.strictEqual(MockPDFParse.getCallCount(), 2);
+				assert.strictEqual(result.contentType, "pdf");
+				assert.strictEqual(result.title, "Test PDF");
+			});
+
+			it("should reject invalid requests", async () => {
+				await assert.rejects(
+					manageCache({ action: "evict" }),
+					/evict needs a url or a pattern/,
+				);
+				await assert.rejects(
+					manageCache({ action: "list", pattern: "(" }),
+					/Invalid pattern/,
+				);
+				await assert.rejects(
+					manageCache({ action: "refresh" }),
+					/refresh needs a url/,
+				);
+			});
+		});
+
+		describe("revalidation", () => {
+			// Serve a PDF with an ETag through the network policy, answering
+			// conditional requests with 304 while `etag` is unchanged
+			function useServer(state) {
+				const _fetch = async (_url, options) => {
+					state.requests.push(options.method || "GET");
+					const headers = new Map([["etag", state.etag]]);
+					if (options.headers?.["If-None-Match"] === state.etag) {
+						return { status: 304, ok: false, headers };
+					}
+					return {
+						status: 200,
+						ok: true,
+						headers,
+						arrayBuffer: async () => new ArrayBuffer(8),
+					};
+				};
+				configureNetworkPolicy({
+					allowPrivateNetworks: true,
+					allowDomains: ["example.com"],
+					_fetch,
+				});
+			}
+
+			it("should reuse a stale entry the server says is unchanged", async () => {
+				configureWebCache({ ttlMs: 0 });
+				const state = { etag: '"v1"', requests: [] };
+				useServer(state);
+				const options = {
+					url: "http://example.com/report.pdf",
+					_PDFParse: MockPDFParse,
+					_detectContentType: pdfContentType,
+				};
+
+				await extractFromUrl(options);
+				const result = await extractFromUrl(options);
+
+				assert.strictEqual(MockPDFParse.getCallCount(), 1);
+				assert.deepStrictEqual(state.requests, ["GET", "HEAD"]);
+				assert.strictEqual(result.title, "Test PDF");
+			});
+
+			it("should refetch a stale entry that changed", async () => {
+				configureWebCache({ ttlMs: 0 });
+				const state = { etag: '"v1"', requests: [] };
+				useServer(state);
+				const options = {
+					url: "http://example.com/report.pdf",
+					_PDFParse: MockPDFParse,
+					_detectContentType: pdfContentType,
+				};
+
+				await extractFromUrl(options);
+				state.etag = '"v2"';
+				await extractFromUrl(options);
+
+				assert.strictEqual(MockPDFParse.getCallCount(), 2);
+				assert.deepStrictEqual(state.requests, ["GET", "HEAD", "GET"]);
+			});
+
+			it("should not revalidate fresh entries", async () => {
+				const state = { etag: '"v1"', requests: [] };
+				useServer(state);
+				const options = {
+					url: "http://example.com/report.pdf",
+					_PDFParse: MockPDFParse,
+					_detectContentType: pdfContentType,
+				};
+
+				await extractFromUrl(options);
+				await extractFromUrl(options);
+
+				assert.deepStrictEqual(state.requests, ["GET"]);
+			});
+		});
 	});
 
 	describe("Content type detection", () => {
@@ -265,7 +1174,9 @@ describe("Web Extract", () => {
 			const result = await extractFromUrl({
 				url: "http://example.com/document",
 				_PDFParse: MockPDFParse,
-				_detectContentType: async () => "application/pdf; charset=utf-8",
+				_detectContentType: async () => ({
+					type: "application/pdf; charset=utf-8",
+				}),
 			});
 
 			assert.strictEqual(result.contentType, "pdf");
@@ -275,7 +1186,7 @@ describe("Web Extract", () => {
 			const result = await extractFromUrl({
 				url: "http://example.com/page",
 				_chromium: mockChromium,
-				_detectContentType: async () => "text/html; charset=utf-8",
+				_detectContentType: async () => ({ type: "text/html; charset=utf-8" }),
 			});
 
 			assert.strictEqual(result.contentType, "html");
@@ -285,7 +1196,7 @@ describe("Web Extract", () => {
 			const result = await extractFromUrl({
 				url: "http://example.com/page",
 				_chromium: mockChromium,
-				_detectContentType: async () => "text/plain",
+				_detectContentType: async () => ({ type: "application/octet-stream" }),
 			});
 
 			assert.strictEqual(result.contentType, "html");
@@ -299,7 +1210,7 @@ describe("Web Extract", () => {
 					await extractFromUrl({
 						url: "file:///etc/passwd",
 						_PDFParse: MockPDFParse,
-						_detectContentType: async () => "application/pdf",
+						_detectContentType: async () => ({ type: "application/pdf" }),
 					});
 				},
 				{ message: "Only http/https URLs are allowed" },
@@ -1,10 +1,12 @@
 import assert from "node:assert";
-import { describe, it } from "node:test";
+import { beforeEach, describe, it } from "node:test";
+import { configureNetworkPolicy } from "../src/network-policy.js";
+import { configurePoliteness } from "../src/politeness.js";
 import { fetchWebPage } from "../src/web-fetch.js";
 import { searchWeb } from "../src/web-search.js";
 
 // Create mock chromium for testing
-function createMockChromium() {
+function createMockChromium(screenshotCalls = []) {
 	const mockPage = {
 		goto: async () => ({}),
 		waitForTimeout: async () => {},
@@ -23,18 +25,35 @@ function createMockChromium() {
 		waitForSelector: async () => {},
 		waitForFunction: async () => {},
 		close: async () => {},
-		$: async () => null,
+		screenshot: async (options) => {
+			screenshotCalls.push({ target: "page", ...options });
+			return Buffer.from("page-png");
+		},
+		$: async (selector) =>
+			selector === "#chart"
+				? {
+						screenshot: async (options) => {
+							screenshotCalls.push({ target: selector, ...options });
+							return Buffer.from("element-png");
+						},
+					}
+				: null,
 	};
 
-	const mockBrowser = {
+	const mockContext = {
 		newPage: async () => mockPage,
 		close: async () => {},
 		pages: () => [],
 	};
 
+	const mockBrowser = {
+		newContext: async () => mockContext,
+		close: async () => {},
+	};
+
 	return {
 		launch: async () => mockBrowser,
-		launchPersistentContext: async () => mockBrowser,
+		launchPersistentContext: async () => mockContext,
 	};
 }
 
@@ -73,6 +92,13 @@ function createSearchMockChromium() {
 }
 
 describe("Research Friend Tools", () => {
+	beforeEach(() => {
+		// No request spacing, so tests don't wait on each other
+		configurePoliteness({});
+		// Skip DNS lookups and request interception, which the mocks don't support
+		configureNetworkPolicy({ allowPrivateNetworks: true });
+	});
+
 	it("fetchWebPage should return page content", async () => {
 		const mockChromium = createMockChromium();
 
@@ -101,6 +127,128 @@ describe("Research Friend Tools", () => {
 		);
 	});
 
+	it("fetchWebPage should return a screenshot when requested", async () => {
+		const screenshotCalls = [];
+		const result = await fetchWebPage({
+			url: "http://example.com",
+			screenshot: "fullPage",
+			_chromium: createMockChromium(screenshotCalls),
+		});
+
+		assert.strictEqual(result.screenshot.mimeType, "image/png");
+		assert.strictEqual(result.screenshot.mode, "fullPage");
+		assert.strictEqual(
+			Buffer.from(result.screenshot.data, "base64").toString(),
+			"page-png",
+		);
+		assert.strictEqual(screenshotCalls[0].fullPage, true);
+	});
+
+	it("fetchWebPage should clip screenshot to a selector", async () => {
+		const screenshotCalls = [];
+		const result = await fetchWebPage({
+			url: "http://example.com",
+			screenshotSelector: "#chart",
+			_chromium: createMockChromium(screenshotCalls),
+		});
+
+		assert.strictEqual(result.screenshot.mode, "element");
+		assert.strictEqual(result.screenshot.selector, "#chart");
+		assert.strictEqual(screenshotCalls[0].target, "#chart");
+	});
+
+	it("fetchWebPage should reject an unmatched screenshot selector", async () => {
+		await assert.rejects(
+			fetchWebPage({
+				url: "http://example.com",
+				screenshotSelector: "#missing",
+				_chromium: createMockChromium(),
+			}),
+			{ message: "No element matches screenshot selector: #missing" },
+		);
+	});
+
+	it("fetchWebPage should omit screenshot by default", async () => {
+		const result = await fetchWebPage({
+			url: "http://example.com",
+			_chromium: createMockChromium(),
+		});
+
+		assert.strictEqual(result.screenshot, undefined);
+	});
+
+	it("fetchWebPage should scope content to a selector", async () => {
+		const mockChromium = createMockChromium();
+		const result = await fetchWebPage({
+			url: "http://example.com",
+			outputFormat: "html",
+			selector: "body",
+			_chromium: mockChromium,
+		});
+
+		assert.strictEqual(result.content, "<body>Mock Content</body>");
+	});
+
+	it("fetchWebPage should return links only when requested", async () => {
+		const withoutLinks = await fetchWebPage({
+			url: "http://example.com",
+			_chromium: createMockChromium(),
+		});
+		const withLinks = await fetchWebPage({
+			url: "http://example.com",
+			outputFormat: "text",
+			includeLinks: true,
+			_chromium: createMockChromium(),
+		});
+
+		assert.strictEqual(withoutLinks.links, undefined);
+		assert.deepStrictEqual(withLinks.links, []);
+	});
+
+	it("fetchWebPage should return structured data only when requested", async () => {
+		const plain = await fetchWebPage({
+			url: "http://example.com",
+			_chromium: createMockChromium(),
+		});
+		const withData = await fetchWebPage({
+			url: "http://example.com",
+			includeStructuredData: true,
+			_chromium: createMockChromium(),
+		});
+
+		assert.strictEqual(plain.structuredData, undefined);
+		assert.deepStrictEqual(withData.structuredData.jsonLd, []);
+		assert.deepStrictEqual(withData.structuredData.openGraph, {});
+	});
+
+	it("fetchWebPage should pass request options to the browser context", async () => {
+		const mockChromium = createMockChromium();
+		const mockBrowser = await mockChromium.launch();
+		let contextOptions;
+		const newContext = mockBrowser.newContext;
+		mockChromium.launch = async () => ({
+			...mockBrowser,
+			newContext: async (options) => {
+				contextOptions = options;
+				return newContext();
+			},
+		});
+
+		await fetchWebPage({
+			url: "http://example.com",
+			headers: { Authorization: "Bearer token" },
+			locale: "fr-FR",
+			timezone: "Europe/Paris",
+			_chromium: mockChromium,
+		});
+
+		assert.deepStrictEqual(contextOptions, {
+			extraHTTPHeaders: { Authorization: "Bearer token" },
+			locale: "fr-FR",
+			timezoneId: "Europe/Paris",
+		});
+	});
+
 	it("searchWeb should return search results", async () => {
 		const mockChromium = createSearchMockChromium();
 